@@ -0,0 +1,215 @@
+// Transit agencies: which GTFS-RT feeds, alert feeds, station registry, route colours and models the
+// server runs over. One definition per file in public/data/agencies/*.json; AGENCIES="subway,lirr"
+// picks which are enabled. Only the subway runs by default: the others are opt-in, since each adds
+// feeds to poll and a registry to download at startup.
+//
+//   { "id", "name", "shortName", "color", "timeZone",
+//     "primary": true,                       // the subway: bare ids and the original source names
+//     "feeds": [{ "id", "url" }],            // GTFS-RT trip updates / vehicle positions
+//     "alerts": "<GTFS-RT alerts url>" | null,
+//     "staticGtfs": "<GTFS zip url>",
+//     "stations": { "source": "ny-open-data", "url", "platforms": ["N", "S"] } | { "source": "gtfs" },
+//     "complexOf": { "<stop_id>": "<complex stop_id>" },   // optional merges on top of the registry
+//     "colors": { "<route_id>": "#rrggbb" }, "textColors": { ... },  // on top of routes.txt colours
+//     "models": { "ridership": "ridership-model.json", "crime": "crime-model.json" } }
+//
+// Ids from a non-primary agency are namespaced "<agency>:<id>" (stops, complexes, trains, alerts)
+// so two agencies' "1" never meet; the subway keeps its bare ids, which the models, saved
+// subscriptions and URLs already use. Every station, train and alert record carries its agency.
+
+const fs = require('fs');
+const path = require('path');
+const { readGtfsZip } = require('./gtfs-static');
+const NycTime = require('../public/nyc-time');
+
+const AGENCY_DIR = path.join(__dirname, '..', 'public', 'data', 'agencies');
+const STATION_SOURCES = ['ny-open-data', 'gtfs'];
+const HEX = /^#[0-9a-f]{6}$/i;
+const DEFAULT_AGENCIES = 'subway';
+
+// Throws on a malformed definition so a bad file fails at load, not mid-request
+function validate(agency) {
+  const fail = msg => { throw new Error(`agency ${agency?.id || '?'}: ${msg}`); };
+  if (!agency || !/^[a-z][a-z0-9-]*$/.test(agency.id || '')) fail('id must be lowercase letters, digits and dashes');
+  if (typeof agency.name !== 'string') fail('missing name');
+  if (!HEX.test(agency.color || '')) fail('color must be #rrggbb');
+  try { new Intl.DateTimeFormat('en-US', { timeZone: agency.timeZone }); } catch { fail(`unknown timeZone ${agency.timeZone}`); }
+  if (!Array.isArray(agency.feeds)) fail('feeds must be an array');
+  for (const feed of agency.feeds) {
+    if (typeof feed.id !== 'string' || typeof feed.url !== 'string') fail('each feed needs an id and a url');
+  }
+  if (agency.alerts != null && typeof agency.alerts !== 'string') fail('alerts must be a url or null');
+  const stations = agency.stations;
+  if (!STATION_SOURCES.includes(stations?.source)) fail(`stations.source must be one of ${STATION_SOURCES.join(', ')}`);
+  if (stations.source === 'ny-open-data' && typeof stations.url !== 'string') fail('stations.url required');
+  if (stations.source === 'gtfs' && typeof agency.staticGtfs !== 'string') fail('staticGtfs required for stations from GTFS');
+  // Feeds and registries are fetched at runtime and replace what the server knows: https only
+  for (const url of [...agency.feeds.map(f => f.url), agency.alerts, agency.staticGtfs, stations.url]) {
+    if (url != null && !/^https:\/\//.test(url)) fail(`${url} must use https`);
+  }
+  for (const key of ['complexOf', 'colors', 'textColors', 'models']) {
+    if (agency[key] != null && (typeof agency[key] !== 'object' || Array.isArray(agency[key]))) fail(`${key} must be an object`);
+  }
+  for (const color of [...Object.values(agency.colors || {}), ...Object.values(agency.textColors || {})]) {
+    if (!HEX.test(color)) fail(`route colour ${color} must be #rrggbb`);
+  }
+  return agency;
+}
+
+// Enabled agencies, validated, with their source names filled in. Throws when the set is unusable.
+function load(enabled = process.env.AGENCIES) {
+  const wanted = (enabled || DEFAULT_AGENCIES).split(',').map(s => s.trim()).filter(Boolean);
+  const list = [];
+  for (const file of fs.readdirSync(AGENCY_DIR).filter(f => f.endsWith('.json')).sort()) {
+    const agency = validate(JSON.parse(fs.readFileSync(path.join(AGENCY_DIR, file), 'utf8')));
+    if (!wanted.includes(agency.id)) continue;
+    if (agency.timeZone !== NycTime.TIME_ZONE) {
+      console.warn(`[agencies] ${agency.id}: timeZone ${agency.timeZone}; hours and weekdays are still read in ${NycTime.TIME_ZONE}`);
+    }
+    list.push(prepare(agency));
+  }
+  list.sort((a, b) => b.primary - a.primary);
+  const missing = wanted.filter(id => !list.some(a => a.id === id));
+  if (missing.length) throw new Error(`AGENCIES: no definition for ${missing.join(', ')} in ${AGENCY_DIR}`);
+  if (!list.length) throw new Error(`no agencies enabled (${AGENCY_DIR})`);
+  if (list.filter(a => a.primary).length > 1) throw new Error('only one agency can be primary');
+
+  const sources = list.flatMap(a => a.feeds.map(f => f.source));
+  const duplicate = sources.find((s, i) => sources.indexOf(s) !== i);
+  if (duplicate) throw new Error(`two feeds share the id behind ${duplicate}`);
+  console.log(`[agencies] ${list.map(a => `${a.id} (${a.feeds.length} feed${a.feeds.length === 1 ? '' : 's'})`).join(', ')}`);
+  return list;
+}
+
+// Source names key recordings (lib/datasource.js) and feed health. The primary agency keeps the
+// names it had before there were agencies, so existing recordings still replay.
+function prepare(agency) {
+  const primary = !!agency.primary;
+  return {
+    ...agency,
+    primary,
+    alerts: agency.alerts || null,
+    colors: { ...(agency.colors || {}) },
+    textColors: { ...(agency.textColors || {}) },
+    complexOf: agency.complexOf || {},
+    models: agency.models || {},
+    feeds: agency.feeds.map(f => ({ ...f, source: `feed-${f.id}` })),
+    alertSource: primary ? 'alerts' : `alerts-${agency.id}`,
+    stationSource: primary ? 'stations' : `stations-${agency.id}`
+  };
+}
+
+// Agency-local id -> the id used everywhere else
+const scoped = (agency, id) => agency.primary ? String(id) : `${agency.id}:${id}`;
+
+// ---------------------------------------------------------------------------
+// STATION REGISTRIES -> { stops: { stopId: { lat, lon, name, complex } }, complexes: { id: { name, lat, lon } },
+//                         colors, textColors } with scoped ids
+// ---------------------------------------------------------------------------
+// data.ny.gov MTA station list (rows.json): GTFS stop ids, coordinates and station complex ids.
+// Platform stop ids in the feeds ("101N") get their own entries.
+function parseOpenDataRegistry(agency, data) {
+  const columns = data.meta.view.columns;
+  const col = name => columns.findIndex(c => c.fieldName === name);
+  const gtfsIdIdx = col('gtfs_stop_id'), complexIdx = col('complex_id');
+  const latIdx = col('gtfs_latitude'), lonIdx = col('gtfs_longitude'), nameIdx = col('stop_name');
+  const platforms = agency.stations.platforms || [];
+
+  const stops = {}, complexes = {};
+  for (const row of data.data) {
+    const stopId = row[gtfsIdIdx];
+    const lat = parseFloat(row[latIdx]);
+    const lon = parseFloat(row[lonIdx]);
+    const name = row[nameIdx];
+    if (!stopId || !lat || !lon) continue;
+    const rawComplex = agency.complexOf[stopId] || row[complexIdx];
+    const complex = rawComplex ? scoped(agency, rawComplex) : null;
+    for (const suffix of ['', ...platforms]) stops[scoped(agency, stopId + suffix)] = { lat, lon, name, complex };
+    if (complex && !complexes[complex]) complexes[complex] = { name, lat, lon };
+  }
+  return { stops, complexes, entities: data.data.length };
+}
+
+// GTFS stops.txt: a stop belongs to its parent station; a stop without one is its own complex.
+// routes.txt supplies route colours.
+function parseGtfsRegistry(agency, buffer) {
+  const gtfs = readGtfsZip(buffer, `${agency.id} GTFS`);
+  const rows = [];
+  gtfs.forEach('stops.txt', row => rows.push(row));
+  const byId = new Map(rows.map(r => [r.stop_id, r]));
+
+  const stops = {}, complexes = {};
+  for (const row of rows) {
+    const type = row.location_type || '0';
+    if (type !== '0' && type !== '1') continue;   // entrances, nodes, boarding areas
+    const lat = parseFloat(row.stop_lat), lon = parseFloat(row.stop_lon);
+    if (!lat || !lon) continue;
+    const rawComplex = agency.complexOf[row.stop_id] || (type === '0' && row.parent_station) || row.stop_id;
+    const station = byId.get(rawComplex) || row;
+    const complex = scoped(agency, rawComplex);
+    stops[scoped(agency, row.stop_id)] = { lat, lon, name: row.stop_name, complex };
+    if (!complexes[complex]) {
+      complexes[complex] = { name: station.stop_name, lat: parseFloat(station.stop_lat) || lat, lon: parseFloat(station.stop_lon) || lon };
+    }
+  }
+
+  const colors = {}, textColors = {};
+  if (gtfs.has('routes.txt')) {
+    gtfs.forEach('routes.txt', r => {
+      if (/^[0-9a-f]{6}$/i.test(r.route_color)) colors[r.route_id] = `#${r.route_color}`;
+      if (/^[0-9a-f]{6}$/i.test(r.route_text_color)) textColors[r.route_id] = `#${r.route_text_color}`;
+    });
+  }
+  return { stops, complexes, colors, textColors, entities: rows.length };
+}
+
+// fetchSource(source, url, kind) is lib/datasource.js's, so registries record and replay like feeds
+async function fetchRegistry(agency, fetchSource) {
+  const registry = agency.stations.source === 'gtfs'
+    ? parseGtfsRegistry(agency, await fetchSource(agency.stationSource, agency.staticGtfs, 'binary'))
+    : parseOpenDataRegistry(agency, await fetchSource(agency.stationSource, agency.stations.url));
+  // Definition colours win over routes.txt
+  Object.assign(agency.colors, { ...registry.colors, ...agency.colors });
+  Object.assign(agency.textColors, { ...registry.textColors, ...agency.textColors });
+  return registry;
+}
+
+// ---------------------------------------------------------------------------
+// FEEDS
+// ---------------------------------------------------------------------------
+// Scopes the stop ids in a decoded GTFS-RT message in place (trip updates, vehicle positions, alert
+// informed entities) and tags it with its agency, so downstream code needs no agency logic
+function scopeFeed(agency, feed) {
+  feed.agency = agency.id;
+  if (agency.primary) return feed;
+  for (const entity of feed.entity || []) {
+    for (const stu of entity.tripUpdate?.stopTimeUpdate || []) if (stu.stopId) stu.stopId = scoped(agency, stu.stopId);
+    if (entity.vehicle?.stopId) entity.vehicle.stopId = scoped(agency, entity.vehicle.stopId);
+    for (const ie of entity.alert?.informedEntity || []) if (ie.stopId) ie.stopId = scoped(agency, ie.stopId);
+  }
+  return feed;
+}
+
+function routeColor(agency, routeId) {
+  return agency?.colors[routeId] || agency?.color || '#666666';
+}
+
+// What the browser needs: names, colours and, per agency, its station complexes
+function describe(agency, complexes) {
+  return {
+    id: agency.id,
+    name: agency.name,
+    shortName: agency.shortName || agency.name,
+    color: agency.color,
+    timeZone: agency.timeZone,
+    primary: agency.primary,
+    modeled: !!agency.models.ridership,
+    feeds: agency.feeds.map(f => f.source),
+    alerts: !!agency.alerts,
+    colors: agency.colors,
+    textColors: agency.textColors,
+    complexes
+  };
+}
+
+module.exports = { AGENCY_DIR, validate, load, scoped, fetchRegistry, scopeFeed, routeColor, describe };
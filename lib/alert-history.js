@@ -0,0 +1,176 @@
+// Alert lifecycle tracking: diffs each computeAlerts() result against the last one, so every alert id
+// gets first-seen / active-since / last-seen / updated timestamps and a log of text and effect changes.
+// Alerts that leave the feed are closed and written to the history store (tier "alerts", one partition
+// per UTC day); alerts still open are checkpointed so a restart doesn't reset "ongoing for".
+
+const history = require('./history');
+
+const DAY_MS = 86400000;
+const OPEN_TIER = 'alertstate', CLOSED_TIER = 'alerts';
+const MAX_CHANGES = 20;
+const TRACKED_FIELDS = ['header', 'description', 'effect'];
+
+const open = new Map();   // id -> lifecycle record
+const unpersisted = [];   // closed records with nowhere to go (no store, or a replay)
+let restored = null;
+let lastPruneDay = null;
+let persist = true;
+let writes = Promise.resolve();   // store writes land in order
+
+// configure({ persist: false }) keeps lifecycles in memory only (replays must not touch the live store)
+function configure(opts) {
+  if (opts.persist !== undefined) persist = !!opts.persist;
+}
+
+const storeOf = () => persist ? history.store : null;
+
+const dayOf = ts => new Date(ts).toISOString().slice(0, 10);
+
+function restore() {
+  if (!storeOf()) return Promise.resolve();
+  return restored || (restored = storeOf().read(OPEN_TIER, 'current')
+    .then(records => { for (const r of records) open.set(r.id, r); })
+    .catch(err => console.error('[alert-history] restore failed:', err.message)));
+}
+
+// When an alert became active: its current period's start, else Mercury's creation time, else now
+function activeStart(alert, ts) {
+  const periodStart = alert.nextActivePeriod?.start;
+  if (periodStart && periodStart * 1000 <= ts) return periodStart * 1000;
+  if (alert.createdAt && alert.createdAt * 1000 <= ts) return alert.createdAt * 1000;
+  return ts;
+}
+
+function newRecord(alert, ts, complexOf) {
+  return {
+    id: alert.id,
+    agency: alert.agency || null,
+    header: alert.header,
+    description: alert.description,
+    effect: alert.effect,
+    cause: alert.cause,
+    planned: !!alert.planned,
+    routes: alert.affectedRoutes || [],
+    complexes: [...new Set((alert.affectedStops || []).map(complexOf).filter(Boolean))],
+    firstSeen: ts,
+    activeSince: alert.isActiveNow === false ? null : activeStart(alert, ts),
+    lastSeen: ts,
+    updatedAt: ts,
+    endedAt: null,
+    changes: []
+  };
+}
+
+// Feed one computeAlerts() result. answered(agency) says whether that agency's alert feed was read
+// this time: alerts from a feed that failed are not closed.
+async function track(alertData, complexOf, { answered = () => true } = {}) {
+  await restore();
+  const ts = alertData.timestamp;
+  const seen = new Set();
+  let dirty = false;
+
+  for (const alert of alertData.alerts || []) {
+    seen.add(alert.id);
+    const rec = open.get(alert.id);
+    if (!rec) {
+      open.set(alert.id, newRecord(alert, ts, complexOf));
+      dirty = true;
+      continue;
+    }
+    rec.lastSeen = ts;
+    if (rec.activeSince === null && alert.isActiveNow !== false) { rec.activeSince = activeStart(alert, ts); dirty = true; }
+    for (const field of TRACKED_FIELDS) {
+      if (rec[field] === alert[field]) continue;
+      rec.changes.push({ ts, field, from: rec[field], to: alert[field] });
+      if (rec.changes.length > MAX_CHANGES) rec.changes.shift();
+      rec[field] = alert[field];
+      rec.updatedAt = ts;
+      dirty = true;
+    }
+  }
+
+  const closed = [];
+  for (const [id, rec] of open) {
+    if (seen.has(id) || !answered(rec.agency)) continue;
+    rec.endedAt = ts;
+    closed.push(rec);
+    open.delete(id);
+  }
+
+  const store = storeOf();
+  if (!store) {
+    unpersisted.push(...closed);
+    if (unpersisted.length > 500) unpersisted.splice(0, unpersisted.length - 500);
+  } else if (dirty || closed.length) {
+    // Copy now: open records keep changing while the write is queued
+    const snapshot = JSON.parse(JSON.stringify([...open.values()]));
+    writes = writes
+      .then(() => Promise.all([
+        ...closed.map(rec => store.append(CLOSED_TIER, dayOf(rec.endedAt), rec)),
+        store.write(OPEN_TIER, 'current', snapshot)
+      ]))
+      .catch(err => console.error('[alert-history] write failed:', err.message));
+    if (dayOf(ts) !== lastPruneDay) {
+      lastPruneDay = dayOf(ts);
+      prune(store, ts).catch(err => console.error('[alert-history] prune failed:', err.message));
+    }
+  }
+  if (closed.length) console.log(`[alert-history] ${closed.length} alert(s) ended`);
+}
+
+async function prune(store, now) {
+  for (const partition of await store.partitions(CLOSED_TIER)) {
+    if (Date.parse(partition) + DAY_MS <= now - history.CONFIG.retentionMs) await store.remove(CLOSED_TIER, partition);
+  }
+}
+
+// Lifecycle fields for one alert currently in the feed
+function lifecycle(id) {
+  const rec = open.get(id);
+  return rec ? { firstSeen: rec.firstSeen, activeSince: rec.activeSince, lastChanged: rec.updatedAt, changeCount: rec.changes.length } : null;
+}
+
+// ---------------------------------------------------------------------------
+// QUERY
+// ---------------------------------------------------------------------------
+// Alerts open at any point in [from, to], with durations and per-route / per-complex disruption totals.
+// Durations run from activeSince (alerts that never became active are listed but not counted).
+async function query({ from, to, now, route, complex }) {
+  await restore();
+  const records = [...open.values(), ...unpersisted];
+  const store = storeOf();
+  if (store) {
+    for (const partition of await store.partitions(CLOSED_TIER)) {
+      const start = Date.parse(partition);
+      if (start > to || start + DAY_MS <= from) continue;
+      records.push(...await store.read(CLOSED_TIER, partition));
+    }
+  }
+
+  const alerts = records
+    .filter(r => r.firstSeen <= to && (r.endedAt ?? now) >= from)
+    .filter(r => !route || r.routes.includes(route))
+    .filter(r => !complex || r.complexes.includes(complex))
+    .map(r => {
+      const end = r.endedAt ?? now;
+      const durationMinutes = r.activeSince !== null ? Math.max(0, Math.round((end - r.activeSince) / 60000)) : null;
+      return { ...r, ongoing: r.endedAt === null, durationMinutes };
+    })
+    .sort((a, b) => (b.activeSince ?? b.firstSeen) - (a.activeSince ?? a.firstSeen));
+
+  const byRoute = {}, byComplex = {};
+  const add = (map, key, minutes) => {
+    const entry = map[key] ||= { count: 0, minutes: 0 };
+    entry.count++;
+    entry.minutes += minutes;
+  };
+  for (const a of alerts) {
+    if (a.durationMinutes === null) continue;
+    for (const r of a.routes) add(byRoute, r, a.durationMinutes);
+    for (const c of a.complexes) add(byComplex, c, a.durationMinutes);
+  }
+
+  return { persisted: !!store, from, to, alertCount: alerts.length, byRoute, byComplex, alerts };
+}
+
+module.exports = { configure, track, lifecycle, query };
@@ -0,0 +1,115 @@
+// Service alert helpers: active periods, planned work vs live incidents, and the MTA Mercury
+// extension (transit_realtime.Alert field 1001). gtfs-realtime-bindings drops extension fields
+// while decoding, so Mercury is read straight from the feed's protobuf bytes.
+
+// ---------------------------------------------------------------------------
+// PROTOBUF WIRE FORMAT (just enough to walk nested messages)
+// ---------------------------------------------------------------------------
+function readVarint(buf, pos) {
+  let value = 0, shift = 0, byte;
+  do {
+    byte = buf[pos++];
+    value += (byte & 0x7f) * 2 ** shift;
+    shift += 7;
+  } while (byte & 0x80);
+  return [value, pos];
+}
+
+// [{ field, value }] where value is a number (varint) or a Buffer (length-delimited)
+function readFields(buf) {
+  const out = [];
+  let pos = 0;
+  while (pos < buf.length) {
+    let key;
+    [key, pos] = readVarint(buf, pos);
+    const field = Math.floor(key / 8), wire = key & 7;
+    if (wire === 0) {
+      let value;
+      [value, pos] = readVarint(buf, pos);
+      out.push({ field, value });
+    } else if (wire === 2) {
+      let len;
+      [len, pos] = readVarint(buf, pos);
+      out.push({ field, value: buf.subarray(pos, pos + len) });
+      pos += len;
+    } else if (wire === 1) pos += 8;
+    else if (wire === 5) pos += 4;
+    else throw new Error(`unsupported wire type ${wire}`);
+  }
+  return out;
+}
+
+const first = (fields, n) => fields.find(f => f.field === n)?.value;
+const text = value => value ? Buffer.from(value).toString('utf8') : null;
+
+// TranslatedString -> first translation's text
+function translated(value) {
+  if (!value) return null;
+  const translation = first(readFields(value), 1);
+  return translation ? text(first(readFields(translation), 1)) : null;
+}
+
+// ---------------------------------------------------------------------------
+// MERCURY
+// ---------------------------------------------------------------------------
+const FEED_ENTITY = 2, ENTITY_ID = 1, ENTITY_ALERT = 5, MERCURY_ALERT = 1001;
+
+// Raw FeedMessage bytes -> entity id -> { alertType, createdAt, updatedAt, displayBeforeActive, activePeriodText }
+function decodeMercury(buf) {
+  const out = {};
+  if (!buf) return out;
+  try {
+    for (const entity of readFields(buf)) {
+      if (entity.field !== FEED_ENTITY) continue;
+      const fields = readFields(entity.value);
+      const id = text(first(fields, ENTITY_ID));
+      const alert = first(fields, ENTITY_ALERT);
+      const mercury = alert && first(readFields(alert), MERCURY_ALERT);
+      if (!id || !mercury) continue;
+      const m = readFields(mercury);
+      out[id] = {
+        createdAt: first(m, 1) ?? null,
+        updatedAt: first(m, 2) ?? null,
+        alertType: text(first(m, 3)),
+        displayBeforeActive: first(m, 7) ?? null,
+        activePeriodText: translated(first(m, 8))
+      };
+    }
+  } catch (err) {
+    console.error('[alerts] mercury decode failed:', err.message);
+  }
+  return out;
+}
+
+// ---------------------------------------------------------------------------
+// ACTIVE PERIODS
+// ---------------------------------------------------------------------------
+// Epoch seconds from a protobuf uint64 (Long or number); 0/missing means unbounded
+const toSec = t => Number(t?.low ?? t) || null;
+
+function parsePeriods(activePeriod) {
+  return (activePeriod || []).map(p => ({ start: toSec(p.start), end: toSec(p.end) }))
+    .sort((a, b) => (a.start ?? 0) - (b.start ?? 0));
+}
+
+const inPeriod = (p, t) => (p.start === null || p.start <= t) && (p.end === null || t < p.end);
+
+// GTFS-RT: an alert without active periods is active for as long as it is in the feed
+function isActiveAt(periods, t) {
+  return !periods.length || periods.some(p => inPeriod(p, t));
+}
+
+// The period in force at t, else the next one to start; null once every period has ended
+function nextActivePeriod(periods, t) {
+  if (!periods.length) return { start: null, end: null };
+  return periods.find(p => inPeriod(p, t)) || periods.find(p => p.start !== null && p.start > t) || null;
+}
+
+// Mercury says so directly; without it, MTA ids and GTFS-RT causes are the best signal
+const PLANNED_CAUSES = ['Maintenance', 'Construction'];
+function isPlanned(id, mercury, cause) {
+  if (mercury?.alertType) return /^planned/i.test(mercury.alertType);
+  return /planned/i.test(id) || PLANNED_CAUSES.includes(cause);
+}
+
+module.exports = { decodeMercury, parsePeriods, isActiveAt, nextActivePeriod, isPlanned };
@@ -0,0 +1,178 @@
+// Bike share dock activity (GBFS, Citi Bike by default): a street-level "eyes" signal the subway
+// ridership model can't see, strongest late at night around nightlife. station_information says
+// where the docks are; station_status, polled about once a minute, says how many bikes each has.
+// Every change in a dock's bike count between two of its reports is a bike taken or returned, so
+// the changes over the last hour are its turnover: people arriving and leaving at the curb.
+// A station complex gets the summed turnover of the docks within walking distance of it.
+//
+// A take and a return between two reports cancel out, so turnover is a floor, not a count. A jump
+// of REBALANCE_JUMP bikes or more in one report is a rebalancing van, not riders, and is skipped.
+// Turnover lives in memory: a fresh instance reports null until it has watched for MIN_SPAN_MS.
+//
+// GBFS_URL is the system's gbfs.json (auto-discovery); GBFS_URL=off turns this off. The three
+// fetches go through lib/datasource.js as "gbfs", "gbfs-information" and "gbfs-status", so they
+// are recorded and replayed like the train feeds.
+
+const datasource = require('./datasource');
+const health = require('./health');
+
+const GBFS_URL = process.env.GBFS_URL || 'https://gbfs.citibikenyc.com/gbfs/2.3/gbfs.json';
+const ENABLED = GBFS_URL !== 'off';
+const INFO_TTL_MS = 60 * 60 * 1000;
+const STATUS_TTL_MS = 60 * 1000;
+const WINDOW_MS = 60 * 60 * 1000;        // turnover is counted over the last hour
+const MIN_SPAN_MS = 10 * 60 * 1000;      // ...once there are at least 10 minutes of it
+const RADIUS = 300;                      // meters from a complex: the docks at its entrances
+const REBALANCE_JUMP = 8;
+
+let complexes = [];                      // [{ id, lat, lon }] from the ridership model
+let feeds = null;                        // { information, status } urls from the discovery file
+let docks = {};                          // dock id -> { id, name, lat, lon, capacity }
+let nearby = {};                         // complex id -> [dock id]
+let infoTs = 0;
+let statusTs = 0;
+let loading = null;
+// dock id -> { bikes, docksFree, reported, since, changes: [[ts, bikes moved]] }
+const tracks = new Map();
+
+health.register('gbfs-status', { label: 'Citi Bike GBFS', staleAfterMs: 5 * STATUS_TTL_MS });
+
+function haversineMeters(lat1, lon1, lat2, lon2) {
+  const R = 6371000;
+  const toRad = d => d * Math.PI / 180;
+  const dLat = toRad(lat2 - lat1), dLon = toRad(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * R * Math.asin(Math.sqrt(a));
+}
+
+// ---------------------------------------------------------------------------
+// FEEDS
+// ---------------------------------------------------------------------------
+// GBFS 2.x nests feeds under a language ({ data: { en: { feeds } } }); 3.0 lists them directly
+async function discover() {
+  const data = (await datasource.fetchSource('gbfs', GBFS_URL)).data || {};
+  const list = data.feeds || (data.en || Object.values(data)[0] || {}).feeds || [];
+  const url = name => list.find(f => f.name === name)?.url;
+  if (!url('station_information') || !url('station_status')) throw new Error('gbfs.json lists no station_information / station_status');
+  return { information: url('station_information'), status: url('station_status') };
+}
+
+// Names are a plain string in 2.x and [{ text, language }] in 3.0
+const text = value => Array.isArray(value) ? value[0]?.text ?? null : value ?? null;
+
+async function readInformation() {
+  const raw = await datasource.fetchSource('gbfs-information', feeds.information);
+  const next = {};
+  for (const s of raw.data?.stations || []) {
+    if (!Number.isFinite(s.lat) || !Number.isFinite(s.lon)) continue;
+    next[s.station_id] = { id: s.station_id, name: text(s.name), lat: s.lat, lon: s.lon, capacity: s.capacity ?? null };
+  }
+  docks = next;
+  nearby = {};
+  for (const c of complexes) {
+    const ids = Object.values(docks).filter(d => haversineMeters(c.lat, c.lon, d.lat, d.lon) <= RADIUS).map(d => d.id);
+    if (ids.length) nearby[c.id] = ids;
+  }
+  console.log(`[bikeshare] ${Object.keys(docks).length} docks, ${Object.keys(nearby).length} complexes with docks nearby`);
+}
+
+// One status report per dock: count what moved since its previous report
+function readStatus(raw, now) {
+  for (const s of raw.data?.stations || []) {
+    if (!docks[s.station_id] || s.is_installed === 0 || s.is_installed === false) continue;
+    const bikes = s.num_bikes_available ?? 0;
+    const reported = s.last_reported ?? null;
+    const track = tracks.get(s.station_id);
+    if (!track) {
+      tracks.set(s.station_id, { bikes, docksFree: s.num_docks_available ?? null, reported, since: now, changes: [] });
+      continue;
+    }
+    if (reported !== null && reported === track.reported) continue;
+    const moved = Math.abs(bikes - track.bikes);
+    if (moved && moved < REBALANCE_JUMP) track.changes.push([now, moved]);
+    Object.assign(track, { bikes, docksFree: s.num_docks_available ?? null, reported });
+  }
+}
+
+// Polls station_status at most once a minute (and station_information hourly); the last good data
+// is kept when a fetch fails
+async function refresh() {
+  if (!ENABLED) {
+    health.disable('gbfs-status');
+    return;
+  }
+  const now = datasource.now();
+  if (statusTs && now - statusTs < STATUS_TTL_MS) return;
+  loading ||= (async () => {
+    const started = Date.now();
+    try {
+      feeds ||= await discover();
+      if (!infoTs || now - infoTs >= INFO_TTL_MS) {
+        await readInformation();
+        infoTs = now;
+      }
+      const raw = await datasource.fetchSource('gbfs-status', feeds.status);
+      readStatus(raw, now);
+      health.success('gbfs-status', {
+        latencyMs: Date.now() - started,
+        entities: raw.data?.stations?.length ?? null,
+        feedTimestamp: raw.last_updated ? raw.last_updated * 1000 : null
+      });
+    } catch (err) {
+      console.error('[bikeshare] fetch failed:', err.message);
+      health.failure('gbfs-status', err, Date.now() - started);
+    } finally {
+      statusTs = now;
+    }
+  })().finally(() => { loading = null; });
+  await loading;
+}
+
+// ---------------------------------------------------------------------------
+// TURNOVER
+// ---------------------------------------------------------------------------
+// Bikes taken or returned per hour over the window; null until the dock has been watched long enough
+function turnover(track, now) {
+  track.changes = track.changes.filter(([ts]) => now - ts < WINDOW_MS);
+  const span = Math.min(now - track.since, WINDOW_MS);
+  if (span < MIN_SPAN_MS) return null;
+  const moved = track.changes.reduce((sum, [, n]) => sum + n, 0);
+  return Math.round(moved * 3600000 / span);
+}
+
+// Every dock with its current state and turnover, for the map:
+// { timestamp, windowMinutes, docks: [{ id, name, lat, lon, capacity, bikes, docksFree, turnover }] }
+async function snapshot() {
+  await refresh();
+  const now = datasource.now();
+  return {
+    timestamp: now,
+    enabled: ENABLED,
+    windowMinutes: WINDOW_MS / 60000,
+    docks: Object.values(docks).map(d => {
+      const track = tracks.get(d.id);
+      return { ...d, bikes: track?.bikes ?? null, docksFree: track?.docksFree ?? null, turnover: track ? turnover(track, now) : null };
+    })
+  };
+}
+
+// Turnover per hour summed over the docks near each complex: { id: { turnover, docks } }. Complexes
+// without docks nearby, or whose docks are all still warming up, are left out
+async function byComplex() {
+  await refresh();
+  const now = datasource.now();
+  const out = {};
+  for (const [id, ids] of Object.entries(nearby)) {
+    const rates = ids.map(d => tracks.get(d)).filter(Boolean).map(t => turnover(t, now)).filter(r => r !== null);
+    if (rates.length) out[id] = { turnover: rates.reduce((a, b) => a + b, 0), docks: ids.length };
+  }
+  return out;
+}
+
+// stations: ridership model stations (id -> { lat, lon })
+function configure({ stations }) {
+  complexes = Object.entries(stations || {}).map(([id, s]) => ({ id, lat: s.lat, lon: s.lon }));
+  if (!ENABLED) health.disable('gbfs-status');
+}
+
+module.exports = { ENABLED, configure, refresh, snapshot, byComplex };
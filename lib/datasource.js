@@ -0,0 +1,125 @@
+// Data-source layer for every upstream fetch (GTFS-RT feeds, alerts, weather, station registry)
+// and the server's clock. Three modes, from DATA_SOURCE:
+//   live   - fetch upstream; the clock is the wall clock
+//   record - fetch upstream and also write each response to a session directory
+//   replay - serve a recorded session; the clock starts at the session start and runs at REPLAY_SPEED
+//
+// Session layout: <dir>/<source>/<epoch ms>.<bin|json>, one file per fetch. A replayed fetch returns
+// the latest recording at or before the virtual now, so every consumer sees the same frame.
+
+const fs = require('fs');
+const path = require('path');
+
+const MODES = ['live', 'record', 'replay'];
+const SESSIONS_DIR = process.env.DATA_SESSIONS_DIR || path.join(__dirname, '..', 'data', 'sessions');
+
+const mode = MODES.includes(process.env.DATA_SOURCE) ? process.env.DATA_SOURCE : 'live';
+const speed = parseFloat(process.env.REPLAY_SPEED) || 1;
+
+// "2025-01-17T23-05-00": sortable and safe as a directory name
+const sessionName = ts => new Date(ts).toISOString().slice(0, 19).replace(/:/g, '-');
+
+let sessionDir = null;
+if (mode === 'record') sessionDir = path.join(SESSIONS_DIR, sessionName(Date.now()));
+if (mode === 'replay') {
+  const session = process.env.DATA_SESSION;
+  if (!session) throw new Error('DATA_SOURCE=replay needs DATA_SESSION (a recorded session directory or name)');
+  sessionDir = fs.existsSync(session) ? session : path.join(SESSIONS_DIR, session);
+  if (!fs.existsSync(sessionDir)) throw new Error(`Replay session not found: ${sessionDir}`);
+}
+
+// ---------------------------------------------------------------------------
+// REPLAY INDEX + VIRTUAL CLOCK
+// ---------------------------------------------------------------------------
+// source -> [{ ts, file }] sorted by ts
+function indexSession(dir) {
+  const index = {};
+  for (const source of fs.readdirSync(dir)) {
+    const sourceDir = path.join(dir, source);
+    if (!fs.statSync(sourceDir).isDirectory()) continue;
+    index[source] = fs.readdirSync(sourceDir)
+      .map(file => ({ ts: parseInt(file), file: path.join(sourceDir, file) }))
+      .filter(r => Number.isFinite(r.ts))
+      .sort((a, b) => a.ts - b.ts);
+  }
+  return index;
+}
+
+const index = mode === 'replay' ? indexSession(sessionDir) : null;
+const bounds = (() => {
+  if (!index) return null;
+  const all = Object.values(index).flat().map(r => r.ts);
+  if (!all.length) throw new Error(`Replay session is empty: ${sessionDir}`);
+  const from = process.env.REPLAY_FROM;
+  const start = from ? (/^\d+$/.test(from) ? parseInt(from) : Date.parse(from)) : Math.min(...all);
+  if (!Number.isFinite(start)) throw new Error(`Invalid REPLAY_FROM: ${from}`);
+  return { start, end: Math.max(...all) };
+})();
+const startedAt = Date.now();
+let ended = false;
+
+// Virtual now (epoch ms). Replay holds at the last recorded frame once the session runs out.
+function now() {
+  if (!bounds) return Date.now();
+  const t = Math.round(bounds.start + (Date.now() - startedAt) * speed);
+  if (t >= bounds.end) {
+    if (!ended) { ended = true; console.log('[replay] reached end of session'); }
+    return bounds.end;
+  }
+  return t;
+}
+
+// Latest recording at or before t; the first one when t precedes the source's recordings
+function frameAt(source, t) {
+  const frames = index[source];
+  if (!frames?.length) return null;
+  let lo = 0, hi = frames.length - 1, found = 0;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (frames[mid].ts <= t) { found = mid; lo = mid + 1; } else hi = mid - 1;
+  }
+  return frames[found];
+}
+
+// ---------------------------------------------------------------------------
+// FETCH
+// ---------------------------------------------------------------------------
+// kind: 'binary' resolves to a Buffer, 'json' to parsed JSON. Throws on HTTP errors and,
+// in replay, when the session has nothing for the source.
+async function fetchSource(source, url, kind = 'json') {
+  if (mode === 'replay') {
+    const frame = frameAt(source, now());
+    if (!frame) throw new Error(`no recording for ${source}`);
+    const buf = await fs.promises.readFile(frame.file);
+    return kind === 'binary' ? buf : JSON.parse(buf.toString('utf8'));
+  }
+
+  const resp = await fetch(url);
+  if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+  const buf = Buffer.from(await resp.arrayBuffer());
+
+  if (mode === 'record') {
+    // Keyed by source name, never by URL: URLs can carry API keys
+    const dir = path.join(sessionDir, source);
+    const file = path.join(dir, `${Date.now()}.${kind === 'binary' ? 'bin' : 'json'}`);
+    fs.promises.mkdir(dir, { recursive: true })
+      .then(() => fs.promises.writeFile(file, buf))
+      .catch(err => console.error(`[record] ${source}: ${err.message}`));
+  }
+  return kind === 'binary' ? buf : JSON.parse(buf.toString('utf8'));
+}
+
+function describe() {
+  return {
+    mode,
+    session: sessionDir ? path.basename(sessionDir) : null,
+    speed: mode === 'replay' ? speed : 1,
+    now: now(),
+    start: bounds?.start ?? null,
+    end: bounds?.end ?? null
+  };
+}
+
+if (mode !== 'live') console.log(`[datasource] ${mode}: ${sessionDir}${mode === 'replay' ? ` at ${speed}x` : ''}`);
+
+module.exports = { mode, fetchSource, now, describe };
@@ -0,0 +1,190 @@
+// Event calendar: stadium, arena and parade crowds at the station complexes near each venue.
+// EVENTS_CALENDAR is a JSON or ICS calendar (file path or URL); venues come from
+// public/data/venues.json, or an event can carry its own lat/lon. An event adds riders to the
+// nearby complexes in two windows: ingress before it starts and egress after it ends.
+//
+// JSON: { "events": [{ "id", "title", "venue": "<venue id or name>" | "lat"/"lon", "start", "end",
+//   "attendance" }] }. Times are ISO 8601 or epoch ms; times without an offset are New York time.
+// ICS: VEVENT UID, SUMMARY, DTSTART, DTEND, LOCATION (matched to a venue) or GEO, X-ATTENDANCE.
+
+const fs = require('fs');
+const path = require('path');
+const datasource = require('./datasource');
+const NycTime = require('../public/nyc-time');
+
+const VENUES_PATH = path.join(__dirname, '..', 'public', 'data', 'venues.json');
+const CALENDAR = process.env.EVENTS_CALENDAR || null;
+const REFRESH_MS = 60 * 60 * 1000;
+const INGRESS_MS = 90 * 60 * 1000;       // arrivals spread over the 90 min before the start
+const EGRESS_MS = 45 * 60 * 1000;        // departures bunch into the 45 min after the end
+const DEFAULT_DURATION_MS = 3 * 60 * 60 * 1000;
+const DEFAULT_RADIUS = 800;              // meters from the venue
+const DEFAULT_TRANSIT_SHARE = 0.5;       // share of attendees riding the subway
+
+let venues = [];
+let complexes = [];                      // [{ id, lat, lon }] from the ridership model
+let calendar = { events: [], ts: 0 };
+let loading = null;
+
+function haversineMeters(lat1, lon1, lat2, lon2) {
+  const R = 6371000;
+  const toRad = d => d * Math.PI / 180;
+  const dLat = toRad(lat2 - lat1), dLon = toRad(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * R * Math.asin(Math.sqrt(a));
+}
+
+// ---------------------------------------------------------------------------
+// TIME
+// ---------------------------------------------------------------------------
+// ISO 8601 or epoch ms; a time without an offset is New York time. NaN when unparseable
+function parseTime(value) {
+  if (typeof value === 'number') return value;
+  if (value == null) return NaN;
+  return NycTime.parse(value);
+}
+
+// ICS DTSTART/DTEND: "20251031T190000Z" (UTC) or local "20251031T190000" (TZID or floating, read as
+// New York). Date-only values (all-day entries) return null: there is no crowd window to place.
+function parseIcsTime(value) {
+  const m = /^(\d{4})(\d\d)(\d\d)T(\d\d)(\d\d)(\d\d)?(Z)?$/.exec(value || '');
+  if (!m) return null;
+  const parts = [+m[1], +m[2], +m[3], +m[4], +m[5], +(m[6] || 0)];
+  return m[7] ? Date.UTC(parts[0], parts[1] - 1, ...parts.slice(2)) : NycTime.fromWallTime(...parts);
+}
+
+// ---------------------------------------------------------------------------
+// CALENDAR
+// ---------------------------------------------------------------------------
+function findVenue(ref) {
+  if (!ref) return null;
+  const key = String(ref).toLowerCase();
+  return venues.find(v => v.id === key) ||
+    venues.find(v => [v.name, ...(v.aliases || [])].some(n => key.includes(n.toLowerCase())));
+}
+
+function parseIcs(text) {
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const unescape = v => v.replace(/\\n/gi, ' ').replace(/\\([,;\\])/g, '$1');
+  const out = [];
+  let current = null;
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') { current = {}; continue; }
+    if (line === 'END:VEVENT') { if (current) out.push(current); current = null; continue; }
+    if (!current) continue;
+    const i = line.indexOf(':');
+    if (i < 0) continue;
+    const name = line.slice(0, i).split(';')[0].toUpperCase();
+    const value = line.slice(i + 1);
+    if (name === 'UID') current.id = value;
+    else if (name === 'SUMMARY') current.title = unescape(value);
+    else if (name === 'LOCATION') current.venue = unescape(value);
+    else if (name === 'DTSTART') current.start = parseIcsTime(value);
+    else if (name === 'DTEND') current.end = parseIcsTime(value);
+    else if (name === 'GEO') [current.lat, current.lon] = value.split(';').map(parseFloat);
+    else if (name === 'X-ATTENDANCE' || name === 'X-EXPECTED-ATTENDANCE') current.attendance = parseInt(value);
+  }
+  return out;
+}
+
+// Raw calendar entry -> event with its place, crowd size and the complexes that absorb it; null when
+// it can't be placed in time or space
+function normalize(raw, i) {
+  const start = parseTime(raw.start);
+  if (!Number.isFinite(start)) return null;
+  const parsedEnd = parseTime(raw.end);
+  const end = Number.isFinite(parsedEnd) && parsedEnd > start ? parsedEnd : start + DEFAULT_DURATION_MS;
+
+  const venue = findVenue(raw.venue);
+  const lat = Number.isFinite(raw.lat) ? raw.lat : venue?.lat;
+  const lon = Number.isFinite(raw.lon) ? raw.lon : venue?.lon;
+  if (!Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+  const attendance = raw.attendance || (venue?.capacity ? Math.round(venue.capacity * 0.9) : 0);
+  if (!attendance) return null;
+
+  // Closer complexes take a larger share of the crowd
+  const radius = venue?.radius || DEFAULT_RADIUS;
+  const nearby = complexes
+    .map(c => ({ id: c.id, distance: haversineMeters(lat, lon, c.lat, c.lon) }))
+    .filter(c => c.distance <= radius);
+  const weightSum = nearby.reduce((sum, c) => sum + 1 / (c.distance + 100), 0);
+
+  return {
+    id: raw.id || `event-${i}`,
+    title: raw.title || venue?.name || 'Event',
+    venue: venue?.name || raw.venue || null,
+    start,
+    end,
+    attendance,
+    riders: Math.round(attendance * (venue?.transitShare ?? DEFAULT_TRANSIT_SHARE)),
+    complexes: nearby.map(c => ({ id: c.id, share: (1 / (c.distance + 100)) / weightSum }))
+  };
+}
+
+async function readCalendar() {
+  const text = /^https?:\/\//.test(CALENDAR)
+    ? (await datasource.fetchSource('events', CALENDAR, 'binary')).toString('utf8')
+    : await fs.promises.readFile(CALENDAR, 'utf8');
+  const raw = /BEGIN:VCALENDAR/.test(text) ? parseIcs(text) : (JSON.parse(text).events || []);
+  const events = raw.map(normalize).filter(Boolean);
+  console.log(`[events] ${events.length} of ${raw.length} calendar entries placed`);
+  return events;
+}
+
+// Calendar events, re-read at most hourly; the last good calendar is kept when a reload fails
+async function load() {
+  if (!CALENDAR) return calendar.events;
+  const now = datasource.now();
+  if (calendar.ts && now - calendar.ts < REFRESH_MS) return calendar.events;
+  loading ||= readCalendar()
+    .then(events => { calendar = { events, ts: now }; })
+    .catch(err => {
+      console.error('[events] calendar load failed:', err.message);
+      calendar.ts = now;
+    })
+    .finally(() => { loading = null; });
+  await loading;
+  return calendar.events;
+}
+
+// stations: ridership model stations (id -> { lat, lon }); venues are read once
+function configure({ stations }) {
+  complexes = Object.entries(stations || {}).map(([id, s]) => ({ id, lat: s.lat, lon: s.lon }));
+  try {
+    venues = JSON.parse(fs.readFileSync(VENUES_PATH, 'utf8')).venues || [];
+  } catch (err) {
+    console.warn('[events] venues.json not found; events need their own lat/lon');
+    venues = [];
+  }
+  calendar = { events: [], ts: 0 };
+}
+
+// ---------------------------------------------------------------------------
+// CROWD BOOSTS
+// ---------------------------------------------------------------------------
+// Extra riders per hour at each complex at time t, with the events behind them:
+// { byComplex: { id: { riders, events: [{ id, title, venue, phase, riders, cause }] } }, active: [...] }
+async function boostsAt(t) {
+  const byComplex = {};
+  const active = [];
+  for (const event of await load()) {
+    let phase = null, hours = 0;
+    if (t >= event.start - INGRESS_MS && t < event.start) { phase = 'ingress'; hours = INGRESS_MS / 3600000; }
+    else if (t >= event.end && t < event.end + EGRESS_MS) { phase = 'egress'; hours = EGRESS_MS / 3600000; }
+    if (!phase) continue;
+
+    const cause = phase === 'ingress' ? `${event.title} starts ${NycTime.clock(event.start)}` : `${event.title} let out ${NycTime.clock(event.end)}`;
+    active.push({ id: event.id, title: event.title, venue: event.venue, phase, start: event.start, end: event.end, attendance: event.attendance, cause });
+    for (const c of event.complexes) {
+      const riders = Math.round(event.riders * c.share / hours);
+      if (!riders) continue;
+      const entry = byComplex[c.id] ||= { riders: 0, events: [] };
+      entry.riders += riders;
+      entry.events.push({ id: event.id, title: event.title, venue: event.venue, phase, riders, cause });
+    }
+  }
+  for (const entry of Object.values(byComplex)) entry.events.sort((a, b) => b.riders - a.riders);
+  return { byComplex, active };
+}
+
+module.exports = { configure, load, boostsAt };
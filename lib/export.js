@@ -0,0 +1,324 @@
+// Analyst exports: presence, station detail, alerts and history as GeoJSON, CSV or NDJSON.
+// Every export is a table first, one flat record per row with the same column names in every format,
+// so a CSV, an NDJSON file and a GeoJSON's feature properties line up (and NDJSON loads straight into
+// DuckDB, pandas or a Parquet writer). Columns are snake_case with the unit in the name where there is
+// one (_per_hour, _min, _f); times are ISO 8601 UTC. Lists are arrays in NDJSON and GeoJSON and
+// ";"-joined in CSV. Column sets only ever grow, at the end.
+//
+// Table-level metadata (model build dates and windows, policy, query time) goes in the GeoJSON's
+// "metadata" member, and in X-Export-* response headers for CSV and NDJSON, which keep only rows.
+
+const FORMATS = {
+  json: 'application/json',
+  geojson: 'application/geo+json',
+  csv: 'text/csv',
+  ndjson: 'application/x-ndjson'
+};
+const MEDIA_TYPES = Object.fromEntries(Object.entries(FORMATS).map(([f, type]) => [type, f]));
+
+// Express paths for a route and its format extensions (/api/presence.csv, /api/stations/611.geojson).
+// The extension comes first so that ":id" doesn't swallow it
+const paths = route => [`${route}.:format(${Object.keys(FORMATS).join('|')})`, route];
+
+// A path extension wins, then Accept (JSON when it doesn't care); null when nothing offered fits
+function negotiate(req) {
+  if (req.params.format) return req.params.format;
+  if (!req.get('accept')) return 'json';
+  const type = req.accepts(Object.values(FORMATS));
+  return type ? MEDIA_TYPES[type] : null;
+}
+
+const iso = ts => ts == null ? null : new Date(ts).toISOString();
+const round = (n, places = 3) => n == null ? null : Math.round(n * 10 ** places) / 10 ** places;
+
+// Model provenance shared by every export
+function modelMeta(ridershipModel, crimeModel) {
+  return {
+    ridership_model_generated: ridershipModel?.metadata?.generated ?? null,
+    ridership_model_weeks: ridershipModel?.metadata?.weeks ?? null,
+    crime_model_generated: crimeModel?.metadata?.generated ?? null,
+    crime_model_months_back: crimeModel?.metadata?.monthsBack ?? null
+  };
+}
+
+// ---------------------------------------------------------------------------
+// TABLES: { name, meta, columns: [[name, get]], rows, point(row) -> [lon, lat] | null,
+//          shape(row) -> GeoJSON geometry (optional, instead of point) }
+// ---------------------------------------------------------------------------
+const PRESENCE_COLUMNS = [
+  ['timestamp', s => s.timestamp],
+  ['policy', s => s.policy],
+  ['station_id', s => s.id],
+  ['station_name', s => s.name],
+  ['lat', s => s.lat],
+  ['lon', s => s.lon],
+  ['ridership_per_hour', s => s.ridership],
+  ['baseline_per_hour', s => s.baseline],
+  ['anomaly_score', s => s.anomalyScore],
+  ['is_anomaly', s => s.isAnomaly],
+  ['anomaly_cause', s => s.anomalyCause ?? null],
+  ['event_boost_per_hour', s => s.eventBoost ?? 0],
+  ['train_count', s => s.trainCount ?? null],
+  ['scheduled_trains', s => s.scheduledTrains ?? null],
+  ['crime_risk', s => s.crimeRisk],
+  ['crime_incidents', s => s.crimeTotal ?? null],
+  ['top_crime_type', s => s.topCrimeType ?? null],
+  ['safety_level', s => s.safetyLevel],
+  ['expected_wait_min', s => s.expectedWait ?? null],
+  ['wait_source', s => s.waitSource ?? null],
+  ['weather_multiplier', s => s.weatherEffect?.multiplier ?? null],
+  ['weather_bucket', s => s.weatherEffect?.bucket ?? null],
+  ['has_disruption', s => !!s.hasDisruption],
+  ['disruption_effect', s => s.disruptionEffect ?? null],
+  ['disruption_routes', s => s.disruptionRoutes || []],
+  ['street_activity_per_hour', s => s.streetActivity ?? null],
+  ['presence_score', s => s.presenceScore ?? s.ridership]
+];
+
+function presenceTable(presence, models) {
+  const timestamp = iso(presence.timestamp);
+  const policy = presence.policy ? `${presence.policy.id}@${presence.policy.version}` : null;
+  return {
+    name: 'presence',
+    meta: {
+      timestamp,
+      mode: presence.mode,
+      policy,
+      tz: presence.tz,
+      day_of_week: presence.dayOfWeek,
+      hour: presence.hour,
+      day_profile: presence.dayProfile?.profile ?? null,
+      holiday: presence.dayProfile?.holiday ?? null,
+      weather_condition: presence.weather?.condition ?? null,
+      weather_temp_f: presence.weather?.temp ?? null,
+      ...models
+    },
+    columns: PRESENCE_COLUMNS,
+    rows: presence.stations.map(s => ({ ...s, timestamp, policy })),
+    point: s => [s.lon, s.lat]
+  };
+}
+
+// The station's 7×24 baseline (plus Hol when the model has one), one row per day profile and hour,
+// with the crime risk for that hour
+function stationTable(detail, models) {
+  const rows = [];
+  for (const [profile, hourly] of Object.entries(detail.ridership.hourly)) {
+    const weekend = profile === 'Sat' || profile === 'Sun' || profile === 'Hol';
+    for (let hour = 0; hour < 24; hour++) {
+      rows.push({
+        profile, hour,
+        mean: hourly[hour],
+        stddev: detail.ridership.stddev?.[profile]?.[hour] ?? null,
+        crimeRisk: detail.crime ? detail.crime[weekend ? 'weekend' : 'weekday'][hour] : null
+      });
+    }
+  }
+  const current = detail.current;
+  return {
+    name: `station-${detail.id}`,
+    meta: {
+      station_id: detail.id,
+      station_name: detail.name,
+      lat: detail.lat,
+      lon: detail.lon,
+      timestamp: iso(detail.timestamp),
+      policy: detail.policy ? `${detail.policy.id}@${detail.policy.version}` : null,
+      tz: detail.tz,
+      ridership_per_hour: current?.ridership ?? null,
+      safety_level: current?.safetyLevel ?? null,
+      crime_risk_tier: detail.crime?.riskTier ?? null,
+      crime_incidents: detail.crime?.incidents ?? null,
+      active_alerts: detail.alerts.filter(a => a.isActiveNow).length,
+      ...models
+    },
+    columns: [
+      ['station_id', () => detail.id],
+      ['day_profile', r => r.profile],
+      ['hour', r => r.hour],
+      ['ridership_mean_per_hour', r => round(r.mean, 1)],
+      ['ridership_stddev_per_hour', r => round(r.stddev, 1)],
+      ['crime_risk', r => r.crimeRisk]
+    ],
+    rows,
+    point: () => [detail.lon, detail.lat]
+  };
+}
+
+// complexesOf(alert) -> [{ id, name, lat, lon }] for the station complexes its stops belong to
+function alertsTable(data, complexesOf, models) {
+  const rows = data.alerts.map(a => ({ ...a, complexes: complexesOf(a) }));
+  return {
+    name: 'alerts',
+    meta: { timestamp: iso(data.timestamp), alert_count: data.alertCount, active_count: data.activeCount, ...models },
+    columns: [
+      ['alert_id', a => a.id],
+      ['header', a => a.header],
+      ['effect', a => a.effect],
+      ['cause', a => a.cause],
+      ['severity', a => a.severity],
+      ['planned', a => !!a.planned],
+      ['is_active_now', a => !!a.isActiveNow],
+      ['alert_type', a => a.alertType ?? null],
+      ['start', a => iso(a.nextActivePeriod?.start != null ? a.nextActivePeriod.start * 1000 : null)],
+      ['end', a => iso(a.nextActivePeriod?.end ? a.nextActivePeriod.end * 1000 : null)],
+      ['first_seen', a => iso(a.firstSeen)],
+      ['active_since', a => iso(a.activeSince)],
+      ['affected_routes', a => a.affectedRoutes || []],
+      ['affected_complex_ids', a => a.complexes.map(c => c.id)],
+      ['affected_complex_names', a => a.complexes.map(c => c.name)]
+    ],
+    rows,
+    // MultiPoint over the affected complexes
+    point: a => a.complexes.length ? a.complexes.map(c => [c.lon, c.lat]) : null
+  };
+}
+
+// station: { id, name, lat, lon } for a station series, null for city totals
+function historyTable(result, station, models) {
+  const meta = {
+    station_id: station?.id ?? null,
+    station_name: station?.name ?? null,
+    from: iso(result.from),
+    to: iso(result.to),
+    resolution: result.resolution ?? null,
+    ...models
+  };
+  const common = [
+    ['timestamp', p => iso(p.ts)],
+    ['samples', p => p.samples]
+  ];
+  const weather = [
+    ['weather_condition', p => p.weather?.condition ?? null],
+    ['weather_temp_f', p => p.weather?.temp ?? null]
+  ];
+  const columns = station
+    ? [
+      ...common,
+      ['station_id', () => station.id],
+      ['ridership_per_hour', p => p.ridership],
+      ['baseline_per_hour', p => p.baseline],
+      ['anomaly_rate', p => p.anomalyRate],
+      ['is_anomaly', p => p.isAnomaly],
+      ['safety_level', p => p.safetyLevel],
+      ['disruption_effect', p => p.disruptionEffect ?? null],
+      ...weather
+    ]
+    : [
+      ...common,
+      ['total_presence', p => p.totalPresence],
+      ['anomaly_count', p => p.anomalyCount],
+      ['avoid_count', p => p.safetyStats?.avoid ?? null],
+      ['caution_count', p => p.safetyStats?.caution ?? null],
+      ['safe_count', p => p.safetyStats?.safe ?? null],
+      ...weather
+    ];
+  return {
+    name: station ? `history-${station.id}` : 'history',
+    meta,
+    columns,
+    rows: result.points,
+    point: () => station ? [station.lon, station.lat] : null
+  };
+}
+
+// Street-level grid cells (lib/grid.js), one row per cell; GeoJSON features are the hexagons.
+// boundary(id) -> closed [lon, lat] ring (public/hexgrid.js)
+function gridTable(data, boundary, models) {
+  return {
+    name: `grid-${data.res}`,
+    meta: {
+      timestamp: iso(data.timestamp),
+      mode: data.mode,
+      policy: data.policy ? `${data.policy.id}@${data.policy.version}` : null,
+      tz: data.tz,
+      day_of_week: data.dayOfWeek,
+      hour: data.hour,
+      res: data.res,
+      edge_m: data.edgeMeters,
+      bbox: data.bbox.join(','),
+      ...models
+    },
+    columns: [
+      ['cell_id', c => c.id],
+      ['lat', c => c.lat],
+      ['lon', c => c.lon],
+      ['presence_per_hour', c => c.presence],
+      ['density_per_km2_hour', c => c.density],
+      ['station_equivalent', c => c.stationEquivalent],
+      ['crime_risk', c => c.crimeRisk],
+      ['safety_level', c => c.safetyLevel],
+      ['complex_count', c => c.complexCount],
+      ['nearest_complex_id', c => c.nearest?.id ?? null],
+      ['nearest_complex_name', c => c.nearest?.name ?? null],
+      ['nearest_walk_m', c => c.nearest?.walkMeters ?? null]
+    ],
+    rows: data.cells,
+    point: c => [c.lon, c.lat],
+    shape: c => ({ type: 'Polygon', coordinates: [boundary(c.id)] })
+  };
+}
+
+// ---------------------------------------------------------------------------
+// SERIALIZERS
+// ---------------------------------------------------------------------------
+function record(table, row) {
+  const out = {};
+  for (const [name, get] of table.columns) out[name] = get(row) ?? null;
+  return out;
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = Array.isArray(value) ? value.join(';') : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCSV(table) {
+  const lines = [table.columns.map(([name]) => name).join(',')];
+  for (const row of table.rows) lines.push(Object.values(record(table, row)).map(csvCell).join(','));
+  return lines.join('\r\n') + '\r\n';
+}
+
+function toNDJSON(table) {
+  return table.rows.map(row => JSON.stringify(record(table, row)) + '\n').join('');
+}
+
+function toGeoJSON(table) {
+  return {
+    type: 'FeatureCollection',
+    metadata: table.meta,
+    features: table.rows.map(row => {
+      const coords = table.point(row);
+      return {
+        type: 'Feature',
+        geometry: table.shape ? table.shape(row)
+          : !coords ? null
+          : Array.isArray(coords[0]) ? { type: 'MultiPoint', coordinates: coords }
+          : { type: 'Point', coordinates: coords },
+        properties: record(table, row)
+      };
+    })
+  };
+}
+
+// Writes a table in a negotiated non-JSON format
+function send(res, format, table) {
+  res.vary('Accept');
+  if (format === 'geojson') {
+    res.type(FORMATS.geojson).send(JSON.stringify(toGeoJSON(table)));
+    return;
+  }
+  for (const [key, value] of Object.entries(table.meta)) {
+    if (value === null || value === undefined) continue;
+    const header = 'X-Export-' + key.split('_').map(w => w[0].toUpperCase() + w.slice(1)).join('-');
+    const text = String(value);
+    // Header values must be printable ASCII; anything else (a station name with an accent) is percent-encoded
+    res.setHeader(header, /^[\x20-\x7e]*$/.test(text) ? text : encodeURIComponent(text));
+  }
+  res.setHeader('Content-Disposition', `inline; filename="${table.name}.${format}"`);
+  res.type(format === 'csv' ? 'text/csv; charset=utf-8' : FORMATS.ndjson);
+  res.send(format === 'csv' ? toCSV(table) : toNDJSON(table));
+}
+
+module.exports = { FORMATS, paths, negotiate, modelMeta, presenceTable, stationTable, alertsTable, historyTable, gridTable, send };
@@ -0,0 +1,139 @@
+// Street-level presence grid: station complex ridership spread onto hexagonal cells
+// (public/hexgrid.js) so a street corner between stations has its own number and safety level.
+//
+// People reach a complex on foot from its entrances, so a complex's riders are spread over the cells
+// around it by the walk from the nearest entrance: reach = exp(-walk / DECAY), out to MAX_WALK. The
+// walk is the straight-line distance from the entrance to the closest part of the cell, times DETOUR
+// for the street grid. Each complex's reach is normalised over its cells into shares that sum to 1,
+// so a cell's presence is the riders per hour it gets from every complex reaching it, and summing
+// presence over all cells gives back the stations' totals. It depends on the cell size; density is
+// the same figure per km^2, comparable across resolutions.
+//
+// The policy's ridership thresholds are written for a station, not for one cell's share of it, so
+// the level runs on stationEquivalent instead: the complexes' riders weighted by reach alone (1 at
+// an entrance), i.e. what the station's figure amounts to this far from it. Crime risk is the
+// reach-weighted mean of the complexes' risk. Cells have no wait (platform waits and disruptions
+// are the station's, not the street's).
+//
+// Entrances come from public/data/entrances.json (npm run build-entrances); without it a
+// complex's own coordinates and its stops from the station registry stand in.
+
+const HexGrid = require('../public/hexgrid');
+const SafetyPolicy = require('../public/safety-policy');
+
+const DECAY = 250;                       // meters of walk per e-fold
+const MAX_WALK = 800;                    // meters: about ten minutes
+const DETOUR = 1.3;                      // street network vs straight line
+const MAX_CELLS = 20000;
+
+let points = {};                         // complex id -> [[lat, lon], ...]
+let names = {};                          // complex id -> name
+const kernels = new Map();               // res -> Map(cell id -> [[complex id, share, reach, walk]])
+
+function distanceMeters(lat1, lon1, lat2, lon2) {
+  const [x1, y1] = HexGrid.toXY(lat1, lon1), [x2, y2] = HexGrid.toXY(lat2, lon2);
+  return Math.hypot(x2 - x1, y2 - y1);
+}
+
+// stations: ridership model stations (id -> { name, lat, lon }); entrances: complex id -> [[lat, lon]]
+// (entrances.json, or registry stops). Drops the cached kernels.
+function configure({ stations, entrances = {} }) {
+  points = {};
+  names = {};
+  for (const [id, s] of Object.entries(stations || {})) {
+    names[id] = s.name;
+    points[id] = entrances[id]?.length ? entrances[id] : [[s.lat, s.lon]];
+  }
+  kernels.clear();
+}
+
+// Which complexes reach each cell at a resolution, with the share of their riders; built on first use
+function kernel(res) {
+  if (kernels.has(res)) return kernels.get(res);
+  const inradius = HexGrid.inradius(res);
+  const k = Math.ceil((MAX_WALK / DETOUR + inradius) / (2 * inradius)) + 1;
+  const cells = new Map();
+  for (const [complex, list] of Object.entries(points)) {
+    // Shortest walk to this complex from each cell near any of its entrances
+    const walks = new Map();
+    for (const [lat, lon] of list) {
+      for (const cell of HexGrid.disk(HexGrid.cellAt(lat, lon, res), k)) {
+        const [clat, clon] = HexGrid.center(cell);
+        const walk = Math.max(0, distanceMeters(lat, lon, clat, clon) - inradius) * DETOUR;
+        if (walk <= MAX_WALK && !(walks.get(cell) <= walk)) walks.set(cell, walk);
+      }
+    }
+    let total = 0;
+    for (const walk of walks.values()) total += Math.exp(-walk / DECAY);
+    for (const [cell, walk] of walks) {
+      const reach = Math.exp(-walk / DECAY);
+      if (!cells.has(cell)) cells.set(cell, []);
+      cells.get(cell).push([complex, reach / total, reach, walk]);
+    }
+  }
+  kernels.set(res, cells);
+  console.log(`[grid] res ${res}: ${cells.size} cells within walking distance of ${Object.keys(points).length} complexes`);
+  return cells;
+}
+
+// One cell from a presence snapshot; null when no complex is within walking distance
+function cellRecord(cellId, contributions, byId, policy, hour, res) {
+  let presence = 0, equivalent = 0, riskWeighted = 0, reachSum = 0, complexCount = 0, nearest = null;
+  for (const [complex, share, reach, walk] of contributions) {
+    const s = byId.get(complex);
+    if (!s) continue;
+    const riders = s.presenceScore ?? s.ridership;
+    presence += riders * share;
+    equivalent += riders * reach;
+    riskWeighted += s.crimeRisk * reach;
+    reachSum += reach;
+    complexCount++;
+    if (!nearest || walk < nearest.walkMeters) nearest = { id: complex, name: names[complex], walkMeters: Math.round(walk) };
+  }
+  if (!reachSum) return null;
+  const [lat, lon] = HexGrid.center(cellId);
+  const stationEquivalent = Math.round(equivalent);
+  const crimeRisk = Math.round(riskWeighted / reachSum * 1000) / 1000;
+  return {
+    id: cellId,
+    lat: Math.round(lat * 1e6) / 1e6,
+    lon: Math.round(lon * 1e6) / 1e6,
+    presence: Math.round(presence * 10) / 10,
+    density: Math.round(presence / (HexGrid.area(res) / 1e6)),
+    stationEquivalent,
+    crimeRisk,
+    safetyLevel: SafetyPolicy.levelOf(policy, { ridership: stationEquivalent, crimeRisk, expectedWait: null }, hour),
+    complexCount,
+    nearest
+  };
+}
+
+const stationIndex = presence => new Map(presence.stations.map(s => [s.id, s]));
+
+// Cells in a [minLon, minLat, maxLon, maxLat] box that some complex reaches. Throws RangeError when
+// the box holds more than MAX_CELLS cells at this resolution
+function cellsIn(presence, policy, bbox, res) {
+  const count = HexGrid.countInBbox(bbox, res);
+  if (count > MAX_CELLS) throw new RangeError(`bbox covers ~${count} cells at res ${res} (max ${MAX_CELLS}); zoom in or use a coarser res`);
+  const cells = kernel(res);
+  const byId = stationIndex(presence);
+  const out = [];
+  for (const cellId of HexGrid.cellsInBbox(bbox, res)) {
+    const contributions = cells.get(cellId);
+    const record = contributions && cellRecord(cellId, contributions, byId, policy, presence.hour, res);
+    if (record) out.push(record);
+  }
+  return out;
+}
+
+// The cell at any coordinate, for the trip planner or search; presence 0 and no level out of reach
+function cellAt(presence, policy, lat, lon, res) {
+  const cellId = HexGrid.cellAt(lat, lon, res);
+  const contributions = kernel(res).get(cellId);
+  const record = contributions && cellRecord(cellId, contributions, stationIndex(presence), policy, presence.hour, res);
+  if (record) return record;
+  const [clat, clon] = HexGrid.center(cellId);
+  return { id: cellId, lat: Math.round(clat * 1e6) / 1e6, lon: Math.round(clon * 1e6) / 1e6, presence: 0, density: 0, stationEquivalent: 0, crimeRisk: null, safetyLevel: null, complexCount: 0, nearest: null };
+}
+
+module.exports = { DECAY, MAX_WALK, MAX_CELLS, configure, cellsIn, cellAt };
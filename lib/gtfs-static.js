@@ -0,0 +1,118 @@
+// GTFS static reader shared by the build scripts and the server (agency station registries).
+// Reads tables straight from a GTFS zip (stored or deflated entries) or from an extracted directory.
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+// ---------------------------------------------------------------------------
+// ZIP
+// ---------------------------------------------------------------------------
+function readZipEntries(buf) {
+  // End of central directory record sits in the last 64 KB (22 bytes + optional comment)
+  let eocd = -1;
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 65557); i--) {
+    if (buf.readUInt32LE(i) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd < 0) throw new Error('not a zip file');
+
+  const count = buf.readUInt16LE(eocd + 10);
+  let p = buf.readUInt32LE(eocd + 16);
+  const entries = {};
+  for (let i = 0; i < count; i++) {
+    if (buf.readUInt32LE(p) !== 0x02014b50) throw new Error('corrupt zip central directory');
+    const method = buf.readUInt16LE(p + 10);
+    const compressedSize = buf.readUInt32LE(p + 20);
+    const nameLen = buf.readUInt16LE(p + 28);
+    const extraLen = buf.readUInt16LE(p + 30);
+    const commentLen = buf.readUInt16LE(p + 32);
+    const localOffset = buf.readUInt32LE(p + 42);
+    const name = buf.toString('utf8', p + 46, p + 46 + nameLen);
+    entries[path.basename(name)] = { method, compressedSize, localOffset };
+    p += 46 + nameLen + extraLen + commentLen;
+  }
+  return entries;
+}
+
+function inflateEntry(buf, entry) {
+  const p = entry.localOffset;
+  if (buf.readUInt32LE(p) !== 0x04034b50) throw new Error('corrupt zip local header');
+  const start = p + 30 + buf.readUInt16LE(p + 26) + buf.readUInt16LE(p + 28);
+  const data = buf.subarray(start, start + entry.compressedSize);
+  if (entry.method === 0) return data;
+  if (entry.method === 8) return zlib.inflateRawSync(data);
+  throw new Error(`unsupported zip compression method ${entry.method}`);
+}
+
+// ---------------------------------------------------------------------------
+// CSV
+// ---------------------------------------------------------------------------
+function splitCsvLine(line) {
+  if (!line.includes('"')) return line.split(',');
+  const out = [];
+  let field = '', quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ',') { out.push(field); field = ''; }
+    else field += ch;
+  }
+  out.push(field);
+  return out;
+}
+
+// Calls onRow(object) per data row; header names become keys
+function parseCsv(text, onRow) {
+  const lines = text.replace(/^﻿/, '').split(/\r?\n/);
+  const header = splitCsvLine(lines[0]).map(h => h.trim());
+  for (let i = 1; i < lines.length; i++) {
+    if (!lines[i]) continue;
+    const values = splitCsvLine(lines[i]);
+    const row = {};
+    for (let j = 0; j < header.length; j++) row[header[j]] = values[j] !== undefined ? values[j].trim() : '';
+    onRow(row);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// SOURCE
+// ---------------------------------------------------------------------------
+// source: path to a GTFS zip or to a directory of extracted .txt files
+function openGtfs(source) {
+  if (!fs.existsSync(source)) throw new Error(`GTFS source not found: ${source}`);
+
+  if (fs.statSync(source).isDirectory()) {
+    return {
+      has: name => fs.existsSync(path.join(source, name)),
+      forEach(name, onRow) { parseCsv(fs.readFileSync(path.join(source, name), 'utf8'), onRow); }
+    };
+  }
+
+  return readGtfsZip(fs.readFileSync(source), source);
+}
+
+// A GTFS zip already in memory (a download)
+function readGtfsZip(buf, label = 'GTFS zip') {
+  const entries = readZipEntries(buf);
+  return {
+    has: name => !!entries[name],
+    forEach(name, onRow) {
+      if (!entries[name]) throw new Error(`${name} missing from ${label}`);
+      parseCsv(inflateEntry(buf, entries[name]).toString('utf8'), onRow);
+    }
+  };
+}
+
+// "25:13:00" -> seconds after service-day midnight (GTFS times may exceed 24h)
+function parseGtfsTime(str) {
+  if (!str) return null;
+  const [h, m, s] = str.split(':').map(Number);
+  if ([h, m, s].some(Number.isNaN)) return null;
+  return h * 3600 + m * 60 + s;
+}
+
+module.exports = { openGtfs, readGtfsZip, parseCsv, parseGtfsTime };
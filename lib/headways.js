@@ -0,0 +1,121 @@
+// Platform headways from GTFS-RT trip updates: next arrival per station complex and direction (N/S),
+// the live gap that arrival closes, and how it compares with the scheduled headway for the hour.
+// Scheduled headways come from gtfs-model.json directionalArrivals (scripts/build-gtfs-model.js).
+
+const { dayTypeOf } = require('./router');
+
+const LOOKBACK_SEC = 30 * 60;     // passed stops still listed in the feed anchor the current gap
+const LOOKAHEAD_SEC = 90 * 60;
+const AT_PLATFORM_SEC = 30;       // a train this close counts as arriving now
+const ABNORMAL_RATIO = 2.0;
+const ABNORMAL_MIN_GAP = 8;       // minutes: rush-hour 2 -> 4 min bunching is not a safety issue
+const DIRECTIONS = ['N', 'S'];
+
+// complex -> { N: [{ t, route }], S: [...] } from every feed's stopTimeUpdates
+function collectArrivals(feeds, nowSec, complexOf) {
+  const arrivals = {};
+  for (const feed of feeds) {
+    if (!feed || !feed.entity) continue;
+    for (const entity of feed.entity) {
+      const tu = entity.tripUpdate;
+      if (!tu || !tu.stopTimeUpdate) continue;
+      const route = tu.trip?.routeId || null;
+      for (const stu of tu.stopTimeUpdate) {
+        const dir = /[NS]$/.exec(stu.stopId || '')?.[0];
+        if (!dir) continue;
+        const t = Number(stu.arrival?.time?.low || stu.arrival?.time || stu.departure?.time?.low || stu.departure?.time || 0);
+        if (t < nowSec - LOOKBACK_SEC || t > nowSec + LOOKAHEAD_SEC) continue;
+        const complexId = complexOf(stu.stopId);
+        if (!complexId) continue;
+        const byDir = arrivals[complexId] ||= { N: [], S: [] };
+        byDir[dir].push({ t, route });
+      }
+    }
+  }
+  return arrivals;
+}
+
+function scheduledHeadway(directional, complexId, dir, dayType, hour) {
+  const perHour = directional?.[complexId]?.[dir]?.[dayType]?.[hour] || 0;
+  return perHour > 0 ? 60 / perHour : null;
+}
+
+const round1 = n => Math.round(n * 10) / 10;
+
+function directionWait(list, nowSec, schedHeadway) {
+  const sorted = [...list].sort((a, b) => a.t - b.t);
+  const upcoming = sorted.filter(a => a.t >= nowSec - AT_PLATFORM_SEC);
+  const past = sorted.filter(a => a.t < nowSec - AT_PLATFORM_SEC);
+  const next = upcoming[0];
+  if (!next) {
+    return { nextArrivalMin: null, nextRoute: null, headwayMin: null, scheduledHeadwayMin: schedHeadway && round1(schedHeadway), gapRatio: null, isAbnormalGap: false };
+  }
+
+  const waitMin = Math.max(0, (next.t - nowSec) / 60);
+  // The gap this train closes: from the last train if the feed still lists it, else to the one after
+  let headwayMin = null;
+  if (past.length) headwayMin = (next.t - past[past.length - 1].t) / 60;
+  else if (upcoming[1]) headwayMin = (upcoming[1].t - next.t) / 60;
+  // Anyone on the platform now waits at least waitMin, whatever the spacing behind
+  const gap = Math.max(headwayMin ?? 0, waitMin);
+  const gapRatio = schedHeadway ? gap / schedHeadway : null;
+
+  return {
+    nextArrivalMin: Math.round(waitMin),
+    nextRoute: next.route,
+    upcomingRoutes: [...new Set(upcoming.slice(0, 4).map(a => a.route).filter(Boolean))],
+    headwayMin: headwayMin === null ? null : round1(headwayMin),
+    scheduledHeadwayMin: schedHeadway && round1(schedHeadway),
+    gapRatio: gapRatio === null ? null : round1(gapRatio),
+    isAbnormalGap: gapRatio !== null && gapRatio >= ABNORMAL_RATIO && gap >= ABNORMAL_MIN_GAP
+  };
+}
+
+// Live waits for one complex. expectedWait is the longest next-arrival wait across directions:
+// safety is judged for whoever is stuck on the slower platform.
+function liveWaits(byDir, nowSec, directional, complexId, dayOfWeek, hour) {
+  const dayType = dayTypeOf(dayOfWeek);
+  const waits = {};
+  let expectedWait = null;
+  for (const dir of DIRECTIONS) {
+    const sched = scheduledHeadway(directional, complexId, dir, dayType, hour);
+    if (!byDir?.[dir]?.length && !sched) continue;
+    const w = directionWait(byDir?.[dir] || [], nowSec, sched);
+    waits[dir] = w;
+    if (w.nextArrivalMin !== null) expectedWait = Math.max(expectedWait ?? 0, w.nextArrivalMin);
+  }
+  return Object.keys(waits).length ? { waits, expectedWait } : null;
+}
+
+// Schedule-only waits (explore mode, or no live data): half the scheduled headway
+function scheduledWaits(directional, complexId, dayOfWeek, hour) {
+  const dayType = dayTypeOf(dayOfWeek);
+  const waits = {};
+  let expectedWait = null;
+  for (const dir of DIRECTIONS) {
+    const sched = scheduledHeadway(directional, complexId, dir, dayType, hour);
+    if (!sched) continue;
+    waits[dir] = { nextArrivalMin: null, nextRoute: null, headwayMin: null, scheduledHeadwayMin: round1(sched), gapRatio: null, isAbnormalGap: false };
+    expectedWait = Math.max(expectedWait ?? 0, Math.round(sched / 2));
+  }
+  return Object.keys(waits).length ? { waits, expectedWait } : null;
+}
+
+// Upcoming arrivals grouped by line: { N: [{ route, minutes: [2, 9, 17] }], S: [...] }
+function upcomingByRoute(byDir, nowSec, perRoute = 3) {
+  const out = {};
+  for (const dir of DIRECTIONS) {
+    const routes = new Map();
+    const upcoming = (byDir?.[dir] || []).filter(a => a.t >= nowSec - AT_PLATFORM_SEC).sort((a, b) => a.t - b.t);
+    for (const a of upcoming) {
+      const key = a.route || '?';
+      if (!routes.has(key)) routes.set(key, []);
+      const list = routes.get(key);
+      if (list.length < perRoute) list.push(Math.max(0, Math.round((a.t - nowSec) / 60)));
+    }
+    out[dir] = [...routes].map(([route, minutes]) => ({ route, minutes }));
+  }
+  return out;
+}
+
+module.exports = { collectArrivals, liveWaits, scheduledWaits, upcomingByRoute, ABNORMAL_RATIO };
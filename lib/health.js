@@ -0,0 +1,90 @@
+// Upstream feed health: per source, the last success and error, consecutive failures, fetch latency,
+// entity count and, for GTFS-RT, how old the feed's own header timestamp is. States:
+//   fresh    - the last fetch worked and its data is recent
+//   stale    - serving older data: the last fetch failed, the last success is too old, or the
+//              feed's header timestamp lags the clock
+//   missing  - nothing has been fetched successfully yet
+//   disabled - not configured (e.g. no weather API key); never counts as degraded
+// Times are on the server clock (lib/datasource.js), so replays judge staleness at replay time.
+
+const datasource = require('./datasource');
+
+const sources = new Map();
+
+// staleAfterMs: how old the last success (and the feed header) may be before the source is stale
+function register(id, { label = id, staleAfterMs = Infinity } = {}) {
+  if (!sources.has(id)) {
+    sources.set(id, {
+      id, label, staleAfterMs, disabled: false,
+      lastAttempt: null, lastSuccess: null, lastError: null,
+      consecutiveFailures: 0, latencyMs: null, entities: null, feedTimestamp: null
+    });
+  }
+  return sources.get(id);
+}
+
+// entities: item count in the response; feedTimestamp: the feed's own timestamp (ms), if it has one
+function success(id, { latencyMs = null, entities = null, feedTimestamp = null } = {}) {
+  const s = register(id);
+  const now = datasource.now();
+  Object.assign(s, { disabled: false, lastAttempt: now, lastSuccess: now, consecutiveFailures: 0, latencyMs, entities, feedTimestamp });
+}
+
+function failure(id, err, latencyMs = null) {
+  const s = register(id);
+  const now = datasource.now();
+  s.lastAttempt = now;
+  s.lastError = { at: now, message: err?.message || String(err) };
+  s.consecutiveFailures++;
+  if (latencyMs !== null) s.latencyMs = latencyMs;
+}
+
+function disable(id) {
+  register(id).disabled = true;
+}
+
+function stateOf(s, now = datasource.now()) {
+  if (s.disabled) return 'disabled';
+  if (s.lastSuccess === null) return 'missing';
+  if (s.consecutiveFailures > 0 || now - s.lastSuccess > s.staleAfterMs) return 'stale';
+  if (s.feedTimestamp !== null && now - s.feedTimestamp > s.staleAfterMs) return 'stale';
+  return 'fresh';
+}
+
+function state(id) {
+  const s = sources.get(id);
+  return s ? stateOf(s) : 'missing';
+}
+
+// Worst state across a group of sources (the eight subway feeds read as one "trains" input):
+// fresh only when all are, missing only when none has data
+function combined(ids) {
+  const states = ids.map(state).filter(st => st !== 'disabled');
+  if (!states.length) return 'disabled';
+  if (states.every(st => st === 'fresh')) return 'fresh';
+  if (states.every(st => st === 'missing')) return 'missing';
+  return 'stale';
+}
+
+// Full report for /api/status
+function report() {
+  const now = datasource.now();
+  const out = {};
+  for (const s of sources.values()) {
+    out[s.id] = {
+      label: s.label,
+      state: stateOf(s, now),
+      lastAttempt: s.lastAttempt,
+      lastSuccess: s.lastSuccess,
+      lastError: s.lastError,
+      consecutiveFailures: s.consecutiveFailures,
+      latencyMs: s.latencyMs,
+      entities: s.entities,
+      feedTimestamp: s.feedTimestamp,
+      feedAgeSec: s.feedTimestamp !== null ? Math.round((now - s.feedTimestamp) / 1000) : null
+    };
+  }
+  return out;
+}
+
+module.exports = { register, success, failure, disable, state, combined, report };
@@ -0,0 +1,355 @@
+// Presence snapshot history: records every live computePresence() result to a pluggable store,
+// downsamples old snapshots, and answers time-series queries for /api/history.
+//
+// Records are partitioned by UTC hour. Two tiers:
+//   raw - one record per presence computation (~30s apart)
+//   ds  - downsampled buckets (default 15 min), produced once a raw partition ages past retention
+// Both tiers share the station tuple layout, so queries merge them without special cases.
+
+const fs = require('fs');
+const path = require('path');
+const { kvConfigured, kv, kvPipeline } = require('./kv');
+
+const CONFIG = {
+  store: process.env.HISTORY_STORE || (kvConfigured() ? 'kv' : 'file'), // file | kv | off
+  dir: process.env.HISTORY_DIR || (process.env.VERCEL ? '/tmp/eyes-history' : path.join(__dirname, '..', 'data', 'history')),
+  intervalMs: (parseInt(process.env.HISTORY_INTERVAL_SECONDS) || 30) * 1000,
+  rawRetentionMs: (parseFloat(process.env.HISTORY_RAW_RETENTION_HOURS) || 24) * 3600000,
+  retentionMs: (parseFloat(process.env.HISTORY_RETENTION_DAYS) || 30) * 86400000,
+  bucketMs: (parseInt(process.env.HISTORY_DOWNSAMPLE_MINUTES) || 15) * 60000
+};
+
+const HOUR_MS = 3600000;
+const MAX_POINTS = 500;
+// Nothing older than both tiers' retention is kept, so no query needs a longer range
+const MAX_RANGE_MS = CONFIG.retentionMs + CONFIG.rawRetentionMs;
+const SAFETY_CODES = ['safe', 'caution', 'avoid'];
+
+// Station tuple: [ridership, baseline, anomaly (0-1 fraction), safety code (worst), disruption effect]
+const T_RIDERSHIP = 0, T_BASELINE = 1, T_ANOMALY = 2, T_SAFETY = 3, T_DISRUPTION = 4;
+
+// ---------------------------------------------------------------------------
+// STORES
+// Interface: append(tier, partition, record), read(tier, partition) -> records,
+//            write(tier, partition, records), remove(tier, partition), partitions(tier) -> sorted keys
+// ---------------------------------------------------------------------------
+function createFileStore(dir) {
+  const file = (tier, partition) => path.join(dir, `${tier}-${partition}.ndjson`);
+  let ready = null;
+  const ensureDir = () => ready || (ready = fs.promises.mkdir(dir, { recursive: true }));
+
+  return {
+    name: 'file',
+    async append(tier, partition, record) {
+      await ensureDir();
+      await fs.promises.appendFile(file(tier, partition), JSON.stringify(record) + '\n');
+    },
+    async read(tier, partition) {
+      try {
+        const raw = await fs.promises.readFile(file(tier, partition), 'utf8');
+        return raw.split('\n').filter(Boolean).map(line => JSON.parse(line));
+      } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+      }
+    },
+    async write(tier, partition, records) {
+      await ensureDir();
+      await fs.promises.writeFile(file(tier, partition), records.map(r => JSON.stringify(r) + '\n').join(''));
+    },
+    async remove(tier, partition) {
+      await fs.promises.rm(file(tier, partition), { force: true });
+    },
+    async partitions(tier) {
+      await ensureDir();
+      const prefix = `${tier}-`;
+      return (await fs.promises.readdir(dir))
+        .filter(f => f.startsWith(prefix) && f.endsWith('.ndjson'))
+        .map(f => f.slice(prefix.length, -'.ndjson'.length))
+        .sort();
+    }
+  };
+}
+
+function createKvStore(prefix) {
+  const key = (tier, partition) => `${prefix}:${tier}:${partition}`;
+  const index = tier => `${prefix}:${tier}:partitions`;
+  // Safety net so abandoned partitions never outlive retention
+  const ttlSec = Math.ceil((CONFIG.retentionMs + CONFIG.rawRetentionMs + 2 * HOUR_MS) / 1000);
+
+  return {
+    name: 'kv',
+    async append(tier, partition, record) {
+      await kvPipeline([
+        ['RPUSH', key(tier, partition), JSON.stringify(record)],
+        ['EXPIRE', key(tier, partition), ttlSec],
+        ['SADD', index(tier), partition]
+      ]);
+    },
+    async read(tier, partition) {
+      const items = await kv('LRANGE', key(tier, partition), 0, -1);
+      return (items || []).map(item => JSON.parse(item));
+    },
+    async write(tier, partition, records) {
+      const commands = [['DEL', key(tier, partition)]];
+      if (records.length) {
+        commands.push(['RPUSH', key(tier, partition), ...records.map(r => JSON.stringify(r))]);
+        commands.push(['EXPIRE', key(tier, partition), ttlSec]);
+        commands.push(['SADD', index(tier), partition]);
+      }
+      await kvPipeline(commands);
+    },
+    async remove(tier, partition) {
+      await kvPipeline([['DEL', key(tier, partition)], ['SREM', index(tier), partition]]);
+    },
+    async partitions(tier) {
+      return ((await kv('SMEMBERS', index(tier))) || []).sort();
+    }
+  };
+}
+
+function createStore() {
+  if (CONFIG.store === 'off') return null;
+  if (CONFIG.store === 'kv') {
+    if (kvConfigured()) return createKvStore('eyes:history');
+    console.warn('[history] HISTORY_STORE=kv but KV_REST_API_URL/KV_REST_API_TOKEN missing, using file store');
+  }
+  return createFileStore(CONFIG.dir);
+}
+
+const store = createStore();
+
+// ---------------------------------------------------------------------------
+// PARTITIONS
+// ---------------------------------------------------------------------------
+function partitionOf(ts) {
+  return new Date(ts).toISOString().slice(0, 13); // 2026-02-10T23
+}
+
+function partitionStart(partition) {
+  return Date.parse(partition + ':00:00Z');
+}
+
+// ---------------------------------------------------------------------------
+// RECORDING
+// ---------------------------------------------------------------------------
+let lastRecordTs = 0;
+let lastCompactTs = 0;
+
+function toSnapshot(presence) {
+  const s = {};
+  for (const st of presence.stations) {
+    s[st.id] = [
+      st.ridership,
+      st.baseline,
+      st.isAnomaly ? 1 : 0,
+      Math.max(0, SAFETY_CODES.indexOf(st.safetyLevel)),
+      st.disruptionEffect || null
+    ];
+  }
+  const w = presence.weather;
+  return {
+    ts: presence.timestamp,
+    n: 1,
+    totalPresence: presence.totalPresence,
+    anomalyCount: presence.anomalyCount || 0,
+    safetyStats: presence.safetyStats,
+    weather: w ? { condition: w.condition, temp: w.temp } : null,
+    s
+  };
+}
+
+async function record(presence) {
+  if (!store || !presence?.stations?.length) return false;
+  const ts = presence.timestamp;
+  // Small tolerance: cache refreshes land slightly under the interval apart
+  if (ts - lastRecordTs < CONFIG.intervalMs * 0.9) return false;
+  lastRecordTs = ts;
+
+  await store.append('raw', partitionOf(ts), toSnapshot(presence));
+
+  if (ts - lastCompactTs >= HOUR_MS) {
+    lastCompactTs = ts;
+    await compact(ts);
+  }
+  return true;
+}
+
+// ---------------------------------------------------------------------------
+// DOWNSAMPLING + RETENTION
+// ---------------------------------------------------------------------------
+// Merge records into fixed-width buckets, weighting by each record's sample count
+function downsample(records, bucketMs) {
+  const buckets = new Map();
+  for (const r of records) {
+    const start = Math.floor(r.ts / bucketMs) * bucketMs;
+    let list = buckets.get(start);
+    if (!list) buckets.set(start, list = []);
+    list.push(r);
+  }
+
+  const out = [];
+  for (const [start, list] of [...buckets.entries()].sort((a, b) => a[0] - b[0])) {
+    const n = list.reduce((sum, r) => sum + (r.n || 1), 0);
+    const mean = get => Math.round(list.reduce((sum, r) => sum + get(r) * (r.n || 1), 0) / n);
+    const last = list[list.length - 1];
+
+    const s = {};
+    const ids = new Set(list.flatMap(r => Object.keys(r.s)));
+    for (const id of ids) {
+      let weight = 0, rid = 0, base = 0, anom = 0, safety = 0, disruption = null;
+      for (const r of list) {
+        const t = r.s[id];
+        if (!t) continue;
+        const w = r.n || 1;
+        weight += w;
+        rid += t[T_RIDERSHIP] * w;
+        base += t[T_BASELINE] * w;
+        anom += t[T_ANOMALY] * w;
+        safety = Math.max(safety, t[T_SAFETY]);
+        if (t[T_DISRUPTION]) disruption = t[T_DISRUPTION];
+      }
+      s[id] = [
+        Math.round(rid / weight),
+        Math.round(base / weight),
+        Math.round((anom / weight) * 1000) / 1000,
+        safety,
+        disruption
+      ];
+    }
+
+    out.push({
+      ts: start,
+      n,
+      totalPresence: mean(r => r.totalPresence),
+      anomalyCount: mean(r => r.anomalyCount),
+      safetyStats: {
+        safe: mean(r => r.safetyStats?.safe || 0),
+        caution: mean(r => r.safetyStats?.caution || 0),
+        avoid: mean(r => r.safetyStats?.avoid || 0)
+      },
+      weather: last.weather,
+      s
+    });
+  }
+  return out;
+}
+
+async function compact(now) {
+  if (!store) return;
+  try {
+    let compacted = 0, expired = 0;
+    for (const partition of await store.partitions('raw')) {
+      if (partitionStart(partition) + HOUR_MS > now - CONFIG.rawRetentionMs) continue;
+      const records = await store.read('raw', partition);
+      if (records.length) await store.write('ds', partition, downsample(records, CONFIG.bucketMs));
+      await store.remove('raw', partition);
+      compacted++;
+    }
+    for (const partition of await store.partitions('ds')) {
+      if (partitionStart(partition) + HOUR_MS > now - CONFIG.retentionMs) continue;
+      await store.remove('ds', partition);
+      expired++;
+    }
+    if (compacted || expired) console.log(`[history] compacted ${compacted} raw partitions, expired ${expired}`);
+  } catch (err) {
+    console.error('[history] compaction failed:', err.message);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// QUERY
+// ---------------------------------------------------------------------------
+const RESOLUTION_UNITS = { s: 1000, m: 60000, h: HOUR_MS, d: 86400000 };
+const AUTO_STEPS = [0, 5 * 60000, 15 * 60000, HOUR_MS, 6 * HOUR_MS, 86400000];
+
+// 'raw' -> 0 (no re-bucketing), '15m' / '1h' / '30s' / '1d' -> ms, missing -> smallest step under MAX_POINTS
+function parseResolution(value, span) {
+  if (value === 'raw') return 0;
+  if (value) {
+    const m = /^(\d+)([smhd])$/.exec(value);
+    if (!m || parseInt(m[1]) === 0) return null;
+    return parseInt(m[1]) * RESOLUTION_UNITS[m[2]];
+  }
+  const rawCount = span / CONFIG.intervalMs;
+  return AUTO_STEPS.find(step => (step ? span / step : rawCount) <= MAX_POINTS) ?? AUTO_STEPS[AUTO_STEPS.length - 1];
+}
+
+function formatResolution(ms) {
+  if (!ms) return 'raw';
+  for (const [unit, size] of [['d', 86400000], ['h', HOUR_MS], ['m', 60000], ['s', 1000]]) {
+    if (ms % size === 0) return `${ms / size}${unit}`;
+  }
+  return `${ms}ms`;
+}
+
+// Walks only the partitions the store lists for the range, never every hour in it
+async function loadRange(from, to) {
+  const [rawKeys, dsKeys] = await Promise.all([store.partitions('raw'), store.partitions('ds')]);
+  const first = partitionOf(from), last = partitionOf(to);
+  const raw = new Set(rawKeys);
+  const records = [];
+  for (const partition of [...new Set([...rawKeys, ...dsKeys])].sort()) {
+    if (partition < first || partition > last) continue;
+    // A partition lives in one tier at a time; prefer raw if compaction is mid-flight
+    const tier = raw.has(partition) ? 'raw' : 'ds';
+    for (const r of await store.read(tier, partition)) {
+      if (r.ts >= from && r.ts <= to) records.push(r);
+    }
+  }
+  return records.sort((a, b) => a.ts - b.ts);
+}
+
+function stationPoint(r, id) {
+  const t = r.s[id];
+  if (!t) return null;
+  return {
+    ts: r.ts,
+    samples: r.n || 1,
+    ridership: t[T_RIDERSHIP],
+    baseline: t[T_BASELINE],
+    anomalyRate: t[T_ANOMALY],
+    isAnomaly: t[T_ANOMALY] >= 0.5,
+    safetyLevel: SAFETY_CODES[t[T_SAFETY]] || 'safe',
+    disruptionEffect: t[T_DISRUPTION],
+    weather: r.weather
+  };
+}
+
+function cityPoint(r) {
+  return {
+    ts: r.ts,
+    samples: r.n || 1,
+    totalPresence: r.totalPresence,
+    anomalyCount: r.anomalyCount,
+    safetyStats: r.safetyStats,
+    weather: r.weather
+  };
+}
+
+// Throws a RangeError for a bad resolution or a range longer than retention (after dropping the
+// part of it that is already past retention)
+async function query({ station, from, to, resolution, now = Date.now() }) {
+  if (!store) return { enabled: false, points: [] };
+  from = Math.max(from, now - MAX_RANGE_MS);
+  if (to - from > MAX_RANGE_MS) throw new RangeError(`from/to range is limited to ${formatResolution(MAX_RANGE_MS)}`);
+  const step = parseResolution(resolution, Math.max(0, to - from));
+  if (step === null) throw new RangeError(`Invalid resolution: ${resolution}`);
+
+  let records = from <= to && from <= now ? await loadRange(from, Math.min(to, now)) : [];
+  if (station) records = records.filter(r => r.s[station]);
+  // Only the requested station's tuple matters from here on
+  records = records.map(r => ({ ...r, s: station ? { [station]: r.s[station] } : {} }));
+  if (step) records = downsample(records, step);
+
+  return {
+    enabled: true,
+    store: store.name,
+    from,
+    to,
+    resolution: formatResolution(step),
+    points: records.map(r => station ? stationPoint(r, station) : cityPoint(r)).filter(Boolean)
+  };
+}
+
+module.exports = { record, query, compact, downsample, CONFIG, store };
@@ -0,0 +1,142 @@
+// Holiday calendar for the ridership baseline, computed from rules (no network): US federal and
+// New York State holidays with their observed days, and the NYC public school closures that move
+// ridership. Shared by scripts/build-model.js (which keeps these days out of the weekday means) and
+// the server (which swaps in another day's profile).
+//
+// Each holiday names the profile to use: 'Hol' (the dedicated holiday profile build-model.js builds
+// from the major holidays; Sunday when the model has none), 'Sat', 'Sun', or null for days that still
+// run like a weekday but are kept out of the weekday means.
+
+const NycTime = require('../public/nyc-time');
+
+const HOLIDAY_PROFILE = 'Hol';
+const HOLIDAY_FALLBACK = 'Sun';
+
+// Strongest first: when two fall on one day, the earlier kind wins
+const KINDS = ['federal', 'state', 'school'];
+
+const pad = n => String(n).padStart(2, '0');
+const key = (y, m, d) => `${y}-${pad(m)}-${pad(d)}`;
+const weekday = (y, m, d) => NycTime.weekdayOf(key(y, m, d));
+
+// nth (1-based) weekday of a month; n = -1 for the last
+function nthWeekday(y, m, dow, n) {
+  if (n > 0) {
+    const first = weekday(y, m, 1);
+    return 1 + ((dow - first + 7) % 7) + (n - 1) * 7;
+  }
+  const days = new Date(Date.UTC(y, m, 0)).getUTCDate();
+  return days - ((weekday(y, m, days) - dow + 7) % 7);
+}
+
+function shift(y, m, d, days) {
+  const t = new Date(Date.UTC(y, m - 1, d + days));
+  return [t.getUTCFullYear(), t.getUTCMonth() + 1, t.getUTCDate()];
+}
+
+// Fixed-date holidays on a weekend are observed the Friday before or the Monday after
+function observed(y, m, d) {
+  const dow = weekday(y, m, d);
+  return dow === 6 ? shift(y, m, d, -1) : dow === 0 ? shift(y, m, d, 1) : null;
+}
+
+// date key -> { name, kind, profile } for every holiday dated in year y
+function buildYear(y) {
+  const days = new Map();
+  const add = ([yy, m, d], name, kind, profile) => {
+    const k = key(yy, m, d);
+    const existing = days.get(k);
+    if (existing && KINDS.indexOf(existing.kind) <= KINDS.indexOf(kind)) return;
+    // A minor holiday on a weekend keeps the weekend's own profile
+    const weekend = [0, 6].includes(weekday(yy, m, d));
+    days.set(k, { name, kind, profile: weekend && profile !== HOLIDAY_PROFILE ? null : profile });
+  };
+  const fixed = (m, d, name, kind, profile, observedProfile) => {
+    add([y, m, d], name, kind, profile);
+    const obs = observed(y, m, d);
+    if (obs) add(obs, `${name} (observed)`, kind, observedProfile);
+  };
+
+  // US federal
+  fixed(1, 1, "New Year's Day", 'federal', HOLIDAY_PROFILE, 'Sat');
+  add([y, 1, nthWeekday(y, 1, 1, 3)], 'Martin Luther King Jr. Day', 'federal', 'Sat');
+  add([y, 2, nthWeekday(y, 2, 1, 3)], "Washington's Birthday", 'federal', 'Sat');
+  add([y, 5, nthWeekday(y, 5, 1, -1)], 'Memorial Day', 'federal', HOLIDAY_PROFILE);
+  fixed(6, 19, 'Juneteenth', 'federal', 'Sat', 'Sat');
+  fixed(7, 4, 'Independence Day', 'federal', HOLIDAY_PROFILE, 'Sat');
+  add([y, 9, nthWeekday(y, 9, 1, 1)], 'Labor Day', 'federal', HOLIDAY_PROFILE);
+  add([y, 10, nthWeekday(y, 10, 1, 2)], 'Columbus Day', 'federal', 'Sat');
+  fixed(11, 11, 'Veterans Day', 'federal', 'Sat', 'Sat');
+  const thanksgiving = nthWeekday(y, 11, 4, 4);
+  add([y, 11, thanksgiving], 'Thanksgiving Day', 'federal', HOLIDAY_PROFILE);
+  fixed(12, 25, 'Christmas Day', 'federal', HOLIDAY_PROFILE, 'Sat');
+  // Next year's New Year's Day on a Saturday is observed on this year's December 31
+  const nextNewYear = observed(y + 1, 1, 1);
+  if (nextNewYear && nextNewYear[0] === y) add(nextNewYear, "New Year's Day (observed)", 'federal', 'Sat');
+
+  // New York State: state offices and schools close, the city mostly works
+  fixed(2, 12, "Lincoln's Birthday", 'state', null, null);
+  const firstMonday = nthWeekday(y, 11, 1, 1);
+  add([y, 11, firstMonday + 1], 'Election Day', 'state', null);
+
+  // NYC public schools: the breaks around Thanksgiving and Christmas run like Saturdays;
+  // midwinter recess (the week of Washington's Birthday) is weekday traffic without students
+  add(shift(y, 11, thanksgiving, 1), 'Day after Thanksgiving', 'school', 'Sat');
+  for (let d = 24; d <= 31; d++) {
+    const dow = weekday(y, 12, d);
+    if (dow !== 0 && dow !== 6) add([y, 12, d], d === 24 ? 'Christmas Eve' : 'Winter recess', 'school', 'Sat');
+  }
+  const presidents = nthWeekday(y, 2, 1, 3);
+  for (let i = 1; i <= 4; i++) add(shift(y, 2, presidents, i), 'Midwinter recess', 'school', null);
+
+  return days;
+}
+
+const years = new Map();
+function holidaysIn(y) {
+  if (!years.has(y)) years.set(y, buildYear(y));
+  return years.get(y);
+}
+
+// "YYYY-MM-DD" -> { date, name, kind, profile } or null
+function holidayOn(date) {
+  const entry = holidaysIn(parseInt(date.slice(0, 4))).get(date.slice(0, 10));
+  return entry ? { date: date.slice(0, 10), ...entry } : null;
+}
+
+// Holidays between two "YYYY-MM-DD" keys, inclusive, oldest first
+function holidaysBetween(from, to) {
+  const out = [];
+  for (let y = parseInt(from.slice(0, 4)); y <= parseInt(to.slice(0, 4)); y++) {
+    for (const [date, entry] of holidaysIn(y)) {
+      if (date >= from && date <= to) out.push({ date, ...entry });
+    }
+  }
+  return out.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// The baseline profile for a day: { profile, dayOfWeek, date, holiday, kind }. ts is a time on that
+// day (epoch ms), or null for a weekday/hour slot with no date (which always gets its weekday).
+// hasHolidayProfile says whether the ridership model carries a 'Hol' profile.
+function dayProfile(dayOfWeek, ts, hasHolidayProfile) {
+  const date = ts != null ? NycTime.parts(ts).date : null;
+  const holiday = date ? holidayOn(date) : null;
+  let profile = holiday?.profile || dayOfWeek;
+  if (profile === HOLIDAY_PROFILE && !hasHolidayProfile) profile = HOLIDAY_FALLBACK;
+  return {
+    profile,
+    dayOfWeek,
+    date,
+    holiday: holiday?.name || null,
+    kind: holiday?.kind || null
+  };
+}
+
+// The profile one station's baseline reads for a day profile: that one, or HOLIDAY_FALLBACK for a
+// station the model never saw on a holiday. Means and stddevs both go through here, so they always
+// come from the same profile. station: a ridership model entry ({ hourly, stddev })
+function stationProfile(station, profile) {
+  return station?.hourly?.[profile] ? profile : HOLIDAY_FALLBACK;
+}
+
+module.exports = { HOLIDAY_PROFILE, HOLIDAY_FALLBACK, holidayOn, holidaysBetween, dayProfile, stationProfile };
@@ -0,0 +1,327 @@
+// Intelligence pipeline: presence + alerts + weather -> structured prompt -> provider -> parsed report
+// Providers share one interface: generate({ prompt, context, trend }) resolves to raw report text in
+// SITUATION / ASSESSMENT / RECOMMENDATION form, so every provider goes through the same parser.
+
+const SECTIONS = ['SITUATION', 'ASSESSMENT', 'RECOMMENDATION'];
+const MEMORY_SIZE = parseInt(process.env.INTEL_MEMORY_SIZE) || 6;
+const ANTHROPIC_URL = 'https://api.anthropic.com/v1/messages';
+const ANTHROPIC_MODEL = process.env.INTEL_MODEL || 'claude-sonnet-4-5';
+const ANTHROPIC_TIMEOUT_MS = 20 * 1000;   // then the template report stands in
+
+// Temporal memory: the last N reports, newest last
+const memory = [];
+
+// ---------------------------------------------------------------------------
+// CONTEXT
+// ---------------------------------------------------------------------------
+function buildContext(presence, alertData, weather) {
+  const stations = presence?.stations || [];
+  // Upcoming planned work isn't part of the current situation
+  const alerts = (alertData?.alerts || []).filter(a => a.isActiveNow !== false);
+
+  const anomalies = stations
+    .filter(s => s.isAnomaly)
+    .sort((a, b) => Math.abs(b.anomalyScore) - Math.abs(a.anomalyScore))
+    .slice(0, 8)
+    .map(s => ({
+      name: s.name,
+      ridership: s.ridership,
+      baseline: s.baseline,
+      deviationPct: Math.round(s.anomalyScore * 100),
+      direction: s.anomalyScore > 0 ? 'surge' : 'quiet',
+      cause: s.anomalyCause || null
+    }));
+
+  const flagged = level => stations
+    .filter(s => s.safetyLevel === level)
+    .sort((a, b) => b.crimeRisk - a.crimeRisk)
+    .slice(0, 10)
+    .map(s => ({
+      name: s.name,
+      ridership: s.ridership,
+      crimeRisk: s.crimeRisk,
+      topCrimeType: s.topCrimeType,
+      disruption: s.disruptionEffect
+    }));
+
+  const disruptions = alerts
+    .filter(a => a.severity === 'critical' || a.severity === 'high')
+    .slice(0, 8)
+    .map(a => ({ routes: a.affectedRoutes, effect: a.effect, header: a.header }));
+
+  return {
+    timestamp: presence?.timestamp || Date.now(),
+    hour: presence?.hour,
+    dayOfWeek: presence?.dayOfWeek,
+    holiday: presence?.dayProfile?.holiday ? { name: presence.dayProfile.holiday, profile: presence.dayProfile.profile } : null,
+    isNightMode: !!presence?.isNightMode,
+    totalPresence: presence?.totalPresence || 0,
+    stationCount: stations.length,
+    anomalyCount: presence?.anomalyCount || 0,
+    safetyStats: presence?.safetyStats || { safe: 0, caution: 0, avoid: 0 },
+    anomalies,
+    avoid: flagged('avoid'),
+    caution: flagged('caution'),
+    disruptions,
+    alertCount: alerts.length,
+    events: (presence?.events || []).map(e => e.cause),
+    weather: weather ? {
+      condition: weather.condition,
+      description: weather.description,
+      temp: weather.temp,
+      windSpeed: weather.windSpeed,
+      isRain: weather.isRain,
+      isSnow: weather.isSnow,
+      isExtreme: weather.isExtreme
+    } : null
+  };
+}
+
+// ---------------------------------------------------------------------------
+// TEMPORAL MEMORY
+// ---------------------------------------------------------------------------
+function summarize(context) {
+  return {
+    totalPresence: context.totalPresence,
+    anomalyCount: context.anomalyCount,
+    avoid: context.safetyStats.avoid,
+    caution: context.safetyStats.caution,
+    disruptionCount: context.disruptions.length
+  };
+}
+
+function pctChange(from, to) {
+  if (!from) return to ? 100 : 0;
+  return Math.round(((to - from) / from) * 100);
+}
+
+// Compare the current context against the previous report
+function computeTrend(context) {
+  const prev = memory[memory.length - 1];
+  if (!prev) return null;
+  const now = summarize(context);
+  return {
+    sinceMinutes: Math.round((context.timestamp - prev.timestamp) / 60000),
+    presencePct: pctChange(prev.stats.totalPresence, now.totalPresence),
+    avoidDelta: now.avoid - prev.stats.avoid,
+    cautionDelta: now.caution - prev.stats.caution,
+    anomalyDelta: now.anomalyCount - prev.stats.anomalyCount,
+    disruptionDelta: now.disruptionCount - prev.stats.disruptionCount
+  };
+}
+
+function remember(context, sections) {
+  memory.push({ timestamp: context.timestamp, stats: summarize(context), situation: sections.situation });
+  while (memory.length > MEMORY_SIZE) memory.shift();
+}
+
+// ---------------------------------------------------------------------------
+// PROMPT
+// ---------------------------------------------------------------------------
+const SYSTEM_PROMPT = [
+  'You are the intelligence analyst for Eyes on the Street, a crowd presence monitor for the NYC subway.',
+  'Presence is estimated hourly ridership per station complex. Crime risk is 0-1, relative to the highest-risk station in NYC.',
+  'Write exactly three sections, each starting on its own line with the heading followed by a colon:',
+  'SITUATION: what the city looks like right now. ASSESSMENT: what it means for personal safety. RECOMMENDATION: concrete guidance for someone travelling now.',
+  'Each section is 2-3 sentences of plain text. No markdown, no bullet points. Name stations and lines. Mention trends when previous reports are given.'
+].join('\n');
+
+function formatStations(list) {
+  if (!list.length) return '  none';
+  return list.map(s =>
+    `  - ${s.name}: ${s.ridership}/hr, crime risk ${s.crimeRisk}` +
+    (s.topCrimeType ? `, mostly ${s.topCrimeType.toLowerCase()}` : '') +
+    (s.disruption ? `, ${s.disruption}` : '')
+  ).join('\n');
+}
+
+function buildPrompt(context, trend) {
+  const lines = [];
+  lines.push(`TIME: ${context.dayOfWeek} ${String(context.hour).padStart(2, '0')}:00${context.isNightMode ? ' (night mode)' : ''}`);
+  if (context.holiday) lines.push(`HOLIDAY: ${context.holiday.name} (baseline: ${context.holiday.profile} profile)`);
+  lines.push(`PRESENCE: ${context.totalPresence} estimated riders/hr across ${context.stationCount} stations`);
+  lines.push(`SAFETY: ${context.safetyStats.safe} safe, ${context.safetyStats.caution} caution, ${context.safetyStats.avoid} avoid`);
+
+  const w = context.weather;
+  lines.push(`WEATHER: ${w ? `${w.condition} (${w.description}), ${w.temp}°F, wind ${w.windSpeed}mph` : 'unavailable'}`);
+
+  lines.push(`ANOMALIES (${context.anomalyCount} total):`);
+  lines.push(context.anomalies.length
+    ? context.anomalies.map(a => `  - ${a.name}: ${a.direction} ${a.deviationPct > 0 ? '+' : ''}${a.deviationPct}% (${a.ridership}/hr vs ${a.baseline}/hr baseline)` +
+      (a.cause ? `, likely ${a.cause}` : '')).join('\n')
+    : '  none');
+  if (context.events.length) lines.push(`EVENTS: ${context.events.join('; ')}`);
+
+  lines.push('AVOID STATIONS:');
+  lines.push(formatStations(context.avoid));
+  lines.push('CAUTION STATIONS:');
+  lines.push(formatStations(context.caution));
+
+  lines.push(`DISRUPTIONS (${context.alertCount} active alerts):`);
+  lines.push(context.disruptions.length
+    ? context.disruptions.map(d => `  - [${d.routes.join(',')}] ${d.effect}: ${d.header}`).join('\n')
+    : '  none');
+
+  if (memory.length) {
+    lines.push('PREVIOUS REPORTS (oldest first):');
+    for (const m of memory) {
+      const t = new Date(m.timestamp).toISOString().slice(11, 16);
+      lines.push(`  - ${t}Z presence ${m.stats.totalPresence}, avoid ${m.stats.avoid}, caution ${m.stats.caution}, anomalies ${m.stats.anomalyCount}: ${m.situation}`);
+    }
+  }
+  if (trend) {
+    lines.push(`TREND vs ${trend.sinceMinutes} min ago: presence ${trend.presencePct >= 0 ? '+' : ''}${trend.presencePct}%, ` +
+      `avoid ${signed(trend.avoidDelta)}, caution ${signed(trend.cautionDelta)}, anomalies ${signed(trend.anomalyDelta)}, disruptions ${signed(trend.disruptionDelta)}`);
+  }
+
+  return { system: SYSTEM_PROMPT, user: lines.join('\n') };
+}
+
+function signed(n) {
+  return n > 0 ? `+${n}` : String(n);
+}
+
+// ---------------------------------------------------------------------------
+// PARSER
+// ---------------------------------------------------------------------------
+function parseSections(text) {
+  const sections = { situation: '', assessment: '', recommendation: '' };
+  const pattern = new RegExp(`^\\s*\\**(${SECTIONS.join('|')})\\**\\s*:?\\**\\s*`, 'gim');
+  const marks = [];
+  let m;
+  while ((m = pattern.exec(text || '')) !== null) {
+    marks.push({ key: m[1].toLowerCase(), start: m.index, bodyStart: m.index + m[0].length });
+  }
+  for (let i = 0; i < marks.length; i++) {
+    const end = i + 1 < marks.length ? marks[i + 1].start : text.length;
+    sections[marks[i].key] = text.slice(marks[i].bodyStart, end).replace(/\s+/g, ' ').trim();
+  }
+  // Unstructured reply: keep it as the situation rather than dropping it
+  if (!marks.length && text) sections.situation = text.replace(/\s+/g, ' ').trim();
+  return sections;
+}
+
+// ---------------------------------------------------------------------------
+// PROVIDERS
+// ---------------------------------------------------------------------------
+const anthropicProvider = {
+  name: 'anthropic',
+  model: ANTHROPIC_MODEL,
+  available: () => !!process.env.ANTHROPIC_API_KEY,
+  async generate({ prompt }) {
+    const resp = await fetch(ANTHROPIC_URL, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+        'x-api-key': process.env.ANTHROPIC_API_KEY,
+        'anthropic-version': '2023-06-01'
+      },
+      body: JSON.stringify({
+        model: ANTHROPIC_MODEL,
+        max_tokens: 600,
+        system: prompt.system,
+        messages: [{ role: 'user', content: prompt.user }]
+      }),
+      signal: AbortSignal.timeout(ANTHROPIC_TIMEOUT_MS)
+    });
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+    const data = await resp.json();
+    return (data.content || []).filter(c => c.type === 'text').map(c => c.text).join('\n');
+  }
+};
+
+// Deterministic fallback: same inputs always produce the same report, no key required
+const templateProvider = {
+  name: 'template',
+  model: null,
+  available: () => true,
+  async generate({ context, trend }) {
+    const ss = context.safetyStats;
+    const when = `${context.dayOfWeek} ${String(context.hour).padStart(2, '0')}:00${context.holiday ? ` (${context.holiday.name})` : ''}`;
+    const w = context.weather;
+
+    const situation = [
+      `${when}: an estimated ${context.totalPresence.toLocaleString('en-US')} riders/hr across ${context.stationCount} stations.`,
+      context.anomalies.length
+        ? `${context.anomalyCount} stations deviate from baseline, led by ${context.anomalies.slice(0, 2).map(a => `${a.name} (${a.direction} ${a.deviationPct > 0 ? '+' : ''}${a.deviationPct}%${a.cause ? `, ${a.cause}` : ''})`).join(' and ')}.`
+        : 'Ridership is tracking baseline with no anomalies.',
+      w ? `Weather: ${w.description || w.condition}, ${w.temp}°F.` : ''
+    ].filter(Boolean).join(' ');
+
+    const assessment = [
+      `${ss.avoid} stations rated avoid and ${ss.caution} caution${context.isNightMode ? ' under night thresholds' : ''}.`,
+      context.avoid.length ? `Highest concern: ${context.avoid.slice(0, 3).map(s => s.name).join(', ')}.` : '',
+      context.disruptions.length
+        ? `${context.disruptions.length} major disruptions, including ${context.disruptions[0].effect.toLowerCase()} on the ${context.disruptions[0].routes.join('/') || 'system'}.`
+        : 'No major service disruptions.',
+      trend ? describeTrend(trend) : ''
+    ].filter(Boolean).join(' ');
+
+    let recommendation;
+    if (ss.avoid > 0) {
+      recommendation = `Avoid waiting alone at ${context.avoid.slice(0, 2).map(s => s.name).join(' or ')}; use a busier nearby station and ride in the conductor's car.`;
+    } else if (ss.caution > 0) {
+      recommendation = `Conditions are mostly safe. Stay aware at ${context.caution.slice(0, 2).map(s => s.name).join(' and ')} and wait near the token booth.`;
+    } else {
+      recommendation = 'No stations flagged. Normal precautions apply.';
+    }
+    if (context.disruptions.length) recommendation += ' Check alerts before travelling and allow extra time.';
+
+    return `SITUATION: ${situation}\nASSESSMENT: ${assessment}\nRECOMMENDATION: ${recommendation}`;
+  }
+};
+
+function describeTrend(trend) {
+  const parts = [];
+  if (Math.abs(trend.presencePct) >= 5) parts.push(`presence ${trend.presencePct > 0 ? 'up' : 'down'} ${Math.abs(trend.presencePct)}%`);
+  if (trend.avoidDelta) parts.push(`${Math.abs(trend.avoidDelta)} ${trend.avoidDelta > 0 ? 'more' : 'fewer'} avoid stations`);
+  if (trend.disruptionDelta) parts.push(`${Math.abs(trend.disruptionDelta)} ${trend.disruptionDelta > 0 ? 'new' : 'cleared'} disruptions`);
+  if (!parts.length) return `Conditions steady over the last ${trend.sinceMinutes} min.`;
+  return `Since ${trend.sinceMinutes} min ago: ${parts.join(', ')}.`;
+}
+
+const PROVIDERS = { anthropic: anthropicProvider, template: templateProvider };
+
+function selectProvider() {
+  const requested = PROVIDERS[process.env.INTEL_PROVIDER];
+  if (requested && requested.available()) return requested;
+  return anthropicProvider.available() ? anthropicProvider : templateProvider;
+}
+
+// ---------------------------------------------------------------------------
+// REPORT
+// ---------------------------------------------------------------------------
+async function generateReport(presence, alertData, weather) {
+  const context = buildContext(presence, alertData, weather);
+  const trend = computeTrend(context);
+  const prompt = buildPrompt(context, trend);
+
+  let provider = selectProvider();
+  let text;
+  try {
+    text = await provider.generate({ prompt, context, trend });
+  } catch (err) {
+    // Model outage should never blank the panel: fall back to the template report
+    console.error(`[intel] ${provider.name} failed:`, err.message);
+    provider = templateProvider;
+    text = await provider.generate({ prompt, context, trend });
+  }
+
+  const sections = parseSections(text);
+  remember(context, sections);
+  console.log(`[intel] report via ${provider.name}, memory ${memory.length}/${MEMORY_SIZE}`);
+
+  return {
+    timestamp: context.timestamp,
+    hour: context.hour,
+    dayOfWeek: context.dayOfWeek,
+    provider: provider.name,
+    model: provider.model,
+    sections,
+    trend,
+    stats: summarize(context),
+    memoryDepth: memory.length
+  };
+}
+
+module.exports = { generateReport, buildContext, buildPrompt, parseSections, PROVIDERS };
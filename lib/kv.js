@@ -0,0 +1,37 @@
+// Minimal Upstash Redis REST client (KV_REST_API_URL / KV_REST_API_TOKEN)
+// Commands are sent as JSON arrays, e.g. kv('RPUSH', 'key', 'value')
+
+function kvConfigured() {
+  return !!(process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN);
+}
+
+async function kvRequest(urlPath, body) {
+  const resp = await fetch(process.env.KV_REST_API_URL.replace(/\/$/, '') + urlPath, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${process.env.KV_REST_API_TOKEN}`,
+      'content-type': 'application/json'
+    },
+    body: JSON.stringify(body)
+  });
+  if (!resp.ok) throw new Error(`KV HTTP ${resp.status}`);
+  return resp.json();
+}
+
+async function kv(...command) {
+  const data = await kvRequest('', command.map(String));
+  if (data.error) throw new Error(`KV ${data.error}`);
+  return data.result;
+}
+
+// Several commands in one round trip; resolves to an array of results
+async function kvPipeline(commands) {
+  if (!commands.length) return [];
+  const data = await kvRequest('/pipeline', commands.map(c => c.map(String)));
+  return data.map(r => {
+    if (r.error) throw new Error(`KV ${r.error}`);
+    return r.result;
+  });
+}
+
+module.exports = { kvConfigured, kv, kvPipeline };
@@ -0,0 +1,145 @@
+// Token-bucket rate limiting per named route, keyed by API key when one is presented, else client IP.
+// A limit is "<requests>/<window>" (e.g. "20/5m"): a bucket of that many tokens refilling evenly over
+// the window, so bursts up to the limit are allowed and sustained traffic is held to the average.
+//
+// Config (env):
+//   RATE_LIMITS="intelligence=40/5m,route=60/1m"  override route defaults by name ("off" disables)
+//   API_KEYS="key1:internal,key2:partner"          X-API-Key values and their tiers
+//   RATE_LIMIT_TIERS="internal=20,partner=5"       tier multipliers on every limit
+//   RATE_LIMIT_STORE=memory|kv                     kv shares buckets across serverless instances
+
+const crypto = require('crypto');
+const { kvConfigured, kv } = require('./kv');
+
+const UNITS = { s: 1000, m: 60000, h: 3600000 };
+const DEFAULT_TIERS = { public: 1, partner: 5, internal: 20 };
+
+// "20/5m" -> { limit: 20, windowMs: 300000 }; null for "off"
+function parseSpec(spec) {
+  if (spec === 'off') return null;
+  const m = /^(\d+)\/(\d*)([smh])$/.exec(String(spec).trim());
+  if (!m) throw new Error(`Invalid rate limit "${spec}" (expected e.g. 20/5m)`);
+  return { limit: parseInt(m[1]), windowMs: (parseInt(m[2]) || 1) * UNITS[m[3]] };
+}
+
+// "a=x,b=y" -> { a: 'x', b: 'y' }
+function parsePairs(str, sep = '=') {
+  const out = {};
+  for (const part of (str || '').split(',')) {
+    const i = part.indexOf(sep);
+    if (i > 0) out[part.slice(0, i).trim()] = part.slice(i + 1).trim();
+  }
+  return out;
+}
+
+const CONFIG = {
+  store: process.env.RATE_LIMIT_STORE || (kvConfigured() ? 'kv' : 'memory'),
+  overrides: parsePairs(process.env.RATE_LIMITS),
+  tiers: { ...DEFAULT_TIERS, ...Object.fromEntries(Object.entries(parsePairs(process.env.RATE_LIMIT_TIERS)).map(([t, m]) => [t, parseFloat(m) || 1])) },
+  keys: parsePairs(process.env.API_KEYS, ':')
+};
+
+// ---------------------------------------------------------------------------
+// STORES
+// Interface: take(key, capacity, refillPerMs, now) -> { allowed, tokens }: refill the bucket, take
+// one token if there is one, and report the (fractional) balance left
+// ---------------------------------------------------------------------------
+function createMemoryStore() {
+  const buckets = new Map();
+  return {
+    name: 'memory',
+    async take(key, capacity, refillPerMs, now) {
+      const b = buckets.get(key) || { tokens: capacity, ts: now };
+      b.tokens = Math.min(capacity, b.tokens + (now - b.ts) * refillPerMs);
+      b.ts = now;
+      const allowed = b.tokens >= 1;
+      if (allowed) b.tokens -= 1;
+      buckets.set(key, b);
+      // Drop buckets that have refilled completely so the map doesn't grow unbounded
+      if (buckets.size > 10000) {
+        for (const [k, e] of buckets) if (e.tokens + (now - e.ts) * refillPerMs >= capacity) buckets.delete(k);
+      }
+      return { allowed, tokens: b.tokens };
+    }
+  };
+}
+
+// Refill and take in one atomic step; the hash expires once it would be full again anyway
+const TAKE_SCRIPT = `
+local b = redis.call('HMGET', KEYS[1], 'tokens', 'ts')
+local cap, rate, now = tonumber(ARGV[1]), tonumber(ARGV[2]), tonumber(ARGV[3])
+local tokens = math.min(cap, (tonumber(b[1]) or cap) + (now - (tonumber(b[2]) or now)) * rate)
+local allowed = 0
+if tokens >= 1 then tokens = tokens - 1; allowed = 1 end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'ts', ARGV[3])
+redis.call('PEXPIRE', KEYS[1], ARGV[4])
+return { allowed, tostring(tokens) }`;
+
+function createKvStore() {
+  const fallback = createMemoryStore();
+  return {
+    name: 'kv',
+    async take(key, capacity, refillPerMs, now) {
+      try {
+        const ttl = Math.ceil(capacity / refillPerMs);
+        const [allowed, tokens] = await kv('EVAL', TAKE_SCRIPT, 1, key, capacity, refillPerMs, now, ttl);
+        return { allowed: allowed === 1, tokens: parseFloat(tokens) };
+      } catch (err) {
+        // Fail open to per-instance limits rather than failing requests
+        console.error('[ratelimit] kv failed, using memory:', err.message);
+        return fallback.take(key, capacity, refillPerMs, now);
+      }
+    }
+  };
+}
+
+const store = CONFIG.store === 'kv' ? createKvStore() : createMemoryStore();
+
+// ---------------------------------------------------------------------------
+// MIDDLEWARE
+// ---------------------------------------------------------------------------
+// API keys are never stored as-is: buckets are keyed by a hash
+const hashKey = key => crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+
+// rateLimit('intelligence', '20/5m'): the spec is the default, RATE_LIMITS may override it
+function rateLimit(name, defaultSpec) {
+  const spec = parseSpec(CONFIG.overrides[name] ?? defaultSpec);
+  if (!spec) return (req, res, next) => next();
+
+  return async (req, res, next) => {
+    const apiKey = req.get('x-api-key');
+    let tier = 'public', client = `ip:${req.ip}`;
+    if (apiKey) {
+      tier = CONFIG.keys[apiKey];
+      if (!tier) return res.status(401).json({ error: 'Invalid API key' });
+      client = `key:${hashKey(apiKey)}`;
+    }
+
+    const capacity = Math.round(spec.limit * (CONFIG.tiers[tier] || 1));
+    const refillPerMs = capacity / spec.windowMs;
+    const { allowed, tokens } = await store.take(`rl:${name}:${client}`, capacity, refillPerMs, Date.now());
+
+    // IETF RateLimit header fields: reset is the time until the bucket is full again
+    res.setHeader('RateLimit-Policy', `${capacity};w=${Math.round(spec.windowMs / 1000)}`);
+    res.setHeader('RateLimit-Limit', capacity);
+    res.setHeader('RateLimit-Remaining', Math.floor(tokens));
+    res.setHeader('RateLimit-Reset', Math.ceil((capacity - tokens) / refillPerMs / 1000));
+    if (!allowed) {
+      res.setHeader('Retry-After', Math.ceil((1 - tokens) / refillPerMs / 1000));
+      return res.status(429).json({ error: 'Too many requests' });
+    }
+    next();
+  };
+}
+
+// Endpoints that act for a client (webhook subscriptions) need a known X-API-Key. req.apiClient is
+// the key's hash, so owners are never stored as the key itself
+function requireApiKey(req, res, next) {
+  const apiKey = req.get('x-api-key');
+  if (!apiKey) return res.status(401).json({ error: 'X-API-Key required' });
+  if (!CONFIG.keys[apiKey]) return res.status(401).json({ error: 'Invalid API key' });
+  req.apiClient = hashKey(apiKey);
+  next();
+}
+
+module.exports = { rateLimit, requireApiKey, storeName: () => store.name };
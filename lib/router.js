@@ -0,0 +1,298 @@
+// Safety-aware trip planner over the station-complex graph from scripts/build-gtfs-model.js
+//
+// Search nodes are (complex, route|direction) while riding and (complex, null) while on foot or on
+// a platform. Costs are seconds: riding costs travel time; boarding costs the expected wait
+// (half the scheduled headway) inflated by the exposure of the platform you wait on; walking
+// transfers cost walk time inflated by the exposure at both ends. Disruptions block or slow lines.
+
+const SAFETY_PENALTY = { safe: 0, caution: 0.75, avoid: 2.0 };
+const CRIME_WEIGHT = 1.0;
+const TRANSFER_PENALTY = 120;     // seconds, on top of the wait, for every boarding after the first
+const MAX_ALTERNATIVES = 5;
+const REUSE_PENALTY = 2.0;        // multiplier on ride edges already used by a found itinerary
+
+// ---------------------------------------------------------------------------
+// GRAPH
+// ---------------------------------------------------------------------------
+function buildGraph(model) {
+  if (!model || !model.edges?.length) return null;
+  const rides = new Map();   // complex -> [edge]
+  const walks = new Map();   // complex -> [{ to, seconds }]
+  const push = (map, key, value) => { if (!map.has(key)) map.set(key, []); map.get(key).push(value); };
+
+  for (const e of model.edges) push(rides, e.from, e);
+  for (const t of model.transfers || []) {
+    push(walks, t.from, { to: t.to, seconds: t.seconds });
+    // transfers.txt is not always symmetric; walking is
+    push(walks, t.to, { to: t.from, seconds: t.seconds });
+  }
+  return { complexes: model.complexes || {}, rides, walks, metadata: model.metadata || {} };
+}
+
+function dayTypeOf(dayOfWeek) {
+  if (dayOfWeek === 'Sat') return 'saturday';
+  if (dayOfWeek === 'Sun') return 'sunday';
+  return 'weekday';
+}
+
+// ---------------------------------------------------------------------------
+// COSTS
+// ---------------------------------------------------------------------------
+function exposureOf(station) {
+  if (!station) return 0;
+  return (SAFETY_PENALTY[station.safetyLevel] || 0) + (station.crimeRisk || 0) * CRIME_WEIGHT;
+}
+
+// Disruption effect on a route at a complex: null, or { blocked, waitFactor, rideFactor }
+function disruptionImpact(station, route) {
+  if (!station?.hasDisruption) return null;
+  const routes = station.disruptionRoutes || [];
+  if (routes.length && !routes.includes(route)) return null;
+  switch (station.disruptionEffect) {
+    case 'No Service': return { blocked: true };
+    case 'Significant Delays': return { waitFactor: 2, rideFactor: 1.5 };
+    default: return { waitFactor: 1.5, rideFactor: 1 };
+  }
+}
+
+// Scheduled headway (seconds) for an edge at an hour; null when the line doesn't run then
+function headwayOf(edge, dayType, hour) {
+  const deps = edge.departures?.[dayType]?.[hour] || 0;
+  return deps > 0 ? 3600 / deps : null;
+}
+
+// ---------------------------------------------------------------------------
+// SEARCH
+// ---------------------------------------------------------------------------
+class MinHeap {
+  constructor() { this.items = []; }
+  get size() { return this.items.length; }
+  push(item) {
+    const a = this.items;
+    a.push(item);
+    let i = a.length - 1;
+    while (i > 0) {
+      const p = (i - 1) >> 1;
+      if (a[p].cost <= a[i].cost) break;
+      [a[p], a[i]] = [a[i], a[p]];
+      i = p;
+    }
+  }
+  pop() {
+    const a = this.items;
+    const top = a[0], last = a.pop();
+    if (a.length) {
+      a[0] = last;
+      let i = 0;
+      for (;;) {
+        const l = 2 * i + 1, r = l + 1;
+        let m = i;
+        if (l < a.length && a[l].cost < a[m].cost) m = l;
+        if (r < a.length && a[r].cost < a[m].cost) m = r;
+        if (m === i) break;
+        [a[m], a[i]] = [a[i], a[m]];
+        i = m;
+      }
+    }
+    return top;
+  }
+}
+
+const nodeKey = (complex, line) => line ? `${complex}#${line}` : complex;
+const lineOf = edge => `${edge.route}|${edge.dir}`;
+
+function search(graph, ctx, from, to, penalties) {
+  const { stations, dayType, hour } = ctx;
+  const best = new Map([[nodeKey(from, null), 0]]);
+  const prev = new Map();
+  const heap = new MinHeap();
+  heap.push({ cost: 0, complex: from, line: null });
+
+  while (heap.size) {
+    const cur = heap.pop();
+    const key = nodeKey(cur.complex, cur.line);
+    if (cur.cost > best.get(key)) continue;
+    if (cur.complex === to && cur.line === null) break;
+
+    const relax = (complex, line, cost, step) => {
+      const k = nodeKey(complex, line);
+      if (best.has(k) && best.get(k) <= cost) return;
+      best.set(k, cost);
+      prev.set(k, { from: key, ...step });
+      heap.push({ cost, complex, line });
+    };
+
+    const here = stations[cur.complex];
+    const edges = graph.rides.get(cur.complex) || [];
+
+    if (cur.line === null) {
+      // Board any line serving this platform
+      for (const edge of edges) {
+        const impact = disruptionImpact(here, edge.route);
+        if (impact?.blocked) continue;
+        const headway = headwayOf(edge, dayType, hour);
+        if (!headway) continue;
+        const wait = (headway / 2) * (impact?.waitFactor || 1);
+        const cost = cur.cost + wait * (1 + exposureOf(here)) + (cur.complex === from ? 0 : TRANSFER_PENALTY);
+        relax(cur.complex, lineOf(edge), cost, { type: 'board', edge, wait, headway });
+      }
+      // Walk to a neighbouring complex
+      for (const walk of graph.walks.get(cur.complex) || []) {
+        const exposure = (exposureOf(here) + exposureOf(stations[walk.to])) / 2;
+        relax(walk.to, null, cur.cost + walk.seconds * (1 + exposure), { type: 'walk', walk });
+      }
+    } else {
+      // Alight here
+      relax(cur.complex, null, cur.cost, { type: 'alight' });
+      // Keep riding
+      for (const edge of edges) {
+        if (lineOf(edge) !== cur.line) continue;
+        const impact = disruptionImpact(stations[edge.to], edge.route);
+        if (impact?.blocked) continue;
+        const seconds = edge.seconds * (impact?.rideFactor || 1);
+        const cost = cur.cost + seconds * (penalties.get(edge) || 1);
+        relax(edge.to, cur.line, cost, { type: 'ride', edge, seconds });
+      }
+    }
+  }
+
+  const goal = nodeKey(to, null);
+  if (!best.has(goal) || from === to) return null;
+  const steps = [];
+  for (let k = goal; prev.has(k); k = prev.get(k).from) steps.unshift(prev.get(k));
+  return steps;
+}
+
+// ---------------------------------------------------------------------------
+// ITINERARIES
+// ---------------------------------------------------------------------------
+function describeStop(graph, stations, id) {
+  const c = graph.complexes[id] || {};
+  const s = stations[id];
+  return {
+    id,
+    name: s?.name || c.name || id,
+    lat: s?.lat ?? c.lat,
+    lon: s?.lon ?? c.lon,
+    safetyLevel: s?.safetyLevel || null,
+    crimeRisk: s?.crimeRisk ?? null,
+    ridership: s?.ridership ?? null,
+    disruptionEffect: s?.disruptionEffect || null
+  };
+}
+
+function toItinerary(graph, ctx, steps, colors) {
+  const { stations } = ctx;
+  const legs = [];
+  let leg = null;
+
+  for (const step of steps) {
+    if (step.type === 'board') {
+      const start = step.edge.from;
+      leg = {
+        type: 'ride',
+        route: step.edge.route,
+        direction: step.edge.dir,
+        color: colors[step.edge.route] || '#666666',
+        stopIds: [start],
+        waitSeconds: step.wait,
+        headwayMinutes: Math.round(step.headway / 6) / 10,
+        rideSeconds: 0
+      };
+    } else if (step.type === 'ride') {
+      leg.stopIds.push(step.edge.to);
+      leg.rideSeconds += step.seconds;
+    } else if (step.type === 'alight') {
+      legs.push(leg);
+      leg = null;
+    } else if (step.type === 'walk') {
+      // On foot the search node key is the complex id itself
+      legs.push({ type: 'walk', stopIds: [step.from, step.walk.to], walkSeconds: step.walk.seconds });
+    }
+  }
+
+  let totalSeconds = 0, exposureSeconds = 0;
+  const levels = ['safe', 'caution', 'avoid'];
+  let worst = 'safe';
+
+  const out = legs.map(l => {
+    const stops = l.stopIds.map(id => describeStop(graph, stations, id));
+    for (const s of stops) if (levels.indexOf(s.safetyLevel) > levels.indexOf(worst)) worst = s.safetyLevel;
+    const coordinates = stops.filter(s => s.lat != null).map(s => [s.lon, s.lat]);
+
+    if (l.type === 'walk') {
+      const exposure = (exposureOf(stations[stops[0]?.id]) + exposureOf(stations[stops[stops.length - 1]?.id])) / 2;
+      totalSeconds += l.walkSeconds;
+      exposureSeconds += l.walkSeconds * exposure;
+      return {
+        type: 'walk',
+        from: stops[0],
+        to: stops[stops.length - 1],
+        minutes: Math.round(l.walkSeconds / 60),
+        coordinates
+      };
+    }
+
+    const board = stops[0];
+    const worstStop = stops.reduce((w, s) => exposureOf(stations[s.id]) > exposureOf(stations[w.id]) ? s : w, board);
+    totalSeconds += l.waitSeconds + l.rideSeconds;
+    exposureSeconds += l.waitSeconds * exposureOf(stations[board.id]);
+    return {
+      type: 'ride',
+      route: l.route,
+      direction: l.direction,
+      color: l.color,
+      from: board,
+      to: stops[stops.length - 1],
+      stopCount: stops.length - 1,
+      stops: stops.map(s => ({ id: s.id, name: s.name, safetyLevel: s.safetyLevel })),
+      waitMinutes: Math.round(l.waitSeconds / 60),
+      rideMinutes: Math.round(l.rideSeconds / 60),
+      headwayMinutes: l.headwayMinutes,
+      safety: {
+        board: board.safetyLevel,
+        alight: stops[stops.length - 1].safetyLevel,
+        worstStop: worstStop.safetyLevel && worstStop.safetyLevel !== 'safe' ? { id: worstStop.id, name: worstStop.name, safetyLevel: worstStop.safetyLevel } : null,
+        disruption: stops.find(s => s.disruptionEffect)?.disruptionEffect || null
+      },
+      coordinates
+    };
+  });
+
+  return {
+    totalMinutes: Math.round(totalSeconds / 60),
+    exposureMinutes: Math.round(exposureSeconds / 6) / 10,
+    transfers: Math.max(0, out.filter(l => l.type === 'ride').length - 1),
+    worstSafetyLevel: worst,
+    score: Math.round(totalSeconds + exposureSeconds),
+    legs: out
+  };
+}
+
+// stations: complex id -> presence station record (safetyLevel, crimeRisk, disruption fields)
+function planRoutes(graph, { from, to, stations, dayOfWeek, hour, alternatives = 3, colors = {} }) {
+  const ctx = { stations, dayType: dayTypeOf(dayOfWeek), hour };
+  const wanted = Math.min(Math.max(1, alternatives), MAX_ALTERNATIVES);
+  const penalties = new Map();
+  const seen = new Set();
+  const itineraries = [];
+
+  // Re-run with used ride edges penalised to surface genuinely different alternatives
+  for (let attempt = 0; attempt < wanted * 2 && itineraries.length < wanted; attempt++) {
+    const steps = search(graph, ctx, from, to, penalties);
+    if (!steps) break;
+    for (const step of steps) {
+      if (step.type === 'ride') penalties.set(step.edge, (penalties.get(step.edge) || 1) * REUSE_PENALTY);
+    }
+    const itinerary = toItinerary(graph, ctx, steps, colors);
+    const signature = itinerary.legs.map(l => `${l.type}:${l.route || ''}:${l.from.id}>${l.to.id}`).join(',');
+    if (seen.has(signature)) continue;
+    seen.add(signature);
+    itineraries.push(itinerary);
+  }
+
+  itineraries.sort((a, b) => a.score - b.score);
+  return itineraries.map((it, i) => ({ rank: i + 1, ...it }));
+}
+
+module.exports = { buildGraph, planRoutes, dayTypeOf, exposureOf };
@@ -0,0 +1,98 @@
+// Server-Sent Events hub for /api/stream. Producers publish named events on channels
+// ("presence:<policy>", "trains", "alerts"); each client subscribes to a set of channels.
+//
+// Event ids are "<boot>-<seq>". A reconnecting client's Last-Event-ID is replayed from a ring
+// buffer when it comes from this process and is still buffered; otherwise the client gets a
+// fresh snapshot. The ids are only meaningful per instance, so serverless deployments fall
+// back to snapshots on every reconnect.
+
+const BUFFER_SIZE = parseInt(process.env.STREAM_BUFFER_SIZE) || 200;
+const MAX_CLIENTS = parseInt(process.env.STREAM_MAX_CLIENTS) || 500;
+const HEARTBEAT_MS = 25000;     // below common proxy idle timeouts
+const RETRY_MS = 5000;          // EventSource reconnect delay
+const BOOT = Date.now().toString(36);
+
+const clients = new Set();
+const buffer = [];              // [{ seq, channel, event, data }], oldest first
+let seq = 0;
+let heartbeat = null;
+
+function write(client, id, event, data) {
+  client.res.write(`id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function publish(channel, event, data) {
+  const entry = { seq: ++seq, channel, event, data };
+  buffer.push(entry);
+  if (buffer.length > BUFFER_SIZE) buffer.shift();
+  for (const client of clients) {
+    if (client.channels.has(channel)) write(client, `${BOOT}-${entry.seq}`, event, data);
+  }
+}
+
+// Buffered events after lastEventId, or null when they can't be replayed exactly
+function replayFrom(lastEventId) {
+  const m = /^([a-z0-9]+)-(\d+)$/.exec(lastEventId || '');
+  if (!m || m[1] !== BOOT) return null;
+  const after = parseInt(m[2]);
+  if (after > seq) return null;
+  const oldest = buffer.length ? buffer[0].seq : seq + 1;
+  if (after < oldest - 1) return null;
+  return buffer.filter(e => e.seq > after);
+}
+
+// Attach an SSE response. snapshot(channels) resolves to [{ event, data }] describing current
+// state; it is sent when Last-Event-ID can't be replayed. Returns false when the hub is full.
+async function attach(req, res, channels, snapshot) {
+  if (clients.size >= MAX_CLIENTS) return false;
+
+  // no-transform also keeps compression() from buffering the stream
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const client = { res, channels: new Set(channels), closed: false };
+  req.on('close', () => {
+    client.closed = true;
+    clients.delete(client);
+    if (!clients.size && heartbeat) { clearInterval(heartbeat); heartbeat = null; }
+  });
+
+  const replay = replayFrom(req.headers['last-event-id'] || req.query.lastEventId);
+  if (replay) {
+    for (const e of replay) {
+      if (client.channels.has(e.channel)) write(client, `${BOOT}-${e.seq}`, e.event, e.data);
+    }
+  } else {
+    // Snapshot ids mark "state as of seq", so a later reconnect replays from here
+    const at = seq;
+    const events = await snapshot(client.channels);
+    if (client.closed) return true;
+    for (const e of events) write(client, `${BOOT}-${at}`, e.event, e.data);
+    // Anything published while the snapshot was being built
+    for (const e of buffer) {
+      if (e.seq > at && client.channels.has(e.channel)) write(client, `${BOOT}-${e.seq}`, e.event, e.data);
+    }
+  }
+
+  clients.add(client);
+  if (!heartbeat) {
+    heartbeat = setInterval(() => {
+      for (const c of clients) c.res.write(': ping\n\n');
+    }, HEARTBEAT_MS);
+  }
+  return true;
+}
+
+// Channels with at least one subscriber
+function activeChannels() {
+  const channels = new Set();
+  for (const c of clients) for (const ch of c.channels) channels.add(ch);
+  return channels;
+}
+
+module.exports = { publish, attach, activeChannels, clientCount: () => clients.size };
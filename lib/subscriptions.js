@@ -0,0 +1,398 @@
+// Station subscriptions and the webhook dispatcher. A subscription watches a few station complexes
+// for conditions and POSTs a signed JSON payload to its URL when one is met:
+//   safetyLevel - the level changes (optionally only into `to` levels)     -> safety.changed
+//   anomaly     - a station starts reading anomalous                        -> anomaly.started
+//   disruption  - an alert starts or stops affecting the complex            -> disruption.started
+//                 (optionally only for `effects`, e.g. "No Service")          / disruption.ended
+// evaluate() runs after each live computePresence(). Each subscription remembers the station state
+// it last evaluated; during its quiet hours (New York time) nothing is evaluated, so what changed
+// overnight is sent once they end, as net transitions. The same transition for the same station is
+// not sent twice within DEDUP_MS, which damps flapping.
+//
+// Deliveries are signed with the subscription's secret: X-Eyes-Signature is "t=<ms>,v1=<hex>",
+// HMAC-SHA256 of "<t>.<body>". Network errors, 429 and 5xx are retried with backoff; other 4xx
+// responses are final, and redirects are not followed. Webhook hosts must resolve to public
+// addresses: checked when the subscription is made, and before every attempt the host is resolved
+// once, checked, and the connection pinned to those addresses. WEBHOOK_ALLOW_PRIVATE=1 lifts the
+// check for a receiver on a local network. Subscriptions and their station state live in the
+// history store (tier "subscriptions"), or in memory when there is none.
+
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const net = require('net');
+const undici = require('undici');
+const history = require('./history');
+const NycTime = require('../public/nyc-time');
+
+const TIER = 'subscriptions';
+const CONDITION_TYPES = ['safetyLevel', 'anomaly', 'disruption'];
+const MAX_PER_OWNER = 20;
+const MAX_COMPLEXES = 50;
+// Waits after attempts 1-4
+const RETRY_DELAYS_MS = [30 * 1000, 2 * 60 * 1000, 10 * 60 * 1000, 30 * 60 * 1000];
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+const DEDUP_MS = 10 * 60 * 1000;
+const MAX_LOG = 20;
+const TOUCH_MS = 24 * 60 * 60 * 1000;   // rewritten at least daily, so KV expiry never drops them
+
+const subs = new Map();        // id -> subscription (with its station state)
+const deliveries = new Map();  // subscription id -> recent deliveries, newest first
+const recent = new Map();      // dedup key -> sent at
+let restored = null;
+let persist = true;
+let writes = Promise.resolve();
+let lastWrite = 0;
+let stations = {};
+let levels = [];
+let allowPrivate = process.env.WEBHOOK_ALLOW_PRIVATE === '1';
+let lookup = host => dns.lookup(host, { all: true, verbatim: true });
+
+// configure({ stations, levels, persist }): stations from the ridership model (ids are validated
+// against it), levels from the default policy; persist: false keeps everything in memory (replays).
+// allowPrivate overrides WEBHOOK_ALLOW_PRIVATE and lookup(host) -> [{ address, family }] replaces
+// DNS, for tests
+function configure(opts) {
+  if (opts.stations) stations = opts.stations;
+  if (opts.levels) levels = opts.levels;
+  if (opts.persist !== undefined) persist = !!opts.persist;
+  if (opts.allowPrivate !== undefined) allowPrivate = !!opts.allowPrivate;
+  if (opts.lookup) lookup = opts.lookup;
+}
+
+const storeOf = () => persist ? history.store : null;
+
+function restore() {
+  if (!storeOf()) return Promise.resolve();
+  return restored || (restored = storeOf().read(TIER, 'current')
+    .then(records => { for (const s of records) subs.set(s.id, s); })
+    .catch(err => console.error('[subscriptions] restore failed:', err.message)));
+}
+
+function save(now = Date.now()) {
+  const store = storeOf();
+  if (!store) return;
+  lastWrite = now;
+  const snapshot = JSON.parse(JSON.stringify([...subs.values()]));
+  writes = writes
+    .then(() => store.write(TIER, 'current', snapshot))
+    .catch(err => console.error('[subscriptions] write failed:', err.message));
+}
+
+// ---------------------------------------------------------------------------
+// VALIDATION
+// ---------------------------------------------------------------------------
+const HHMM = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const minutesOf = hhmm => parseInt(hhmm.slice(0, 2)) * 60 + parseInt(hhmm.slice(3));
+
+// Addresses a webhook may not reach: this machine, its networks and the cloud metadata service
+// (169.254.169.254). IPv4-mapped IPv6 addresses match the IPv4 ranges
+const PRIVATE_RANGES = [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['224.0.0.0', 4], ['240.0.0.0', 4],
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+];
+const privateList = new net.BlockList();
+const family = ip => net.isIPv6(ip) ? 'ipv6' : 'ipv4';
+for (const [prefix, bits] of PRIVATE_RANGES) privateList.addSubnet(prefix, bits, family(prefix));
+
+const isPrivateAddress = ip => privateList.check(ip, family(ip));
+
+// Resolves the url's host once: [{ address, family }]. Throws a RangeError when any of the
+// addresses is private; lookup failures are thrown as they come
+async function resolveHost(url) {
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(host) ? [{ address: host, family: net.isIP(host) }] : await lookup(host);
+  if (!addresses?.length) throw new Error(`${host} has no addresses`);
+  const blocked = !allowPrivate && addresses.find(a => isPrivateAddress(a.address));
+  if (blocked) {
+    throw new RangeError(`url must not resolve to a private address (${host} is ${blocked.address})`);
+  }
+  return addresses;
+}
+
+// Connections that only go to the addresses resolveHost() checked: fetch never asks DNS again, so
+// a second answer can't point the request somewhere else (DNS rebinding). TLS still verifies the
+// certificate against the url's host
+function pinnedAgent(addresses) {
+  return new undici.Agent({
+    connect: {
+      lookup: (hostname, options, callback) => options?.all
+        ? callback(null, addresses)
+        : callback(null, addresses[0].address, addresses[0].family)
+    }
+  });
+}
+
+// Request body -> subscription fields; throws a RangeError with the message for a 400
+function validate(body) {
+  const fail = msg => { throw new RangeError(msg); };
+  if (!body || typeof body !== 'object') fail('JSON body required');
+
+  let url;
+  try { url = new URL(body.url); } catch { fail('url must be an absolute URL'); }
+  // Plain http only for local development
+  if (url.protocol !== 'https:' && !(url.protocol === 'http:' && !process.env.VERCEL)) fail('url must use https');
+
+  const complexes = [...new Set((Array.isArray(body.complexes) ? body.complexes : []).map(String))];
+  if (!complexes.length) fail('complexes must list at least one station complex id');
+  if (complexes.length > MAX_COMPLEXES) fail(`At most ${MAX_COMPLEXES} complexes per subscription`);
+  const unknown = complexes.find(id => !stations[id]);
+  if (unknown) fail(`Unknown station: ${unknown}`);
+
+  const conditions = Array.isArray(body.conditions) && body.conditions.length
+    ? body.conditions
+    : CONDITION_TYPES.map(type => ({ type }));
+  for (const c of conditions) {
+    if (!CONDITION_TYPES.includes(c?.type)) fail(`condition type must be one of ${CONDITION_TYPES.join(', ')}`);
+    if (c.type === 'safetyLevel' && c.to !== undefined) {
+      if (!Array.isArray(c.to) || c.to.some(l => !levels.includes(l))) {
+        fail(`safetyLevel.to must list levels from ${levels.join(', ')}`);
+      }
+    }
+    const effectsOk = Array.isArray(c.effects) && c.effects.every(e => typeof e === 'string');
+    if (c.type === 'disruption' && c.effects !== undefined && !effectsOk) {
+      fail('disruption.effects must list alert effects, e.g. "No Service"');
+    }
+  }
+
+  let quietHours = null;
+  if (body.quietHours) {
+    const { from, to } = body.quietHours;
+    if (!HHMM.test(from) || !HHMM.test(to) || from === to) {
+      fail('quietHours needs distinct from and to as HH:MM (New York time)');
+    }
+    quietHours = { from, to };
+  }
+
+  return {
+    url: url.toString(),
+    complexes,
+    conditions: conditions.map(c => ({
+      type: c.type,
+      ...(c.type === 'safetyLevel' && c.to ? { to: c.to } : {}),
+      ...(c.type === 'disruption' && c.effects ? { effects: c.effects } : {})
+    })),
+    quietHours
+  };
+}
+
+// ---------------------------------------------------------------------------
+// API
+// ---------------------------------------------------------------------------
+// The secret only leaves in create()'s response; listings never carry it or the station state
+function view(sub) {
+  const { secret, owner, state, ...rest } = sub;
+  return { ...rest, deliveries: deliveries.get(sub.id) || [] };
+}
+
+async function create(owner, body) {
+  await restore();
+  const fields = validate(body);
+  if ([...subs.values()].filter(s => s.owner === owner).length >= MAX_PER_OWNER) {
+    throw new RangeError(`At most ${MAX_PER_OWNER} subscriptions per API key`);
+  }
+  try {
+    await resolveHost(fields.url);
+  } catch (err) {
+    if (err instanceof RangeError) throw err;
+    throw new RangeError(`url host does not resolve (${err.code || err.message})`);
+  }
+  const sub = {
+    id: `sub_${crypto.randomBytes(8).toString('hex')}`,
+    owner,
+    ...fields,
+    secret: crypto.randomBytes(24).toString('hex'),
+    createdAt: Date.now(),
+    state: {}
+  };
+  subs.set(sub.id, sub);
+  save();
+  console.log(`[subscriptions] ${sub.id} watching ${sub.complexes.length} complex(es)`);
+  return { ...view(sub), secret: sub.secret };
+}
+
+async function list(owner) {
+  await restore();
+  return [...subs.values()].filter(s => s.owner === owner).map(view);
+}
+
+async function watching() {
+  await restore();
+  return subs.size > 0;
+}
+
+// false when there is no such subscription for this owner
+async function remove(owner, id) {
+  await restore();
+  const sub = subs.get(id);
+  if (!sub || sub.owner !== owner) return false;
+  subs.delete(id);
+  deliveries.delete(id);
+  save();
+  return true;
+}
+
+// Sends a ping so a receiver can check its signature handling; null for an unknown subscription
+async function ping(owner, id) {
+  await restore();
+  const sub = subs.get(id);
+  if (!sub || sub.owner !== owner) return null;
+  return deliver(sub, { event: 'ping', timestamp: Date.now() });
+}
+
+// ---------------------------------------------------------------------------
+// EVALUATION
+// ---------------------------------------------------------------------------
+function inQuietHours(sub, ts) {
+  if (!sub.quietHours) return false;
+  const p = NycTime.parts(ts);
+  const now = p.hour * 60 + p.minute;
+  const from = minutesOf(sub.quietHours.from), to = minutesOf(sub.quietHours.to);
+  return from < to ? now >= from && now < to : now >= from || now < to;
+}
+
+const stateOf = s => ({
+  level: s.safetyLevel,
+  anomaly: !!s.isAnomaly,
+  disruption: s.hasDisruption ? s.disruptionEffect : null
+});
+
+// Events for one station between its last evaluated state and now
+function transitions(sub, prev, cur, s) {
+  const out = [];
+  for (const c of sub.conditions) {
+    if (c.type === 'safetyLevel' && cur.level !== prev.level && (!c.to || c.to.includes(cur.level))) {
+      out.push({ event: 'safety.changed', from: prev.level, to: cur.level });
+    }
+    if (c.type === 'anomaly' && cur.anomaly && !prev.anomaly) {
+      out.push({
+        event: 'anomaly.started',
+        anomalyScore: s.anomalyScore,
+        ridership: s.ridership,
+        baseline: s.baseline,
+        cause: s.anomalyCause || null
+      });
+    }
+    if (c.type === 'disruption' && cur.disruption !== prev.disruption) {
+      const matches = effect => !c.effects || c.effects.includes(effect);
+      if (prev.disruption && matches(prev.disruption) && !cur.disruption) {
+        out.push({ event: 'disruption.ended', effect: prev.disruption });
+      } else if (cur.disruption && matches(cur.disruption)) {
+        out.push({ event: 'disruption.started', effect: cur.disruption, routes: s.disruptionRoutes || [] });
+      }
+    }
+  }
+  return out;
+}
+
+// Feed one live presence result
+async function evaluate(presence) {
+  await restore();
+  if (!subs.size || !presence?.stations?.length) return;
+  const ts = presence.timestamp;
+  const byId = new Map(presence.stations.map(s => [s.id, s]));
+  let dirty = false;
+
+  for (const sub of subs.values()) {
+    if (inQuietHours(sub, ts)) continue;
+    for (const id of sub.complexes) {
+      const s = byId.get(id);
+      if (!s) continue;
+      const cur = stateOf(s);
+      const prev = sub.state[id];
+      sub.state[id] = cur;
+      // A station's first reading is the starting point, not a change
+      if (!prev) { dirty = true; continue; }
+      if (prev.level === cur.level && prev.anomaly === cur.anomaly && prev.disruption === cur.disruption) continue;
+      dirty = true;
+      for (const t of transitions(sub, prev, cur, s)) {
+        const key = `${sub.id}|${id}|${t.event}|${t.to ?? t.effect ?? ''}`;
+        if (ts - (recent.get(key) ?? -Infinity) < DEDUP_MS) continue;
+        recent.set(key, ts);
+        deliver(sub, { ...t, timestamp: ts, tz: NycTime.TIME_ZONE, policy: presence.policy, station: { id, name: s.name } })
+          .catch(err => console.error(`[subscriptions] ${sub.id}: ${err.message}`));
+      }
+    }
+  }
+  for (const [key, at] of recent) if (ts - at >= DEDUP_MS) recent.delete(key);
+  if (dirty || Date.now() - lastWrite > TOUCH_MS) save();
+}
+
+// ---------------------------------------------------------------------------
+// DELIVERY
+// ---------------------------------------------------------------------------
+function sign(secret, t, body) {
+  return crypto.createHmac('sha256', secret).update(`${t}.${body}`).digest('hex');
+}
+
+function logDelivery(sub, record) {
+  const log = deliveries.get(sub.id) || [];
+  const i = log.findIndex(r => r.id === record.id);
+  if (i >= 0) log.splice(i, 1);
+  log.unshift(record);
+  if (log.length > MAX_LOG) log.length = MAX_LOG;
+  deliveries.set(sub.id, log);
+}
+
+// Resolves with the delivery record once the first attempt settles; retries go on in the background
+async function deliver(sub, payload) {
+  const id = `dlv_${crypto.randomBytes(8).toString('hex')}`;
+  const body = JSON.stringify({ id, subscription: sub.id, ...payload });
+  const record = {
+    id, event: payload.event, station: payload.station?.id || null,
+    attempts: 0, status: 'pending', lastStatusCode: null, lastError: null
+  };
+
+  const attempt = async () => {
+    record.attempts++;
+    record.at = Date.now();
+    const t = Date.now();
+    let retry = false;
+    let dispatcher = null;
+    try {
+      dispatcher = pinnedAgent(await resolveHost(sub.url));
+      const resp = await undici.fetch(sub.url, {
+        method: 'POST',
+        headers: {
+          'content-type': 'application/json',
+          'user-agent': 'eyes-on-the-street-webhooks',
+          'x-eyes-event': payload.event,
+          'x-eyes-delivery': id,
+          'x-eyes-signature': `t=${t},v1=${sign(sub.secret, t, body)}`
+        },
+        body,
+        redirect: 'manual',
+        dispatcher,
+        signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+      });
+      record.lastStatusCode = resp.status;
+      record.lastError = null;
+      if (resp.ok) record.status = 'delivered';
+      else retry = resp.status === 429 || resp.status >= 500;
+      if (!resp.ok && !retry) record.status = 'failed';
+    } catch (err) {
+      record.lastError = err.message;
+      // A host that now resolves to a private address is refused for good
+      if (err instanceof RangeError) record.status = 'failed';
+      else retry = true;
+    } finally {
+      // Only the status matters: drop the connection rather than wait for the body
+      dispatcher?.destroy().catch(() => {});
+    }
+    if (retry) {
+      const delay = RETRY_DELAYS_MS[record.attempts - 1];
+      if (delay === undefined || !subs.has(sub.id)) record.status = 'failed';
+      else setTimeout(attempt, delay).unref();
+    }
+    if (record.status !== 'pending') {
+      console.log(`[subscriptions] ${payload.event} -> ${sub.id}: ${record.status} after ${record.attempts} attempt(s)`);
+    }
+    logDelivery(sub, { ...record });
+  };
+
+  await attempt();
+  return { ...record };
+}
+
+module.exports = { configure, create, list, remove, ping, evaluate, watching, isPrivateAddress };
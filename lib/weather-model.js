@@ -0,0 +1,46 @@
+// Weather buckets shared by scripts/build-weather-model.js (fitting) and the server (lookup).
+// A bucket is "<condition>|<temp band>|<hour group>", e.g. "rain|cold|pm-peak". The model also
+// holds the coarser "<condition>|<temp band>" and "<condition>" buckets, citywide and per borough,
+// each a ridership multiplier against the all-weather hourly profile.
+
+const TEMP_BANDS = [            // °F, upper bounds
+  { id: 'freezing', below: 32 },
+  { id: 'cold', below: 50 },
+  { id: 'mild', below: 75 },
+  { id: 'warm', below: 90 },
+  { id: 'hot', below: Infinity }
+];
+
+const HOUR_GROUPS = [
+  { id: 'night', from: 0, to: 6 },
+  { id: 'am-peak', from: 6, to: 10 },
+  { id: 'midday', from: 10, to: 16 },
+  { id: 'pm-peak', from: 16, to: 20 },
+  { id: 'evening', from: 20, to: 24 }
+];
+
+// Same flags classifyWeather() sets on live and forecast weather
+const conditionOf = weather => weather.isSnow ? 'snow' : weather.isRain ? 'rain' : 'dry';
+const tempBand = temp => TEMP_BANDS.find(b => temp < b.below).id;
+const hourGroup = hour => HOUR_GROUPS.find(g => hour >= g.from && hour < g.to).id;
+
+// Most specific first
+function bucketKeys(condition, temp, hour) {
+  const band = tempBand(temp);
+  return [`${condition}|${band}|${hourGroup(hour)}`, `${condition}|${band}`, condition];
+}
+
+// The fitted bucket for this weather and hour: most specific key first, the borough's fit before
+// the citywide one. { multiplier, key, scope, hours } or null when the model has nothing.
+function lookup(model, borough, weather, hour) {
+  if (!model || !weather) return null;
+  for (const key of bucketKeys(conditionOf(weather), weather.temp, hour)) {
+    const local = borough && model.boroughs?.[borough]?.[key];
+    if (local) return { multiplier: local.multiplier, key, scope: borough, hours: local.hours };
+    const city = model.citywide?.[key];
+    if (city) return { multiplier: city.multiplier, key, scope: 'citywide', hours: city.hours };
+  }
+  return null;
+}
+
+module.exports = { TEMP_BANDS, HOUR_GROUPS, conditionOf, tempBand, hourGroup, bucketKeys, lookup };
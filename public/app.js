@@ -3,11 +3,19 @@
 
   // Fetch config
   let mapboxToken = '';
+  let dataSource = { mode: 'live', speed: 1 };
+  let configAt = Date.now();
   try {
     const config = await (await fetch('/api/config')).json();
     mapboxToken = config.mapboxToken;
+    if (config.dataSource) { dataSource = config.dataSource; configAt = Date.now(); }
   } catch (e) {}
 
+  // The server's clock: wall time live, the session's virtual clock when replaying a recording
+  const serverNow = () => dataSource.mode !== 'replay' ? Date.now()
+    : Math.min(dataSource.end, dataSource.now + (Date.now() - configAt) * dataSource.speed);
+  const liveLabel = dataSource.mode === 'replay' ? `REPLAY ${dataSource.speed}x` : 'LIVE';
+
   if (!mapboxToken) {
     document.body.insertAdjacentHTML('beforeend',
       `<div class="token-warning">No Mapbox token found.<br>Add <code>MAPBOX_TOKEN=pk.your_token</code> to .env</div>`
@@ -30,39 +38,43 @@
   const esc = t => { const d = document.createElement('div'); d.textContent = t; return d.innerHTML; };
   const fmt = n => n >= 1e6 ? (n/1e6).toFixed(1)+'M' : n >= 1e3 ? Math.round(n).toLocaleString() : String(n);
 
-  const LINE_COLORS = {
-    '1':'#EE352E','2':'#EE352E','3':'#EE352E',
-    '4':'#00933C','5':'#00933C','6':'#00933C',
-    '7':'#B933AD',
-    'A':'#0039A6','C':'#0039A6','E':'#0039A6',
-    'B':'#FF6319','D':'#FF6319','F':'#FF6319','M':'#FF6319',
-    'G':'#6CBE45','J':'#996633','Z':'#996633','L':'#A7A9AC',
-    'N':'#FCCC0A','Q':'#FCCC0A','R':'#FCCC0A','W':'#FCCC0A',
-    'S':'#808183','SI':'#0039A6','SIR':'#0039A6'
+  // Agencies: route colours are per agency (the LIRR has a "1" too); records without an agency are
+  // the primary agency's (the subway)
+  let agencies = [];
+  try { agencies = (await (await fetch('/api/agencies')).json()).agencies || []; } catch (e) {}
+  const agencyOf = id => agencies.find(a => a.id === id) || agencies.find(a => a.primary);
+  const routeColor = (route, agency) => agencyOf(agency)?.colors[route];
+  const routeBadge = (r, agency, fallback) => {
+    const a = agencyOf(agency);
+    const c = routeColor(r, agency) || fallback || a?.color || '#666', tc = a?.textColors[r] || '#fff';
+    return `<div class="alert-route-badge" style="background:${c};color:${tc}">${esc(r)}</div>`;
   };
 
-  function getCityPhase(h) {
-    if (h < 5) return 'Dead Hours';
-    if (h < 7) return 'Early Risers';
-    if (h < 10) return 'Morning Rush';
-    if (h < 12) return 'Midday Build';
-    if (h < 14) return 'Lunch Surge';
-    if (h < 15) return 'Afternoon Lull';
-    if (h < 16) return 'School Dismissal';
-    if (h < 19) return 'Evening Rush';
-    if (h < 22) return 'Night Activity';
-    return 'Late Night';
-  }
-
   // Status + clock
-  function setStatus(state, text) {
-    $('statusDot').className = 'hud-dot' + (state === 'error' ? ' error' : state === 'loading' ? ' loading' : '');
+  function setStatus(state, text, title = '') {
+    $('statusDot').className = 'hud-dot' + (state === 'error' ? ' error' : state === 'loading' ? ' loading' : state === 'degraded' ? ' degraded' : '');
     $('statusText').textContent = text;
+    $('statusDot').parentElement.title = title;
+  }
+
+  // Live status from the presence's source health: amber when an input is stale or missing,
+  // red when no train feed answered (ridership is baseline only)
+  const INPUT_NAMES = { trains: 'Train feeds', alerts: 'Service alerts', weather: 'Weather', stations: 'Station registry' };
+  function setLiveStatus() {
+    const src = presenceData?.sources;
+    if (!src || src.status === 'ok') return setStatus('live', liveLabel);
+    const lines = Object.entries(INPUT_NAMES)
+      .filter(([key]) => src[key] === 'stale' || src[key] === 'missing')
+      .map(([key, name]) => `${name}: ${src[key]}`);
+    const feeds = Object.entries(src.feeds || {}).filter(([, st]) => st !== 'fresh').map(([id, st]) => `${id.replace(/^feed-/, '')} ${st}`);
+    if (feeds.length) lines.push(`Feeds: ${feeds.join(', ')}`);
+    setStatus(src.status === 'down' ? 'error' : 'degraded', `${liveLabel} · ${src.status.toUpperCase()}`, lines.join('\n'));
   }
   function updateClock() {
-    const n = new Date();
-    $('clock').textContent = [n.getHours(), n.getMinutes(), n.getSeconds()].map(v => String(v).padStart(2,'0')).join(':');
-    $('cityPhase').textContent = getCityPhase(n.getHours());
+    // New York time wherever the viewer is (public/nyc-time.js)
+    const t = serverNow();
+    $('clock').textContent = NycTime.clock(t, true);
+    $('cityPhase').textContent = NycTime.cityPhase(NycTime.parts(t).hour);
   }
 
   // Wait for map
@@ -121,6 +133,30 @@
     }
   });
 
+  // Street-level presence cells (/api/grid): riders spread from station entrances, with the policy's
+  // level per cell. Replaces the heatmap blur with real numbers once zoomed in; shaded by density
+  // (riders per hour per km²) so res 9 and res 10 cells read alike
+  map.addSource('grid', { type: 'geojson', data: empty });
+  map.addLayer({
+    id: 'grid-cells', type: 'fill', source: 'grid', minzoom: 13,
+    paint: {
+      'fill-color': ['match',['get','safetyLevel'], 'safe','#00ff88', 'caution','#ffcc00', 'avoid','#ff2244', '#66ccff'],
+      'fill-opacity': ['interpolate',['linear'],['get','density'], 0,0.04, 500,0.12, 5000,0.25, 20000,0.35],
+      'fill-outline-color': 'rgba(255,255,255,0.08)'
+    }
+  });
+
+  // Bike share docks (lib/bikeshare.js), sized by turnover: people at the curb the subway model misses
+  map.addSource('bikeshare', { type: 'geojson', data: empty });
+  map.addLayer({
+    id: 'bike-docks', type: 'circle', source: 'bikeshare', minzoom: 13,
+    paint: {
+      'circle-radius': ['interpolate',['linear'],['get','turnover'], 0,1.5, 10,3, 40,6, 100,9],
+      'circle-color': '#b388ff',
+      'circle-opacity': ['case', ['get','warming'], 0.2, ['interpolate',['linear'],['get','turnover'], 0,0.25, 20,0.6, 60,0.85]]
+    }
+  });
+
   // Station glow halos
   map.addLayer({
     id: 'station-glow', type: 'circle', source: 'presence', minzoom: 12,
@@ -139,45 +175,86 @@
       'circle-radius': ['interpolate',['linear'],['get','ridership'], 0,2, 500,3, 2000,5, 5000,7],
       'circle-color': ['match',['get','safetyLevel'], 'safe','#00ff88', 'caution','#ffcc00', 'avoid','#ff2244', '#66ccff'],
       'circle-opacity': 0.9, 'circle-blur': 0.15,
-      'circle-stroke-width': ['match',['get','safetyLevel'], 'avoid',1.5, 0.5],
-      'circle-stroke-color': ['match',['get','safetyLevel'],
-        'avoid','rgba(255,34,68,0.6)', 'caution','rgba(255,204,0,0.3)', 'rgba(255,255,255,0.15)']
+      // Forecast stations whose level could tip either way get a bright ring
+      'circle-stroke-width': ['case', ['get','uncertain'], 2, ['match',['get','safetyLevel'], 'avoid',1.5, 0.5]],
+      'circle-stroke-color': ['case', ['get','uncertain'], 'rgba(255,255,255,0.7)', ['match',['get','safetyLevel'],
+        'avoid','rgba(255,34,68,0.6)', 'caution','rgba(255,204,0,0.3)', 'rgba(255,255,255,0.15)']]
+    }
+  });
+
+  // Stations of agencies the ridership model doesn't cover (PATH, LIRR, ...): no presence estimate,
+  // just a marker in the agency's colour
+  map.addSource('agency-stations', {
+    type: 'geojson',
+    data: {
+      type: 'FeatureCollection',
+      features: agencies.flatMap(a => a.complexes.filter(c => !c.modeled).map(c => ({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [c.lon, c.lat] },
+        properties: { id: c.id, name: c.name, agency: a.shortName, color: a.color }
+      })))
+    }
+  });
+  map.addLayer({
+    id: 'agency-stations', type: 'circle', source: 'agency-stations', minzoom: 10,
+    paint: {
+      'circle-radius': ['interpolate',['linear'],['zoom'], 10,2.5, 14,5],
+      'circle-color': ['get','color'], 'circle-opacity': 0.9,
+      'circle-stroke-width': 1, 'circle-stroke-color': 'rgba(255,255,255,0.6)'
+    }
+  });
+
+  // Planned route: casing + per-leg line colours + boarding/alighting stops
+  map.addSource('route', { type: 'geojson', data: empty });
+  map.addLayer({
+    id: 'route-casing', type: 'line', source: 'route', filter: ['==', ['geometry-type'], 'LineString'],
+    layout: { 'line-cap': 'round', 'line-join': 'round' },
+    paint: { 'line-color': '#000', 'line-width': 9, 'line-opacity': 0.8 }
+  });
+  map.addLayer({
+    id: 'route-line', type: 'line', source: 'route', filter: ['==', ['geometry-type'], 'LineString'],
+    layout: { 'line-cap': 'round', 'line-join': 'round' },
+    paint: {
+      'line-color': ['get', 'color'], 'line-width': 5,
+      'line-dasharray': ['case', ['==', ['get', 'type'], 'walk'], ['literal', [1, 1.5]], ['literal', [1, 0]]]
+    }
+  });
+  map.addLayer({
+    id: 'route-stops', type: 'circle', source: 'route', filter: ['==', ['geometry-type'], 'Point'],
+    paint: {
+      'circle-radius': 6, 'circle-stroke-width': 2, 'circle-stroke-color': '#000',
+      'circle-color': ['match', ['get', 'safetyLevel'], 'safe', '#00ff88', 'caution', '#ffcc00', 'avoid', '#ff2244', '#66ccff']
     }
   });
 
   // Presence data
   let presenceData = null;
 
-  // Client-side models for popup calculations
-  let clientRidershipModel = null, clientCrimeModel = null;
-  async function loadClientModels() {
+  // Safety policy: the server evaluates presence with it; the station panel reuses the same
+  // policy JSON and evaluator (safety-policy.js) for hour-by-hour levels
+  let activePolicy = null, defaultPolicyId = 'default';
+  const policySelect = $('policySelect');
+  const policyParam = () => activePolicy && activePolicy.id !== defaultPolicyId ? `policy=${encodeURIComponent(activePolicy.id)}` : '';
+  const withPolicy = url => { const q = policyParam(); return q ? url + (url.includes('?') ? '&' : '?') + q : url; };
+
+  async function loadPolicy(id) {
+    try {
+      const resp = await fetch(`/data/policies/${encodeURIComponent(id)}.json`);
+      if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+      activePolicy = SafetyPolicy.validate(await resp.json());
+    } catch (e) { console.warn('[policy] failed to load:', e.message); }
+  }
+
+  async function loadPolicies() {
     try {
-      const [rm, cm] = await Promise.all([
-        fetch('/data/ridership-model.json').then(r => r.ok ? r.json() : null),
-        fetch('/data/crime-model.json').then(r => r.ok ? r.json() : null)
-      ]);
-      clientRidershipModel = rm;
-      clientCrimeModel = cm;
-      console.log('[models] loaded client-side models');
-    } catch (e) { console.warn('[models] failed to load:', e.message); }
-  }
-
-  function computeSafetyLevelClient(ridership, crimeRisk, hour) {
-    const isNight = hour >= 22 || hour < 6;
-    const isEvening = hour >= 18 && hour < 22;
-    if (!isNight && !isEvening) {
-      if (crimeRisk >= 0.8 && ridership < 15) return 'caution';
-      return 'safe';
-    }
-    if (isEvening) {
-      if (crimeRisk >= 0.7 && ridership < 25) return 'avoid';
-      if (crimeRisk >= 0.5 && ridership < 15) return 'caution';
-      return 'safe';
-    }
-    if (crimeRisk >= 0.5 && ridership < 15) return 'avoid';
-    if (crimeRisk >= 0.3 && ridership < 25) return 'caution';
-    if (ridership < 5 && crimeRisk >= 0.15) return 'caution';
-    return 'safe';
+      const list = await (await fetch('/api/policies')).json();
+      defaultPolicyId = list.default;
+      policySelect.innerHTML = list.policies.map(p =>
+        `<option value="${esc(p.id)}" title="${esc(p.description || '')}">${esc(p.name || p.id)}</option>`
+      ).join('');
+      policySelect.value = defaultPolicyId;
+      await loadPolicy(defaultPolicyId);
+    } catch (e) { console.warn('[policy] list failed:', e.message); }
   }
 
   function haversineMiles(lat1, lon1, lat2, lon2) {
@@ -188,30 +265,6 @@
     return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
   }
 
-  function getSafestHours(stationId) {
-    if (!clientRidershipModel?.stations?.[stationId] || !clientCrimeModel?.stationRisk?.[stationId]) return null;
-    const rs = clientRidershipModel.stations[stationId];
-    const cs = clientCrimeModel.stationRisk[stationId];
-    const now = new Date();
-    const dow = ['Sun','Mon','Tue','Wed','Thu','Fri','Sat'][now.getDay()];
-    const hourly = rs.hourly?.[dow];
-    if (!hourly) return null;
-
-    const isWeekend = now.getDay() === 0 || now.getDay() === 6;
-    const scores = [];
-    for (let h = 0; h < 24; h++) {
-      const rid = hourly[h] || 0;
-      const crime = (isWeekend ? cs.weekendRisk?.[h] : cs.weekdayRisk?.[h]) ?? cs.hourlyRisk?.[h] ?? 0;
-      // Score: higher ridership and lower crime = safer. Avoid div-by-zero.
-      const score = rid / (crime + 0.01);
-      scores.push({ hour: h, score, ridership: rid });
-    }
-    // Filter out dead hours with near-zero ridership
-    const viable = scores.filter(s => s.ridership > 10);
-    if (viable.length === 0) return scores.sort((a,b) => b.score - a.score).slice(0, 3);
-    return viable.sort((a, b) => b.score - a.score).slice(0, 3);
-  }
-
   function getNearestSafe(station) {
     if (!presenceData?.stations) return [];
     const safeStations = presenceData.stations.filter(s =>
@@ -231,14 +284,10 @@
         type: 'Feature',
         geometry: { type: 'Point', coordinates: [s.lon, s.lat] },
         properties: {
-          id: s.id, name: s.name, ridership: s.ridership || 0, baseline: s.baseline || 0,
+          id: s.id, name: s.name, ridership: s.ridership || 0,
           weight: (s.ridership || 0) / max, anomalyScore: s.anomalyScore || 0,
-          isAnomaly: s.isAnomaly || false, trainCount: s.trainCount || 0,
-          crimeRisk: s.crimeRisk || 0, crimeTotal: s.crimeTotal || 0,
-          topCrimeType: s.topCrimeType || '', safetyLevel: s.safetyLevel || 'safe',
-          hasDisruption: s.hasDisruption || false,
-          disruptionEffect: s.disruptionEffect || '',
-          disruptionRoutes: s.disruptionRoutes ? JSON.stringify(s.disruptionRoutes) : ''
+          isAnomaly: s.isAnomaly || false, safetyLevel: s.safetyLevel || 'safe',
+          hasDisruption: s.hasDisruption || false, uncertain: s.uncertain || false
         }
       }))
     };
@@ -246,48 +295,81 @@
 
   async function fetchPresence() {
     try {
-      presenceData = await (await fetch('/api/presence')).json();
+      applyPresence(await (await fetch(withPolicy('/api/presence'))).json());
+    } catch (err) {
+      console.error('[presence]', err);
+    }
+  }
 
-      // In explore mode, store data but don't update the map
-      if (exploreMode) return;
+  // Stream diffs carry the summary plus only the changed stations
+  function mergePresenceDiff(diff) {
+    if (!presenceData) return;
+    const byId = new Map(presenceData.stations.map(s => [s.id, s]));
+    for (const s of diff.stations) byId.set(s.id, s);
+    for (const id of diff.removed || []) byId.delete(id);
+    const { removed, ...summary } = diff;
+    applyPresence({ ...summary, stations: [...byId.values()].sort((a, b) => b.ridership - a.ridership) });
+  }
 
-      $('presenceCount').textContent = fmt(presenceData.totalPresence);
-      $('stationCount').textContent = presenceData.stations.length;
-      $('anomalyCount').textContent = presenceData.anomalyCount || 0;
+  function applyPresence(data) {
+    presenceData = data;
 
-      // Night mode
-      if (presenceData.isNightMode) {
-        $('nightBadge').style.display = '';
-        document.body.classList.add('night-mode');
-      } else {
-        $('nightBadge').style.display = 'none';
-        document.body.classList.remove('night-mode');
-      }
+    // In explore mode, store data but don't update the map
+    if (exploreMode) return;
+    setLiveStatus();
 
-      // Safety stats
-      if (presenceData.safetyStats) {
-        const ss = presenceData.safetyStats;
-        $('safetyStats').innerHTML = `<span class="safety-safe">${ss.safe}</span>/<span class="safety-caution">${ss.caution}</span>/<span class="safety-avoid">${ss.avoid}</span>`;
-      }
+    $('presenceCount').textContent = fmt(presenceData.totalPresence);
+    $('stationCount').textContent = presenceData.stations.length;
+    $('anomalyCount').textContent = presenceData.anomalyCount || 0;
 
-      // Weather display
-      const w = presenceData.weather;
-      if (w) {
-        $('weatherHud').style.display = '';
-        $('weatherInfo').textContent = `${w.condition} ${w.temp}°F`;
-        const mod = $('weatherModifier');
-        if (w.isSnow) { mod.textContent = '-30%'; mod.style.display = ''; }
-        else if (w.isRain) { mod.textContent = '-20%'; mod.style.display = ''; }
-        else if (w.isExtreme) { mod.textContent = '-15%'; mod.style.display = ''; }
-        else { mod.style.display = 'none'; }
-      } else {
-        $('weatherHud').style.display = 'none';
-      }
+    // Night mode
+    if (presenceData.isNightMode) {
+      $('nightBadge').style.display = '';
+      document.body.classList.add('night-mode');
+    } else {
+      $('nightBadge').style.display = 'none';
+      document.body.classList.remove('night-mode');
+    }
 
-      map.getSource('presence').setData(toGeoJSON(presenceData));
-      StationLayer.setStations(presenceData.stations);
-    } catch (err) {
-      console.error('[presence]', err);
+    // Safety stats
+    if (presenceData.safetyStats) {
+      const ss = presenceData.safetyStats;
+      $('safetyStats').innerHTML = `<span class="safety-safe">${ss.safe}</span>/<span class="safety-caution">${ss.caution}</span>/<span class="safety-avoid">${ss.avoid}</span>`;
+    }
+
+    renderWeather(presenceData.weather, presenceData.weatherEffect);
+    renderDayProfile(presenceData.dayProfile);
+
+    map.getSource('presence').setData(toGeoJSON(presenceData));
+    StationLayer.setStations(presenceData.stations);
+    refreshStationPanel();
+  }
+
+  // Holiday badge: which day's baseline the server used instead of the weekday's
+  const PROFILE_NAMES = { Sat: 'Saturday', Sun: 'Sunday', Hol: 'holiday' };
+  function renderDayProfile(p) {
+    const badge = $('holidayBadge');
+    if (!p?.holiday) { badge.style.display = 'none'; return; }
+    badge.style.display = '';
+    badge.textContent = p.holiday.toUpperCase();
+    badge.title = PROFILE_NAMES[p.profile] ? `Ridership baseline: ${PROFILE_NAMES[p.profile]} profile` : 'Ridership baseline: regular weekday';
+  }
+
+  // Weather display (forecast weather carries pop, the chance of precipitation). The badge is the
+  // server's citywide multiplier: fitted from historical weather, or the policy's flat one.
+  function renderWeather(w, effect) {
+    if (w) {
+      $('weatherHud').style.display = '';
+      $('weatherInfo').textContent = `${w.condition} ${w.temp}°F` + (w.pop != null ? ` · ${Math.round(w.pop * 100)}%` : '');
+      const mod = $('weatherModifier');
+      const pct = Math.round(((effect?.multiplier ?? 1) - 1) * 100);
+      if (pct) {
+        mod.textContent = `${pct > 0 ? '+' : ''}${pct}%`;
+        mod.title = effect.source === 'policy' ? 'Safety policy multiplier' : 'Fitted from historical weather';
+        mod.style.display = '';
+      } else { mod.style.display = 'none'; }
+    } else {
+      $('weatherHud').style.display = 'none';
     }
   }
 
@@ -303,145 +385,607 @@
   // Trains
   async function fetchTrains() {
     try {
-      const data = await (await fetch('/api/trains')).json();
-      StationLayer.onTrainUpdate(data.trains);
+      applyTrains(await (await fetch('/api/trains')).json());
     } catch (err) {
       console.error('[trains]', err);
     }
   }
 
+  function applyTrains(data) {
+    StationLayer.onTrainUpdate(data.trains);
+  }
+
+  // Bike share docks: polled on their own (the GBFS status updates about once a minute)
+  async function fetchBikeshare() {
+    try {
+      const data = await (await fetch('/api/bikeshare')).json();
+      map.getSource('bikeshare').setData({
+        type: 'FeatureCollection',
+        features: (data.docks || []).map(d => ({
+          type: 'Feature',
+          geometry: { type: 'Point', coordinates: [d.lon, d.lat] },
+          properties: { id: d.id, name: d.name, bikes: d.bikes, docksFree: d.docksFree, turnover: d.turnover ?? 0, warming: d.turnover === null }
+        }))
+      });
+    } catch (e) { console.error('[bikeshare]', e); }
+  }
+  fetchBikeshare();
+  setInterval(fetchBikeshare, 60000);
+
   // Alerts
   let alertsVisible = false;
+  // Alerts and the station panel share the right edge: one at a time
   window.toggleAlerts = () => {
     alertsVisible = !alertsVisible;
     $('alertsPanel').classList.toggle('visible', alertsVisible);
+    if (alertsVisible) closeStationPanel();
   };
+  function closeAlerts() {
+    alertsVisible = false;
+    $('alertsPanel').classList.remove('visible');
+  }
 
   async function fetchAlerts() {
     try {
-      const data = await (await fetch('/api/alerts')).json();
-      const alerts = data.alerts;
-      const badge = $('alertBadge');
-      const critical = alerts.filter(a => a.severity === 'critical' || a.severity === 'high').length;
-      badge.textContent = alerts.length;
-      badge.className = 'alert-badge' + (critical > 0 ? ' active' : '');
-
-      const container = $('alertsList');
-      if (alerts.length === 0) { container.innerHTML = '<div class="no-alerts">No active alerts</div>'; return; }
-
-      container.innerHTML = alerts.map(a => {
-        const routes = a.affectedRoutes.slice(0, 8).map(r => {
-          const c = LINE_COLORS[r] || '#666', tc = ['N','Q','R','W'].includes(r) ? '#000' : '#fff';
-          return `<div class="alert-route-badge" style="background:${c};color:${tc}">${esc(r)}</div>`;
-        }).join('');
-        return `<div class="alert-item ${a.severity}">
-          <div class="alert-item-top"><div class="alert-routes">${routes}</div><span class="alert-effect-tag">${esc(a.effect)}</span></div>
-          <div class="alert-title">${esc(a.header)}</div>
-          ${a.description ? `<div class="alert-desc">${esc(a.description)}</div>` : ''}
-        </div>`;
-      }).join('');
+      applyAlerts(await (await fetch('/api/alerts')).json());
     } catch (e) { console.error('[alerts]', e); }
   }
 
-  // Station click
-  map.on('click', 'station-circles', e => {
-    if (!e.features?.length) return;
-    const p = e.features[0].properties, coords = e.features[0].geometry.coordinates;
-    const apct = Math.round(p.anomalyScore * 100), asign = apct > 0 ? '+' : '';
-    const sl = p.safetyLevel || 'safe';
-    const slColors = { safe: 'var(--green)', caution: 'var(--amber)', avoid: 'var(--red)' };
-    const crPct = Math.round((p.crimeRisk || 0) * 100);
-
-    let anomalyHtml = '';
-    if (p.isAnomaly) {
-      const cls = apct > 0 ? 'surge' : 'quiet', label = apct > 0 ? 'SURGE' : 'QUIET';
-      anomalyHtml = `<div class="popup-anomaly ${cls}">${label} ${asign}${apct}% vs baseline</div>`;
-    }
-
-    // Disruption banner
-    let disruptionHtml = '';
-    if (p.hasDisruption && p.disruptionEffect) {
-      let routes = [];
-      try { routes = p.disruptionRoutes ? JSON.parse(p.disruptionRoutes) : []; } catch (e) {}
-      const routeBadges = routes.slice(0, 6).map(r => {
-        const c = LINE_COLORS[r] || '#666', tc = ['N','Q','R','W'].includes(r) ? '#000' : '#fff';
-        return `<div class="popup-disruption-route" style="background:${c};color:${tc}">${esc(r)}</div>`;
-      }).join('');
-      disruptionHtml = `<div class="popup-disruption">
-        <div style="font-weight:600">${esc(p.disruptionEffect).toUpperCase()}</div>
-        ${routeBadges ? `<div class="popup-disruption-routes">${routeBadges}</div>` : ''}
+  // "Sat 23:45 – Mon 05:00" from an active period in epoch seconds
+  function formatPeriod(p) {
+    const fmtT = sec => `${NycTime.parts(sec * 1000).dayOfWeek} ${NycTime.clock(sec * 1000)}`;
+    if (!p || p.start == null) return p?.end != null ? `until ${fmtT(p.end)}` : '';
+    return p.end != null ? `${fmtT(p.start)} – ${fmtT(p.end)}` : `from ${fmtT(p.start)}`;
+  }
+
+  function formatDuration(ms) {
+    const min = Math.max(0, Math.round(ms / 60000));
+    if (min < 60) return `${min} min`;
+    if (min < 48 * 60) return `${Math.floor(min / 60)}h ${min % 60}m`;
+    return `${Math.round(min / 1440)} days`;
+  }
+
+  // When an alert applies: how long it has been in force, else Mercury's wording or the next period
+  const alertWhen = a => a.isActiveNow !== false && a.activeSince
+    ? `Ongoing for ${formatDuration(serverNow() - a.activeSince)}`
+    : a.activePeriodText || formatPeriod(a.nextActivePeriod);
+
+  function applyAlerts(data) {
+    const alerts = data.alerts;
+    const now = alerts.filter(a => a.isActiveNow !== false);
+    const upcoming = alerts.filter(a => a.isActiveNow === false);
+    const badge = $('alertBadge');
+    const critical = now.filter(a => a.severity === 'critical' || a.severity === 'high').length;
+    badge.textContent = now.length;
+    badge.className = 'alert-badge' + (critical > 0 ? ' active' : '');
+
+    const container = $('alertsList');
+    if (alerts.length === 0) { container.innerHTML = '<div class="no-alerts">No active alerts</div>'; return; }
+
+    const item = a => {
+      const routes = a.affectedRoutes.slice(0, 8).map(r => routeBadge(r, a.agency)).join('');
+      const when = alertWhen(a);
+      return `<div class="alert-item ${a.isActiveNow === false ? 'upcoming' : a.severity}">
+        <div class="alert-item-top"><div class="alert-routes">${routes}</div><span class="alert-effect-tag">${a.planned ? 'Planned · ' : ''}${esc(a.effect)}</span></div>
+        <div class="alert-title">${esc(a.header)}</div>
+        ${when ? `<div class="alert-when">${esc(when)}</div>` : ''}
+        ${a.description ? `<div class="alert-desc">${esc(a.description)}</div>` : ''}
       </div>`;
+    };
+    container.innerHTML =
+      `<div class="alerts-group-title">Now (${now.length})</div>` +
+      (now.length ? now.map(item).join('') : '<div class="no-alerts">No active alerts</div>') +
+      (upcoming.length ? `<div class="alerts-group-title">Upcoming (${upcoming.length})</div>` + upcoming.map(item).join('') : '');
+  }
+
+  // Live updates: one SSE stream for presence, trains and alerts; polling while it's unavailable
+  let liveStream = null;
+  let pollTimers = [];
+  let pollFallback = null;
+  let streamRetry = null;
+
+  function startPolling() {
+    if (pollTimers.length) return;
+    fetchTrains();
+    fetchAlerts();
+    pollTimers = [setInterval(fetchPresence, 30000), setInterval(fetchTrains, 30000), setInterval(fetchAlerts, 60000)];
+  }
+
+  function stopPolling() {
+    pollTimers.forEach(clearInterval);
+    pollTimers = [];
+  }
+
+  function connectStream() {
+    if (liveStream) liveStream.close();
+    clearTimeout(streamRetry);
+    clearTimeout(pollFallback);
+    if (!window.EventSource) return startPolling();
+
+    const es = liveStream = new EventSource(withPolicy('/api/stream'));
+    const on = (event, fn) => es.addEventListener(event, e => {
+      try { fn(JSON.parse(e.data)); } catch (err) { console.error('[stream]', err); }
+    });
+    on('presence', applyPresence);
+    on('presence-diff', mergePresenceDiff);
+    on('trains', applyTrains);
+    on('alerts', applyAlerts);
+    es.addEventListener('open', () => { clearTimeout(pollFallback); stopPolling(); });
+    es.addEventListener('error', () => {
+      if (es.readyState === EventSource.CLOSED) {
+        // Refused outright (e.g. 503): poll, and try the stream again later
+        liveStream = null;
+        startPolling();
+        streamRetry = setTimeout(connectStream, 60000);
+      } else {
+        // EventSource reconnects itself and resumes from Last-Event-ID; poll only if that stalls
+        clearTimeout(pollFallback);
+        pollFallback = setTimeout(startPolling, 15000);
+      }
+    });
+  }
+
+  // Intelligence
+  $('intelHeader').addEventListener('click', () => $('intelPanel').classList.toggle('collapsed'));
+
+  async function fetchIntelligence() {
+    try {
+      const resp = await fetch('/api/intelligence');
+      if (!resp.ok) return; // rate limited or failed: keep the last report on screen
+      const report = await resp.json();
+      const sec = report.sections || {};
+      $('intelMeta').textContent = `${report.provider} · ${NycTime.clock(report.timestamp)}`;
+      $('intelBody').innerHTML = [['Situation', sec.situation], ['Assessment', sec.assessment], ['Recommendation', sec.recommendation]]
+        .filter(([, text]) => text)
+        .map(([title, text]) => `<div class="intel-section"><div class="intel-section-title">${title}</div><div class="intel-section-text">${esc(text)}</div></div>`)
+        .join('') + (report.trend ? `<div class="intel-trend">vs ${report.trend.sinceMinutes} min ago: presence ${report.trend.presencePct >= 0 ? '+' : ''}${report.trend.presencePct}%, avoid ${report.trend.avoidDelta >= 0 ? '+' : ''}${report.trend.avoidDelta}</div>` : '');
+      $('intelPanel').classList.add('visible');
+    } catch (e) { console.error('[intel]', e); }
+  }
+
+  // Route planner
+  const routeEnds = { from: null, to: null };
+  let routeResult = null;
+
+  function routeToGeoJSON(itinerary) {
+    const features = [];
+    for (const leg of itinerary.legs) {
+      if (leg.coordinates.length > 1) {
+        features.push({
+          type: 'Feature',
+          geometry: { type: 'LineString', coordinates: leg.coordinates },
+          properties: { type: leg.type, color: leg.type === 'walk' ? '#e0e0e0' : (routeColor(leg.route) || leg.color || '#666') }
+        });
+      }
+      for (const stop of [leg.from, leg.to]) {
+        if (stop.lon == null) continue;
+        features.push({
+          type: 'Feature',
+          geometry: { type: 'Point', coordinates: [stop.lon, stop.lat] },
+          properties: { name: stop.name, safetyLevel: stop.safetyLevel || '' }
+        });
+      }
     }
+    return { type: 'FeatureCollection', features };
+  }
 
-    // Weather impact row
-    let weatherHtml = '';
-    const w = presenceData?.weather;
-    if (w && (w.isRain || w.isSnow || w.isExtreme)) {
-      const label = w.isSnow ? 'Snow' : w.isRain ? 'Rain' : 'Extreme';
-      const pct = w.isSnow ? '-30%' : w.isRain ? '-20%' : '-15%';
-      weatherHtml = `<div class="popup-row popup-weather-impact"><span class="popup-label">Weather</span><span class="popup-value">${label}: ${pct} presence</span></div>`;
+  function showItinerary(index) {
+    const it = routeResult?.itineraries?.[index];
+    if (!it) return;
+    map.getSource('route').setData(routeToGeoJSON(it));
+    document.querySelectorAll('.route-option').forEach((el, i) => el.classList.toggle('selected', i === index));
+    const coords = it.legs.flatMap(l => l.coordinates);
+    if (coords.length) {
+      const bounds = coords.reduce((b, c) => b.extend(c), new mapboxgl.LngLatBounds(coords[0], coords[0]));
+      map.fitBounds(bounds, { padding: 120, duration: 1200 });
     }
+  }
 
-    // Safest hours
-    let safestHtml = '';
-    const safest = getSafestHours(p.id);
-    if (safest && safest.length > 0) {
-      const chips = safest.map(s => {
-        const h = s.hour;
-        const label = h === 0 ? '12a' : h < 12 ? h + 'a' : h === 12 ? '12p' : (h-12) + 'p';
-        return `<span class="popup-hour-chip">${label}</span>`;
+  function renderRoutePanel() {
+    const panel = $('routePanel');
+    if (!routeEnds.from && !routeEnds.to) { panel.classList.remove('visible'); return; }
+    panel.classList.add('visible');
+    $('routeFrom').textContent = routeEnds.from?.name || 'pick a station';
+    $('routeTo').textContent = routeEnds.to?.name || 'pick a station';
+
+    const list = $('routeOptions');
+    if (!routeResult) { list.innerHTML = ''; return; }
+    if (routeResult.error) { list.innerHTML = `<div class="route-empty">${esc(routeResult.error)}</div>`; return; }
+    list.innerHTML = routeResult.itineraries.map((it, i) => {
+      const legs = it.legs.map(l => {
+        if (l.type === 'walk') return `<div class="route-leg"><span class="route-leg-walk">WALK</span><span>${l.minutes} min to ${esc(l.to.name)}</span></div>`;
+        const flag = l.safety.worstStop ? ` <span class="safety-${l.safety.worstStop.safetyLevel}">· ${esc(l.safety.worstStop.safetyLevel)} at ${esc(l.safety.worstStop.name)}</span>` : '';
+        const disrupted = l.safety.disruption ? ` <span class="safety-caution">· ${esc(l.safety.disruption)}</span>` : '';
+        return `<div class="route-leg">${routeBadge(l.route, null, l.color)}` +
+          `<span>${esc(l.from.name)} → ${esc(l.to.name)} · wait ~${l.waitMinutes}m (every ${l.headwayMinutes}m), ride ${l.rideMinutes}m${flag}${disrupted}</span></div>`;
       }).join('');
-      safestHtml = `<div class="popup-section"><div class="popup-section-title">Safest Hours</div><div class="popup-safest-hours">${chips}</div></div>`;
+      return `<div class="route-option" data-index="${i}">
+        <div class="route-option-top"><span>${it.totalMinutes} min · ${it.transfers} transfer${it.transfers === 1 ? '' : 's'}</span><span class="safety-${it.worstSafetyLevel}">${it.worstSafetyLevel.toUpperCase()}</span></div>
+        ${legs}
+      </div>`;
+    }).join('');
+  }
+
+  async function planRoute() {
+    routeResult = null;
+    map.getSource('route').setData(empty);
+    renderRoutePanel();
+    if (!routeEnds.from || !routeEnds.to) return;
+    let url = `/api/route?from=${encodeURIComponent(routeEnds.from.id)}&to=${encodeURIComponent(routeEnds.to.id)}`;
+    if (exploreMode) url += `&${exploreQuery()}`;
+    try {
+      const resp = await fetch(withPolicy(url));
+      routeResult = await resp.json();
+    } catch (e) {
+      routeResult = { error: 'Route planner unavailable' };
+    }
+    renderRoutePanel();
+    if (!routeResult.error) showItinerary(0);
+  }
+
+  $('routeOptions').addEventListener('click', e => {
+    const opt = e.target.closest('.route-option');
+    if (opt) showItinerary(+opt.dataset.index);
+  });
+  $('routeClear').addEventListener('click', () => {
+    routeEnds.from = routeEnds.to = null;
+    routeResult = null;
+    map.getSource('route').setData(empty);
+    renderRoutePanel();
+  });
+
+  // ---------------------------------------------------------------------------
+  // STATION PANEL
+  // ---------------------------------------------------------------------------
+  const stationPanel = $('stationPanel'), stationPanelBody = $('stationPanelBody');
+  const SAFETY_COLORS = { safe: 'var(--green)', caution: 'var(--amber)', avoid: 'var(--red)' };
+  const SAFETY_DIM = { safe: 'var(--green-dim)', caution: 'var(--amber-dim)', avoid: 'var(--red-dim)' };
+  const CRIME_SOURCES = {
+    weekdayHourly: 'weekday hourly profile', weekendHourly: 'weekend hourly profile',
+    hourly: 'hourly profile', window: 'time-window fallback', none: 'no crime data'
+  };
+  const INPUT_LABELS = { ridership: 'riders/hr', crimeRisk: 'crime risk', expectedWait: 'wait min' };
+  const hourLabel = h => h === 0 ? '12a' : h < 12 ? h + 'a' : h === 12 ? '12p' : (h - 12) + 'p';
+  let panelStation = null, panelRequest = 0;
+
+  map.on('click', 'station-circles', e => {
+    if (!e.features?.length) return;
+    openStationPanel(e.features[0].properties.id, e.features[0].properties.name);
+  });
+
+  function openStationPanel(id, name) {
+    panelStation = { id, name };
+    closeAlerts();
+    $('stationPanelTitle').textContent = name || 'Station';
+    stationPanelBody.innerHTML = '<div class="no-alerts">Loading...</div>';
+    stationPanel.classList.add('visible');
+    refreshStationPanel();
+  }
+
+  function closeStationPanel() {
+    panelStation = null;
+    panelRequest++;
+    stationPanel.classList.remove('visible');
+  }
+  $('stationPanelClose').addEventListener('click', closeStationPanel);
+
+  async function refreshStationPanel() {
+    if (!panelStation) return;
+    const req = ++panelRequest;
+    let url = `/api/stations/${encodeURIComponent(panelStation.id)}`;
+    if (exploreMode) url += `?${exploreQuery()}`;
+    try {
+      const resp = await fetch(withPolicy(url));
+      const d = await resp.json();
+      if (!resp.ok) throw new Error(d.error || `HTTP ${resp.status}`);
+      if (req !== panelRequest) return;
+      $('stationPanelTitle').textContent = d.name;
+      stationPanelBody.innerHTML = renderStationPanel(d);
+    } catch (err) {
+      if (req === panelRequest) stationPanelBody.innerHTML = `<div class="no-alerts">Unavailable: ${esc(err.message)}</div>`;
+    }
+  }
+
+  // The baseline profile the server used for this station: the weekday's, or Sat / Sun / Hol on a
+  // holiday (stations never seen on a holiday use Sunday's; lib/holidays.js stationProfile)
+  const baselineDay = d => d.ridership.profile;
+  const baselineLabel = d => d.dayProfile?.holiday
+    ? `${esc(d.dayProfile.holiday)} (${esc(baselineDay(d))})` : esc(d.dayOfWeek);
+
+  // Policy level for every hour of the shown day, from baseline ridership and crime risk
+  function hourlyLevels(d) {
+    const riders = d.ridership.hourly[baselineDay(d)] || [];
+    const weekend = d.dayOfWeek === 'Sat' || d.dayOfWeek === 'Sun';
+    const crime = d.crime ? (weekend ? d.crime.weekend : d.crime.weekday) : new Array(24).fill(0);
+    return riders.map((rid, h) => ({
+      hour: h,
+      ridership: rid,
+      crimeRisk: crime[h] || 0,
+      level: activePolicy ? SafetyPolicy.levelOf(activePolicy, { ridership: rid, crimeRisk: crime[h] || 0 }, h) : null
+    }));
+  }
+
+  // Safest hours: policy-safe hours with real foot traffic, ranked by riders per unit of crime risk
+  function safestHours(levels) {
+    const scored = levels.map(l => ({ ...l, score: l.ridership / (l.crimeRisk + 0.01) }));
+    const viable = scored.filter(l => l.ridership > 10 && (!l.level || l.level === 'safe'));
+    return (viable.length ? viable : scored).sort((a, b) => b.score - a.score).slice(0, 3);
+  }
+
+  const CHART_W = 340, CHART_H = 70;
+  const chartX = h => 4 + (h / 23) * (CHART_W - 8);
+
+  // Baseline (with ±1 stddev band) vs live ridership recorded over the last 24h
+  function ridershipChart(d) {
+    const base = d.ridership.hourly[baselineDay(d)] || [];
+    const sd = d.ridership.stddev?.[baselineDay(d)] || [];
+    const live = new Array(24).fill(null);
+    // Recorded history covers today so far; explore mode shows the modeled hour alone
+    const today = NycTime.parts(serverNow()).date;
+    if (d.mode === 'live') {
+      for (const p of d.anomalies?.recent || []) {
+        const at = NycTime.parts(p.ts);
+        if (at.date === today) live[at.hour] = p.ridership;
+      }
+    }
+    if (d.current) live[d.hour] = d.current.ridership;
+    const max = Math.max(1, ...base.map((b, h) => b + (sd[h] || 0)), ...live.filter(v => v !== null));
+    const y = v => CHART_H - 4 - (v / max) * (CHART_H - 8);
+    // Gaps (hours without a recording) break the line
+    const path = vals => {
+      let out = '', pen = false;
+      vals.forEach((v, h) => {
+        if (v === null) { pen = false; return; }
+        out += `${pen ? 'L' : 'M'}${chartX(h).toFixed(1)},${y(v).toFixed(1)} `;
+        pen = true;
+      });
+      return out.trim();
+    };
+    const band = base.map((b, h) => `${chartX(h).toFixed(1)},${y(b + (sd[h] || 0)).toFixed(1)}`)
+      .concat(base.map((b, h) => `${chartX(h).toFixed(1)},${y(Math.max(0, b - (sd[h] || 0))).toFixed(1)}`).reverse());
+    return `<svg class="station-chart" viewBox="0 0 ${CHART_W} ${CHART_H}">
+      <polygon points="${band.join(' ')}" fill="rgba(255,255,255,0.05)"/>
+      <path d="${path(base)}" fill="none" stroke="var(--text-dim)" stroke-width="1.5"/>
+      <path d="${path(live)}" fill="none" stroke="var(--cyan)" stroke-width="1.5"/>
+      <line x1="${chartX(d.hour)}" x2="${chartX(d.hour)}" y1="0" y2="${CHART_H}" stroke="var(--amber)" stroke-dasharray="2,2"/>
+    </svg>`;
+  }
+
+  // Crime risk bars, each colored by the policy's level for that hour
+  function crimeChart(levels, hour) {
+    const barW = (CHART_W - 8) / 24 - 2;
+    const bars = levels.map(l => {
+      const hgt = Math.max(1, l.crimeRisk * (CHART_H - 8));
+      return `<rect x="${(chartX(l.hour) - barW / 2).toFixed(1)}" y="${(CHART_H - 4 - hgt).toFixed(1)}" width="${barW.toFixed(1)}" height="${hgt.toFixed(1)}"
+        fill="${SAFETY_COLORS[l.level] || 'var(--text-dim)'}" opacity="${l.hour === hour ? 1 : 0.55}"><title>${hourLabel(l.hour)}: risk ${l.crimeRisk}, ${l.ridership}/hr, ${l.level || ''}</title></rect>`;
+    }).join('');
+    return `<svg class="station-chart" viewBox="0 0 ${CHART_W} ${CHART_H}">${bars}</svg>`;
+  }
+
+  const chartAxis = () => `<div class="station-chart-axis"><span>12a</span><span>6a</span><span>12p</span><span>6p</span><span>11p</span></div>`;
+  const row = (label, value, style = '') => `<div class="station-row"><span class="station-label">${label}</span><span class="station-value"${style ? ` style="${style}"` : ''}>${value}</span></div>`;
+  const section = (title, body) => `<div class="station-section"><div class="station-section-title">${title}</div>${body}</div>`;
+
+  function renderStationPanel(d) {
+    const c = d.current || {};
+    const sl = c.safetyLevel || 'safe';
+    const parts = [];
+
+    if (c.hasDisruption && c.disruptionEffect) {
+      parts.push(`<div class="station-disruption">
+        <div style="font-weight:600">${esc(c.disruptionEffect).toUpperCase()}</div>
+        ${c.disruptionRoutes?.length ? `<div class="station-disruption-routes">${c.disruptionRoutes.slice(0, 6).map(r => routeBadge(r, d.agency)).join('')}</div>` : ''}
+      </div>`);
+    }
+    parts.push(`<div class="station-safety" style="background:${SAFETY_DIM[sl]};color:${SAFETY_COLORS[sl]};border-color:${SAFETY_COLORS[sl]}">${sl.toUpperCase()}${d.mode === 'explore' ? ` · ${esc(d.dayOfWeek)} ${hourLabel(d.hour)}` : ''}</div>`);
+
+    // Now
+    const apct = Math.round((c.anomalyScore || 0) * 100), asign = apct > 0 ? '+' : '';
+    const crPct = Math.round((c.crimeRisk || 0) * 100);
+    const now = [
+      row('Current', `${(c.ridership || 0).toLocaleString()}/hr`),
+      row('Baseline', `${(c.baseline || 0).toLocaleString()}/hr`),
+      row('Deviation', `${asign}${apct}%`)
+    ];
+    const w = presenceData?.weather, we = c.weatherEffect;
+    if (d.mode === 'live' && w && we && we.multiplier !== 1) {
+      const pct = Math.round((we.multiplier - 1) * 100);
+      const basis = we.source === 'fitted' ? `fitted, ${we.scope}` : `${we.scope} policy`;
+      now.push(`<div class="station-weather-impact">${row('Weather', `${esc(w.condition || '')}: ${pct > 0 ? '+' : ''}${pct}% presence (${esc(basis)})`)}</div>`);
+    }
+    now.push(row('Crime Risk', `${crPct}%`, `color:${crPct > 50 ? 'var(--red)' : crPct > 25 ? 'var(--amber)' : 'var(--green)'}`));
+    for (const ev of c.events || []) {
+      now.push(row(ev.phase === 'ingress' ? 'Event arrivals' : 'Event departures', `+${ev.riders.toLocaleString()}/hr · ${esc(ev.cause)}`, 'color:var(--amber)'));
+    }
+    if (d.mode === 'live' && c.streetActivity != null) {
+      now.push(row('Street activity', `${c.streetActivity.toLocaleString()} bikes in/out/hr${c.streetBoost ? ` · +${c.streetBoost.toLocaleString()} eyes` : ''}`));
+    }
+    if (d.mode === 'live') now.push(row('Trains nearby', `${c.trainCount || 0}${c.scheduledTrains != null ? ` / ${c.scheduledTrains} sched` : ''}`));
+    // Platform waits per direction (N = uptown, S = downtown)
+    for (const [dir, wt] of Object.entries(c.waits || {})) {
+      const label = dir === 'N' ? 'Next uptown' : 'Next downtown';
+      let value;
+      if (wt.nextArrivalMin !== null) {
+        value = `${wt.nextRoute ? esc(wt.nextRoute) + ' ' : ''}${wt.nextArrivalMin} min`;
+        if (wt.isAbnormalGap) value += `, gap ${wt.gapRatio}× normal`;
+      } else if (wt.scheduledHeadwayMin) {
+        value = `every ~${Math.round(wt.scheduledHeadwayMin)} min`;
+      } else {
+        value = 'none listed';
+      }
+      now.push(row(label, value, wt.isAbnormalGap ? 'color:var(--amber)' : ''));
+    }
+    parts.push(now.join(''));
+    if (c.isAnomaly) {
+      parts.push(`<div class="station-anomaly ${apct > 0 ? 'surge' : 'quiet'}">${apct > 0 ? 'SURGE' : 'QUIET'} ${asign}${apct}% vs baseline${c.anomalyCause ? ` · ${esc(c.anomalyCause)}` : ''}</div>`);
+    }
+
+    // 24h charts
+    const levels = hourlyLevels(d);
+    parts.push(section(`Riders · ${baselineLabel(d)} <span class="station-legend"><i style="background:var(--text-dim)"></i>baseline <i style="background:var(--cyan)"></i>live</span>`,
+      ridershipChart(d) + chartAxis()));
+    if (d.crime) {
+      parts.push(section(`Crime risk · ${esc(d.dayOfWeek)} <span class="station-legend">${esc(activePolicy?.name || '')} policy</span>`,
+        crimeChart(levels, d.hour) + chartAxis()));
+    }
+    const safest = safestHours(levels);
+    if (safest.length) {
+      parts.push(section('Safest Hours', `<div class="station-safest-hours">${safest.map(s => `<span class="station-hour-chip">${hourLabel(s.hour)}</span>`).join('')}</div>`));
+    }
+
+    // Upcoming trains per line and direction
+    if (d.arrivals) {
+      const lines = ['N', 'S'].flatMap(dir => d.arrivals[dir].map(a =>
+        `<div class="station-arrival">${routeBadge(a.route, d.agency)}<span class="station-arrival-dir">${dir === 'N' ? 'Uptown' : 'Downtown'}</span><span class="station-value">${a.minutes.map(m => m === 0 ? 'now' : m + 'm').join(', ')}</span></div>`));
+      parts.push(section('Upcoming Trains', lines.length ? lines.join('') : '<div class="station-muted">No arrivals in the feed</div>'));
+    }
+
+    // Alerts touching this complex
+    if (d.alerts?.length) {
+      parts.push(section('Alerts', d.alerts.map(a =>
+        `<div class="alert-item ${a.isActiveNow === false ? 'upcoming' : a.severity}"><div class="alert-item-top"><div class="alert-routes">${(a.affectedRoutes || []).slice(0, 6).map(r => routeBadge(r, a.agency)).join('')}</div><span class="alert-effect-tag">${a.planned ? 'Planned · ' : ''}${esc(a.effect)}</span></div><div class="alert-title">${esc(a.header)}</div>${alertWhen(a) ? `<div class="alert-when">${esc(alertWhen(a))}</div>` : ''}</div>`
+      ).join('')));
+    }
+
+    // Crime profile
+    if (d.crime) {
+      const cr = d.crime;
+      let body = row('Risk tier', esc(cr.riskTier || 'n/a')) + row('Incidents (6mo)', cr.incidents) +
+        row('Primary threat', cr.topCrimeType ? esc(cr.topCrimeType.toLowerCase()) : 'none');
+      if (cr.typeMix) {
+        body += Object.entries(cr.typeMix).sort((a, b) => b[1] - a[1]).slice(0, 5).map(([type, share]) =>
+          `<div class="station-mix"><span>${esc(type.toLowerCase())}</span><div class="station-mix-bar"><div style="width:${Math.round(share * 100)}%"></div></div><span class="station-value">${Math.round(share * 100)}%</span></div>`
+        ).join('');
+      }
+      parts.push(section('Crime Profile', body));
+    }
+
+    // Anomaly history
+    const an = d.anomalies;
+    if (an?.enabled && an.hours) {
+      parts.push(section(`Anomalies · last ${an.days} days`,
+        row('Anomalous', `${Math.round((an.rate || 0) * 100)}% of snapshots`) + row('Hours flagged', `${an.anomalousHours} / ${an.hours}`)));
     }
 
     // Safer alternatives (only for caution/avoid)
-    let altHtml = '';
-    if ((sl === 'caution' || sl === 'avoid') && presenceData) {
-      const stationObj = presenceData.stations.find(s => s.id === p.id);
-      if (stationObj) {
-        const alts = getNearestSafe(stationObj);
-        if (alts.length > 0) {
-          const items = alts.map(a =>
-            `<div class="popup-alternative" data-lon="${a.lon}" data-lat="${a.lat}">
-              <span class="popup-alt-name">${esc(a.name)}</span>
-              <span class="popup-alt-dist">${a.distance.toFixed(2)}mi</span>
-              <span class="popup-alt-safety" style="background:var(--green)"></span>
-            </div>`
-          ).join('');
-          altHtml = `<div class="popup-section"><div class="popup-section-title">Safer Nearby</div>${items}</div>`;
-        }
+    if (sl !== 'safe' && presenceData) {
+      const alts = getNearestSafe({ id: d.id, lat: d.lat, lon: d.lon });
+      if (alts.length) {
+        parts.push(section('Safer Nearby', alts.map(a =>
+          `<div class="station-alternative" data-id="${esc(a.id)}" data-lon="${a.lon}" data-lat="${a.lat}">
+            <span class="station-alt-name">${esc(a.name)}</span>
+            <span class="station-alt-dist">${a.distance.toFixed(2)}mi</span>
+            <span class="station-alt-safety" style="background:var(--green)"></span>
+          </div>`).join('')));
       }
     }
 
-    const popup = new mapboxgl.Popup({ closeButton: true, maxWidth: '280px' }).setLngLat(coords).setHTML(`
-      <div class="popup-station-name">${esc(p.name)}</div>
-      ${disruptionHtml}
-      <div style="background:${slColors[sl]}20;color:${slColors[sl]};border:1px solid ${slColors[sl]}40;padding:3px 8px;border-radius:3px;font-size:10px;font-weight:600;text-align:center;margin-bottom:6px">${sl.toUpperCase()}</div>
-      <div class="popup-row"><span class="popup-label">Current</span><span class="popup-value">${p.ridership.toLocaleString()}/hr</span></div>
-      <div class="popup-row"><span class="popup-label">Baseline</span><span class="popup-value">${p.baseline.toLocaleString()}/hr</span></div>
-      <div class="popup-row"><span class="popup-label">Deviation</span><span class="popup-value">${asign}${apct}%</span></div>
-      ${weatherHtml}
-      <div class="popup-row"><span class="popup-label">Crime Risk</span><span class="popup-value" style="color:${crPct > 50 ? 'var(--red)' : crPct > 25 ? 'var(--amber)' : 'var(--green)'}">${crPct}%</span></div>
-      <div class="popup-row"><span class="popup-label">Primary Threat</span><span class="popup-value">${p.topCrimeType ? esc(p.topCrimeType.toLowerCase()) : 'none'}</span></div>
-      <div class="popup-row"><span class="popup-label">Incidents (6mo)</span><span class="popup-value">${p.crimeTotal || 0}</span></div>
-      <div class="popup-row"><span class="popup-label">Trains nearby</span><span class="popup-value">${p.trainCount || 0}</span></div>
-      ${anomalyHtml}
-      ${safestHtml}
-      ${altHtml}
-    `).addTo(map);
+    parts.push(`<div class="station-section">
+      <button class="station-why-btn">Why ${sl}?</button>
+      <div class="station-why"></div>
+    </div>
+    <div class="station-route-actions">
+      <button class="station-route-btn" data-end="from">Route from</button>
+      <button class="station-route-btn" data-end="to">Route to</button>
+    </div>`);
+    return parts.join('');
+  }
 
+  stationPanelBody.addEventListener('click', ev => {
+    if (!panelStation) return;
+    const routeBtn = ev.target.closest('.station-route-btn');
+    if (routeBtn) {
+      routeEnds[routeBtn.dataset.end] = { ...panelStation };
+      planRoute();
+      return;
+    }
+    if (ev.target.closest('.station-why-btn')) {
+      toggleExplanation(stationPanelBody.querySelector('.station-why'), panelStation.id);
+      return;
+    }
     // Safer alternatives click-to-fly
-    popup.getElement().addEventListener('click', ev => {
-      const alt = ev.target.closest('.popup-alternative');
-      if (alt?.dataset.lon) {
-        map.flyTo({ center: [+alt.dataset.lon, +alt.dataset.lat], zoom: 15, pitch: 55, duration: 1500 });
-        popup.remove();
-      }
-    });
+    const alt = ev.target.closest('.station-alternative');
+    if (alt?.dataset.lon) {
+      map.flyTo({ center: [+alt.dataset.lon, +alt.dataset.lat], zoom: 15, pitch: 55, duration: 1500 });
+      openStationPanel(alt.dataset.id, alt.querySelector('.station-alt-name').textContent);
+    }
   });
+
+  // "Why?" expander: the server's rule trace for this station's safety level
+  async function toggleExplanation(el, id) {
+    if (el.childElementCount) { el.innerHTML = ''; return; }
+    el.innerHTML = '<div class="station-why-line">Loading...</div>';
+    let url = `/api/stations/${encodeURIComponent(id)}/explain`;
+    if (exploreMode) url += `?${exploreQuery()}`;
+    try {
+      const resp = await fetch(withPolicy(url));
+      const e = await resp.json();
+      if (!resp.ok) throw new Error(e.error || `HTTP ${resp.status}`);
+      el.innerHTML = renderExplanation(e);
+    } catch (err) {
+      el.innerHTML = `<div class="station-why-line">Unavailable: ${esc(err.message)}</div>`;
+    }
+  }
+
+  function renderExplanation(e) {
+    const r = e.inputs.ridership, c = e.inputs.crimeRisk, w = e.inputs.expectedWait;
+    const factors = [`baseline ${r.baseline.toLocaleString()}`];
+    if (r.trainModulation !== 1) factors.push(`trains ×${r.trainModulation}`);
+    if (r.eventBoost) factors.push(`events +${r.eventBoost.toLocaleString()}`);
+    if (r.streetBoost) factors.push(`street +${r.streetBoost.toLocaleString()}`);
+    if (r.weatherModifier !== 1) {
+      const basis = r.weatherSource === 'fitted' ? ` fitted ${r.weatherBucket}, ${r.weatherScope}` : '';
+      factors.push(`${esc(r.weather || 'weather')} ×${r.weatherModifier}${esc(basis)}`);
+    }
+    const lines = [
+      `<div class="station-why-line">${esc(e.timeBandLabel)} · ${esc(e.policy.id)} policy v${esc(e.policy.version)}</div>`,
+      `<div class="station-why-line">Riders: ${r.value.toLocaleString()}/hr (${factors.join(', ')})</div>`,
+      `<div class="station-why-line">Crime risk: ${c.value} (${CRIME_SOURCES[c.source]}${c.window ? ': ' + c.window : ''})</div>`
+    ];
+    if (w.value !== null) lines.push(`<div class="station-why-line">Expected wait: ${w.value} min (${w.source})</div>`);
+
+    const rules = e.rules.map(rule => {
+      const conds = rule.conditions.map(cd =>
+        `<span class="${cd.met ? 'met' : ''}">${INPUT_LABELS[cd.input]} ${cd.op} ${cd.threshold}</span>`
+      ).join(' & ');
+      return `<div class="station-why-rule${rule.fired ? ' fired' : ''}">${rule.fired ? '▶' : '·'} ${rule.level.toUpperCase()}: ${conds}</div>`;
+    }).join('');
+    lines.push(rules);
+    lines.push(`<div class="station-why-line"><b>${e.baseLevel.toUpperCase()}</b>: ${esc(e.rule.reason)}</div>`);
+    if (e.escalation?.applied) {
+      lines.push(`<div class="station-why-line" style="color:var(--amber)">${esc(e.escalation.effect)} alert: ${e.escalation.from} → ${e.escalation.to}</div>`);
+    } else if (e.escalation) {
+      lines.push(`<div class="station-why-line">${esc(e.escalation.effect)} alert: no change</div>`);
+    }
+    return lines.join('');
+  }
+
   map.on('mouseenter', 'station-circles', () => { map.getCanvas().style.cursor = 'pointer'; });
   map.on('mouseleave', 'station-circles', () => { map.getCanvas().style.cursor = ''; });
 
+  map.on('click', 'bike-docks', e => {
+    const p = e.features?.[0]?.properties;
+    if (!p) return;
+    const activity = p.warming ? 'turnover not measured yet' : `${p.turnover} bikes in/out per hr`;
+    new mapboxgl.Popup({ closeButton: false, className: 'agency-popup' })
+      .setLngLat(e.features[0].geometry.coordinates)
+      .setHTML(`<b>${esc(p.name)}</b><br>${p.bikes ?? '?'} bikes · ${p.docksFree ?? '?'} free docks<br>${activity}`)
+      .addTo(map);
+  });
+  map.on('mouseenter', 'bike-docks', () => { map.getCanvas().style.cursor = 'pointer'; });
+  map.on('mouseleave', 'bike-docks', () => { map.getCanvas().style.cursor = ''; });
+
+  map.on('click', 'agency-stations', e => {
+    const p = e.features?.[0]?.properties;
+    if (!p) return;
+    new mapboxgl.Popup({ closeButton: false, className: 'agency-popup' })
+      .setLngLat(e.features[0].geometry.coordinates)
+      .setHTML(`<b>${esc(p.name)}</b><br>${esc(p.agency)} · no ridership model`)
+      .addTo(map);
+  });
+  map.on('mouseenter', 'agency-stations', () => { map.getCanvas().style.cursor = 'pointer'; });
+  map.on('mouseleave', 'agency-stations', () => { map.getCanvas().style.cursor = ''; });
+
   // Rotation
   let rotateInt = null;
   const startRotate = dir => { if (rotateInt) return; rotateInt = setInterval(() => map.easeTo({ bearing: map.getBearing() + dir * 10, duration: 200 }), 200); };
@@ -482,18 +1026,15 @@
   updateClock();
   setInterval(updateClock, 1000);
   StationLayer.init(map);
-  loadClientModels(); // non-blocking, popups work without it
+  loadPolicies();
 
   setStatus('loading', 'FETCHING');
   await fetchPresence();
-  setStatus('live', 'LIVE');
+  setLiveStatus();
 
-  fetchTrains();
-  fetchAlerts();
-
-  setInterval(fetchPresence, 30000);
-  setInterval(fetchTrains, 30000);
-  setInterval(fetchAlerts, 60000);
+  fetchIntelligence();
+  connectStream();
+  setInterval(fetchIntelligence, 5 * 60 * 1000);
 
   // ---------------------------------------------------------------------------
   // TIME SCRUBBER — EXPLORE MODE
@@ -503,6 +1044,7 @@
   const scrubberSlider = $('scrubberSlider');
   const scrubberTime = $('scrubberTime');
   const scrubberPhase = $('scrubberPhase');
+  const scrubberDay = $('scrubberDay');
 
   function formatScrubberHour(h) {
     if (h === 0) return '12:00a';
@@ -511,46 +1053,85 @@
     return (h - 12) + ':00p';
   }
 
-  function renderExploreMode(hour) {
-    if (!clientRidershipModel?.stations || !clientCrimeModel?.stationRisk) return;
-    const now = new Date();
-    const dow = ['Sun','Mon','Tue','Wed','Thu','Fri','Sat'][now.getDay()];
-
-    const stations = [];
-    for (const [id, station] of Object.entries(clientRidershipModel.stations)) {
-      const hourly = station.hourly?.[dow];
-      if (!hourly) continue;
-      const ridership = hourly[hour] || 0;
-      const cs = clientCrimeModel.stationRisk[id];
-      const crimeRisk = cs?.hourlyRisk?.[hour] ?? 0;
-      const safetyLevel = computeSafetyLevelClient(ridership, crimeRisk, hour);
-      stations.push({
-        id, name: station.name, lat: station.lat, lon: station.lon,
-        ridership, baseline: ridership, anomalyScore: 0, isAnomaly: false,
-        trainCount: 0, crimeRisk, crimeTotal: cs?.total || 0,
-        topCrimeType: cs?.topCrimeType || '', safetyLevel,
-        hasDisruption: false, disruptionEffect: '', disruptionRoutes: ''
-      });
-    }
+  // "Next 24h" turns the slider into hours ahead, backed by /api/forecast
+  const FORECAST_TTL = 10 * 60 * 1000;
+  let forecastData = null, forecastFetchedAt = 0;
+  const forecastMode = () => scrubberDay.value === 'next';
 
-    const exploreData = {
-      stations,
-      totalPresence: stations.reduce((s, st) => s + st.ridership, 0),
-      anomalyCount: 0,
-      isNightMode: hour >= 22 || hour < 6,
-      safetyStats: {
-        avoid: stations.filter(s => s.safetyLevel === 'avoid').length,
-        caution: stations.filter(s => s.safetyLevel === 'caution').length,
-        safe: stations.filter(s => s.safetyLevel === 'safe').length
-      }
+  async function fetchForecast() {
+    const policyId = activePolicy?.id || defaultPolicyId;
+    if (forecastData?.policy.id === policyId && Date.now() - forecastFetchedAt < FORECAST_TTL) return forecastData;
+    const resp = await fetch(withPolicy('/api/forecast?hours=24'));
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+    forecastData = await resp.json();
+    forecastFetchedAt = Date.now();
+    return forecastData;
+  }
+
+  // Weekday and hour of the slot i hours past the next full hour (from the clock until the forecast loads)
+  function forecastSlot(i) {
+    const slot = forecastData?.slots[i];
+    if (slot) return slot;
+    const t = NycTime.parts((Math.floor(serverNow() / 3600000) + 1 + i) * 3600000);
+    return { dayOfWeek: t.dayOfWeek, hour: t.hour, horizon: i + 1 };
+  }
+
+  // day/hour query for the scrubber position, for endpoints that answer by weekday and hour
+  function exploreQuery() {
+    if (!forecastMode()) return `day=${scrubberDay.value}&hour=${scrubberSlider.value}`;
+    const slot = forecastSlot(parseInt(scrubberSlider.value));
+    return `day=${slot.dayOfWeek}&hour=${slot.hour}`;
+  }
+
+  function setScrubberLabel() {
+    const i = parseInt(scrubberSlider.value);
+    const slot = forecastMode() ? forecastSlot(i) : null;
+    const h = slot ? slot.hour : i;
+    scrubberTime.textContent = formatScrubberHour(h);
+    scrubberPhase.textContent = slot
+      ? `+${slot.horizon}h` + (slot.confidence != null ? ` · ${Math.round(slot.confidence * 100)}% sure` : '')
+      : NycTime.cityPhase(h);
+    scrubberPhase.title = slot?.plannedWork?.length ? 'Planned work: ' + slot.plannedWork.map(w => w.header).join(' / ') : '';
+    $('cityPhase').textContent = NycTime.cityPhase(h);
+  }
+
+  // Forecast stations only carry ids: place them with the live presence coordinates
+  function forecastPresence(slot) {
+    const known = new Map((presenceData?.stations || []).map(s => [s.id, s]));
+    return {
+      ...slot,
+      stations: slot.stations.filter(s => known.has(s.id)).map(s => ({
+        ...known.get(s.id), ...s, anomalyScore: 0, isAnomaly: false,
+        uncertain: s.safetyRange[0] !== s.safetyRange[1]
+      }))
     };
+  }
+
+  // Explore data comes from the server's presence pipeline (same safety logic as live)
+  let exploreRequest = 0;
+  async function renderExploreMode(hour) {
+    if (forecastMode()) return renderForecast(hour);
+    const day = scrubberDay.value;
+    const req = ++exploreRequest;
+    let exploreData;
+    try {
+      const resp = await fetch(withPolicy(`/api/presence?day=${day}&hour=${hour}`));
+      if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+      exploreData = await resp.json();
+    } catch (e) { console.error('[explore]', e); return; }
+    // Drop stale responses while scrubbing, and anything arriving after leaving explore mode
+    if (req !== exploreRequest || !exploreMode) return;
 
     // Update heatmap
     map.getSource('presence').setData(toGeoJSON(exploreData));
+    refreshStationPanel();
 
     // Update HUD stats
     $('presenceCount').textContent = fmt(exploreData.totalPresence);
-    $('anomalyCount').textContent = '0';
+    $('presenceCount').title = '';
+    $('anomalyCount').textContent = exploreData.anomalyCount || 0;
+    renderWeather(presenceData?.weather, presenceData?.weatherEffect);
+    renderDayProfile(exploreData.dayProfile);
     const ss = exploreData.safetyStats;
     $('safetyStats').innerHTML = `<span class="safety-safe">${ss.safe}</span>/<span class="safety-caution">${ss.caution}</span>/<span class="safety-avoid">${ss.avoid}</span>`;
 
@@ -563,28 +1144,68 @@
     }
   }
 
+  async function renderForecast(i) {
+    const req = ++exploreRequest;
+    let forecast;
+    try {
+      forecast = await fetchForecast();
+    } catch (e) { console.error('[forecast]', e); return; }
+    if (req !== exploreRequest || !exploreMode || !forecastMode()) return;
+    const slot = forecast.slots[Math.min(i, forecast.slots.length - 1)];
+    if (!slot) return;
+    setScrubberLabel();
+
+    map.getSource('presence').setData(toGeoJSON(forecastPresence(slot)));
+    refreshStationPanel();
+
+    // Totals show the one-sigma band half-width
+    const [lo, hi] = slot.totalRange;
+    $('presenceCount').textContent = `${fmt(slot.totalPresence)} ±${fmt(Math.round((hi - lo) / 2))}`;
+    $('presenceCount').title = `Likely ${fmt(lo)}–${fmt(hi)}`;
+    $('anomalyCount').textContent = 0;
+    const ss = slot.safetyStats;
+    $('safetyStats').innerHTML = `<span class="safety-safe">${ss.safe}</span>/<span class="safety-caution">${ss.caution}</span>/<span class="safety-avoid">${ss.avoid}</span>`;
+    renderWeather(slot.weather, slot.weatherEffect);
+    renderDayProfile(slot.dayProfile);
+
+    if (slot.isNightMode) {
+      $('nightBadge').style.display = '';
+      document.body.classList.add('night-mode');
+    } else {
+      $('nightBadge').style.display = 'none';
+      document.body.classList.remove('night-mode');
+    }
+  }
+
   scrubberToggle.addEventListener('click', () => {
     exploreMode = !exploreMode;
     scrubberToggle.classList.toggle('active', exploreMode);
     scrubberSlider.disabled = !exploreMode;
+    scrubberDay.disabled = !exploreMode;
     scrubberToggle.textContent = exploreMode ? 'LIVE' : 'EXPLORE';
 
     if (exploreMode) {
       // Enter explore: set slider to current hour
-      const h = new Date().getHours();
+      const now = NycTime.parts(serverNow());
+      const h = now.hour;
+      scrubberDay.value = lastDay = now.dayOfWeek;
       scrubberSlider.value = h;
-      scrubberTime.textContent = formatScrubberHour(h);
-      scrubberPhase.textContent = getCityPhase(h);
+      setScrubberLabel();
       setStatus('loading', 'EXPLORE');
       renderExploreMode(h);
     } else {
       // Exit explore: restore live data
+      exploreRequest++;
       scrubberTime.textContent = '--:00';
       scrubberPhase.textContent = '';
-      setStatus('live', 'LIVE');
+      scrubberPhase.title = '';
+      setLiveStatus();
+      refreshStationPanel();
       if (presenceData) {
         map.getSource('presence').setData(toGeoJSON(presenceData));
         $('presenceCount').textContent = fmt(presenceData.totalPresence);
+        $('presenceCount').title = '';
+        renderWeather(presenceData.weather, presenceData.weatherEffect);
         $('anomalyCount').textContent = presenceData.anomalyCount || 0;
         if (presenceData.safetyStats) {
           const ss = presenceData.safetyStats;
@@ -603,10 +1224,62 @@
 
   scrubberSlider.addEventListener('input', () => {
     if (!exploreMode) return;
-    const h = parseInt(scrubberSlider.value);
-    scrubberTime.textContent = formatScrubberHour(h);
-    scrubberPhase.textContent = getCityPhase(h);
-    $('cityPhase').textContent = getCityPhase(h);
-    renderExploreMode(h);
+    setScrubberLabel();
+    renderExploreMode(parseInt(scrubberSlider.value));
+  });
+
+  // Switching to the forecast starts at the next hour; back to a weekday starts at the current hour
+  let lastDay = scrubberDay.value;
+  scrubberDay.addEventListener('change', () => {
+    if (forecastMode() !== (lastDay === 'next')) {
+      scrubberSlider.value = forecastMode() ? 0 : NycTime.parts(serverNow()).hour;
+    }
+    lastDay = scrubberDay.value;
+    if (!exploreMode) return;
+    setScrubberLabel();
+    renderExploreMode(parseInt(scrubberSlider.value));
   });
+
+  policySelect.addEventListener('change', async () => {
+    await loadPolicy(policySelect.value);
+    if (exploreMode) renderExploreMode(parseInt(scrubberSlider.value));
+    fetchGrid();
+    // Presence is per policy: resubscribe, or refetch when polling
+    if (liveStream) connectStream();
+    else await fetchPresence();
+    if (routeEnds.from && routeEnds.to) planRoute();
+  });
+
+  // Grid cells for the visible area: live, or the explored weekday and hour. The forecast has no
+  // grid, so the cells are cleared while scrubbing it
+  let gridRequest = 0;
+  async function fetchGrid() {
+    const req = ++gridRequest;
+    if (map.getZoom() < 13 || (exploreMode && forecastMode())) {
+      map.getSource('grid').setData(empty);
+      return;
+    }
+    const b = map.getBounds();
+    const bbox = [b.getWest(), b.getSouth(), b.getEast(), b.getNorth()].map(v => v.toFixed(5)).join(',');
+    const res = map.getZoom() >= 14.5 ? 10 : 9;
+    try {
+      const resp = await fetch(withPolicy(`/api/grid?bbox=${bbox}&res=${res}${exploreMode ? '&' + exploreQuery() : ''}`));
+      if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+      const data = await resp.json();
+      if (req !== gridRequest) return;
+      map.getSource('grid').setData({
+        type: 'FeatureCollection',
+        features: data.cells.map(c => ({
+          type: 'Feature',
+          geometry: { type: 'Polygon', coordinates: [HexGrid.boundary(c.id)] },
+          properties: { id: c.id, presence: c.presence, density: c.density, crimeRisk: c.crimeRisk, safetyLevel: c.safetyLevel }
+        }))
+      });
+    } catch (e) { console.error('[grid]', e); }
+  }
+  map.on('moveend', fetchGrid);
+  for (const el of [scrubberSlider, scrubberDay]) el.addEventListener('change', fetchGrid);
+  scrubberToggle.addEventListener('click', fetchGrid);
+  setInterval(() => { if (!exploreMode) fetchGrid(); }, 30000);
+  fetchGrid();
 })();
@@ -0,0 +1,105 @@
+// Hexagonal grid over New York, shared by the server (require) and the browser (global HexGrid).
+// H3-style resolutions (similar edge lengths, coarser to finer), but flat math: pointy-top hexagons
+// in axial coordinates on a local tangent plane centred on the city, which is accurate to well under
+// a meter across the five boroughs. Cell ids are "<res>:<q>:<r>".
+const HexGrid = (() => {
+  // Edge length in meters per resolution (H3's average at 7..10)
+  const RESOLUTIONS = { 7: 1220, 8: 461, 9: 174, 10: 66 };
+  const DEFAULT_RES = 9;
+  const LAT0 = 40.7128, LON0 = -74.0060;
+  const M_PER_DEG_LAT = 110574;
+  const M_PER_DEG_LON = 111320 * Math.cos(LAT0 * Math.PI / 180);
+  const SQRT3 = Math.sqrt(3);
+
+  const isRes = res => Object.hasOwn(RESOLUTIONS, res);
+  const edge = res => RESOLUTIONS[res];
+  // Center to edge midpoint: the distance within which a point is surely inside the cell
+  const inradius = res => RESOLUTIONS[res] * SQRT3 / 2;
+  const area = res => 3 * SQRT3 / 2 * RESOLUTIONS[res] ** 2;
+
+  const toXY = (lat, lon) => [(lon - LON0) * M_PER_DEG_LON, (lat - LAT0) * M_PER_DEG_LAT];
+  const toLatLon = (x, y) => [LAT0 + y / M_PER_DEG_LAT, LON0 + x / M_PER_DEG_LON];
+
+  const id = (res, q, r) => `${res}:${q}:${r}`;
+
+  function parse(cellId) {
+    const m = /^(\d+):(-?\d+):(-?\d+)$/.exec(cellId || '');
+    if (!m || !isRes(+m[1])) return null;
+    return { res: +m[1], q: +m[2], r: +m[3] };
+  }
+
+  function centerXY(res, q, r) {
+    const s = RESOLUTIONS[res];
+    return [s * SQRT3 * (q + r / 2), s * 1.5 * r];
+  }
+
+  // Cell containing a point (cube rounding of the fractional axial coordinates)
+  function cellAt(lat, lon, res = DEFAULT_RES) {
+    const [x, y] = toXY(lat, lon);
+    const s = RESOLUTIONS[res];
+    const fq = (SQRT3 / 3 * x - y / 3) / s, fr = (2 / 3 * y) / s, fs = -fq - fr;
+    let q = Math.round(fq), r = Math.round(fr);
+    const s3 = Math.round(fs);
+    const dq = Math.abs(q - fq), dr = Math.abs(r - fr), ds = Math.abs(s3 - fs);
+    if (dq > dr && dq > ds) q = -r - s3;
+    else if (dr > ds) r = -q - s3;
+    return id(res, q, r);
+  }
+
+  // [lat, lon] of a cell's center
+  function center(cellId) {
+    const c = parse(cellId);
+    return c ? toLatLon(...centerXY(c.res, c.q, c.r)) : null;
+  }
+
+  // Closed GeoJSON ring ([lon, lat] pairs, counter-clockwise)
+  function boundary(cellId) {
+    const c = parse(cellId);
+    if (!c) return null;
+    const [cx, cy] = centerXY(c.res, c.q, c.r);
+    const s = RESOLUTIONS[c.res];
+    const ring = [];
+    for (let i = 0; i <= 6; i++) {
+      const angle = Math.PI / 180 * (60 * (i % 6) - 30);
+      const [lat, lon] = toLatLon(cx + s * Math.cos(angle), cy + s * Math.sin(angle));
+      ring.push([Math.round(lon * 1e6) / 1e6, Math.round(lat * 1e6) / 1e6]);
+    }
+    return ring;
+  }
+
+  // Cells within k steps of a cell, itself included
+  function disk(cellId, k) {
+    const c = parse(cellId);
+    if (!c) return [];
+    const out = [];
+    for (let dq = -k; dq <= k; dq++) {
+      for (let dr = Math.max(-k, -dq - k); dr <= Math.min(k, -dq + k); dr++) out.push(id(c.res, c.q + dq, c.r + dr));
+    }
+    return out;
+  }
+
+  // Cells whose centers fall inside a [minLon, minLat, maxLon, maxLat] box
+  function cellsInBbox([minLon, minLat, maxLon, maxLat], res = DEFAULT_RES) {
+    const [x0, y0] = toXY(minLat, minLon), [x1, y1] = toXY(maxLat, maxLon);
+    const s = RESOLUTIONS[res];
+    const out = [];
+    for (let r = Math.floor(y0 / (1.5 * s)); r <= Math.ceil(y1 / (1.5 * s)); r++) {
+      const q0 = Math.floor(x0 / (s * SQRT3) - r / 2), q1 = Math.ceil(x1 / (s * SQRT3) - r / 2);
+      for (let q = q0; q <= q1; q++) {
+        const [x, y] = centerXY(res, q, r);
+        if (x >= x0 && x <= x1 && y >= y0 && y <= y1) out.push(id(res, q, r));
+      }
+    }
+    return out;
+  }
+
+  // Rough cell count for a box, to refuse huge requests before enumerating them
+  function countInBbox([minLon, minLat, maxLon, maxLat], res = DEFAULT_RES) {
+    const [x0, y0] = toXY(minLat, minLon), [x1, y1] = toXY(maxLat, maxLon);
+    return Math.ceil((x1 - x0) * (y1 - y0) / area(res));
+  }
+
+  return { RESOLUTIONS, DEFAULT_RES, isRes, edge, inradius, area, toXY, parse, cellAt, center, boundary, disk, cellsInBbox, countInBbox };
+})();
+
+if (typeof module !== 'undefined') module.exports = HexGrid;
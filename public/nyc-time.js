@@ -0,0 +1,79 @@
+// New York wall-clock time, shared by the server and build scripts (require) and the browser
+// (global NycTime). Every weekday, hour and calendar date in the models is New York local time,
+// whatever zone the machine runs in (UTC on Vercel). Conversions go through Intl, so DST
+// transitions come from the platform's tz database: on the spring-forward day 02:00-02:59 does
+// not exist, and on the fall-back day 01:00-01:59 happens twice.
+const NycTime = (() => {
+  const TIME_ZONE = 'America/New_York';
+  const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  const FORMAT = new Intl.DateTimeFormat('en-US', {
+    timeZone: TIME_ZONE, hourCycle: 'h23', weekday: 'short',
+    year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+  });
+  const pad = n => String(n).padStart(2, '0');
+
+  // Wall-clock fields at ts (epoch ms): { year, month, day, hour, minute, second, weekday (0 = Sun),
+  // dayOfWeek ('Sun'..'Sat'), date ('YYYY-MM-DD') }
+  function parts(ts) {
+    const p = {};
+    for (const { type, value } of FORMAT.formatToParts(new Date(ts))) p[type] = value;
+    const year = +p.year, month = +p.month, day = +p.day;
+    return {
+      year, month, day,
+      hour: +p.hour, minute: +p.minute, second: +p.second,
+      weekday: DAY_NAMES.indexOf(p.weekday),
+      dayOfWeek: p.weekday,
+      date: `${year}-${pad(month)}-${pad(day)}`
+    };
+  }
+
+  // New York time minus UTC at ts, in ms (-5h in winter, -4h in summer)
+  function offset(ts) {
+    const p = parts(ts);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(ts / 1000) * 1000;
+  }
+
+  // Epoch ms for a New York wall-clock time. A time skipped by spring-forward lands an hour later
+  // (02:30 -> 03:30 EDT); a time repeated by fall-back takes its first occurrence (01:30 EDT).
+  function fromWallTime(year, month, day, hour = 0, minute = 0, second = 0) {
+    const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+    const before = offset(wall - 86400000), after = offset(wall + 86400000);
+    const valid = [wall - before, wall - after].filter(t => t + offset(t) === wall);
+    return valid.length ? Math.min(...valid) : wall - before;
+  }
+
+  // ISO 8601 with an offset, or a floating "YYYY-MM-DD[THH:MM[:SS[.sss]]]" read as New York time
+  // (Socrata timestamps, calendar entries). NaN when unparseable
+  function parse(value) {
+    const m = /^(\d{4})-(\d\d)-(\d\d)(?:[T ](\d\d):(\d\d)(?::(\d\d)(?:\.\d+)?)?)?$/.exec(String(value ?? '').trim());
+    if (m) return fromWallTime(+m[1], +m[2], +m[3], +(m[4] || 0), +(m[5] || 0), +(m[6] || 0));
+    return Date.parse(value);
+  }
+
+  // Weekday (0 = Sun) of a calendar date "YYYY-MM-DD"; the date needs no zone
+  const weekdayOf = date => new Date(`${date.slice(0, 10)}T12:00:00Z`).getUTCDay();
+
+  // "HH:MM", or "HH:MM:SS" with seconds
+  function clock(ts, seconds = false) {
+    const p = parts(ts);
+    return [p.hour, p.minute, ...(seconds ? [p.second] : [])].map(pad).join(':');
+  }
+
+  // The city's rhythm at a New York hour (0-23), for the HUD
+  function cityPhase(hour) {
+    if (hour < 5) return 'Dead Hours';
+    if (hour < 7) return 'Early Risers';
+    if (hour < 10) return 'Morning Rush';
+    if (hour < 12) return 'Midday Build';
+    if (hour < 14) return 'Lunch Surge';
+    if (hour < 15) return 'Afternoon Lull';
+    if (hour < 16) return 'School Dismissal';
+    if (hour < 19) return 'Evening Rush';
+    if (hour < 22) return 'Night Activity';
+    return 'Late Night';
+  }
+
+  return { TIME_ZONE, DAY_NAMES, parts, offset, fromWallTime, parse, weekdayOf, clock, cityPhase };
+})();
+
+if (typeof module !== 'undefined') module.exports = NycTime;
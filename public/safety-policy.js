@@ -0,0 +1,113 @@
+// Safety policy evaluator shared by the server (require) and the browser (global SafetyPolicy).
+// A policy (public/data/policies/*.json) declares time bands with ordered threshold rules,
+// alert escalations and weather multipliers; this module only interprets it.
+const SafetyPolicy = (() => {
+  const COMPARE = {
+    '>=': (a, b) => a >= b,
+    '>': (a, b) => a > b,
+    '<=': (a, b) => a <= b,
+    '<': (a, b) => a < b
+  };
+  const INPUTS = ['ridership', 'crimeRisk', 'expectedWait'];
+
+  // Throws on a malformed policy so a bad file fails at load, not mid-request
+  function validate(policy) {
+    const fail = msg => { throw new Error(`policy ${policy?.id || '?'}: ${msg}`); };
+    if (!policy || typeof policy.id !== 'string') fail('missing id');
+    if (typeof policy.version !== 'string') fail('missing version');
+    if (!Array.isArray(policy.levels) || !policy.levels.includes(policy.defaultLevel)) fail('bad levels/defaultLevel');
+    if (!Array.isArray(policy.bands) || !policy.bands.length) fail('no bands');
+    const covered = new Array(24).fill(0);
+    for (const band of policy.bands) {
+      for (let h = 0; h < 24; h++) if (inBand(band, h)) covered[h]++;
+      for (const rule of band.rules || []) {
+        if (!policy.levels.includes(rule.level)) fail(`rule ${rule.id}: unknown level ${rule.level}`);
+        for (const [input, op] of rule.when || []) {
+          if (!INPUTS.includes(input)) fail(`rule ${rule.id}: unknown input ${input}`);
+          if (!COMPARE[op]) fail(`rule ${rule.id}: unknown operator ${op}`);
+        }
+      }
+    }
+    if (covered.some(n => n !== 1)) fail('bands must cover every hour exactly once');
+    const street = policy.streetActivity;
+    if (street) {
+      if (typeof street.weight !== 'number' || street.weight < 0) fail('streetActivity.weight must be a non-negative number');
+      for (const id of street.bands || []) if (!policy.bands.some(b => b.id === id)) fail(`streetActivity: unknown band ${id}`);
+    }
+    return policy;
+  }
+
+  // Bands are [from, to) in hours and may wrap midnight (from 22 to 6)
+  function inBand(band, hour) {
+    return band.from <= band.to
+      ? hour >= band.from && hour < band.to
+      : hour >= band.from || hour < band.to;
+  }
+
+  function bandOf(policy, hour) {
+    return policy.bands.find(b => inBand(b, hour));
+  }
+
+  // Full trace: every rule in the band, each condition's value vs threshold. First match wins.
+  function evaluate(policy, inputs, hour) {
+    const band = bandOf(policy, hour);
+    let fired = null;
+    const rules = (band.rules || []).map(rule => {
+      const conditions = rule.when.map(([input, op, threshold]) => {
+        const value = inputs[input] ?? null;
+        // A missing input (no wait estimate) never satisfies a condition
+        return { input, op, threshold, value, met: value !== null && COMPARE[op](value, threshold) };
+      });
+      const matched = !fired && conditions.every(c => c.met);
+      if (matched) fired = rule;
+      return { id: rule.id, level: rule.level, reason: rule.reason, conditions, fired: matched };
+    });
+    return {
+      level: fired ? fired.level : policy.defaultLevel,
+      band: band.id,
+      bandLabel: band.label || band.id,
+      rule: fired
+        ? { id: fired.id, reason: fired.reason }
+        : { id: `${band.id}-default`, reason: policy.defaultReason || 'No rule matched' },
+      rules
+    };
+  }
+
+  function levelOf(policy, inputs, hour) {
+    return evaluate(policy, inputs, hour).level;
+  }
+
+  // Alert-aware elevation: step up `escalate` tiers, only in the listed bands, never past maxLevel
+  function escalate(policy, level, effect, hour) {
+    const rule = effect ? policy.disruptions?.[effect] : null;
+    if (!rule) return level;
+    if (rule.bands && !rule.bands.includes(bandOf(policy, hour).id)) return level;
+    const levels = policy.levels;
+    const cap = rule.maxLevel ? levels.indexOf(rule.maxLevel) : levels.length - 1;
+    const current = levels.indexOf(level);
+    if (current >= cap) return level;
+    return levels[Math.min(current + (rule.escalate || 1), cap)];
+  }
+
+  // Street activity (bike dock turnover per hour near the station) as extra people around, added to
+  // ridership before the rules run: weight per dock event, only in the listed bands. 0 without data
+  function streetBoost(policy, streetActivity, hour) {
+    const rule = policy.streetActivity;
+    if (!rule || !streetActivity) return 0;
+    if (rule.bands && !rule.bands.includes(bandOf(policy, hour).id)) return 0;
+    return Math.round(streetActivity * rule.weight);
+  }
+
+  // First matching weather condition wins; 1.0 when none applies
+  function weatherRule(policy, weather) {
+    return weather ? (policy.weather || []).find(w => weather[w.when]) || null : null;
+  }
+
+  function weatherModifier(policy, weather) {
+    return weatherRule(policy, weather)?.multiplier ?? 1.0;
+  }
+
+  return { validate, bandOf, evaluate, levelOf, escalate, streetBoost, weatherRule, weatherModifier };
+})();
+
+if (typeof module !== 'undefined') module.exports = SafetyPolicy;
@@ -5,6 +5,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const NycTime = require('../public/nyc-time');
 
 const CRIME_URL = 'https://data.cityofnewyork.us/resource/5uac-w243.json';
 const RIDERSHIP_PATH = path.join(__dirname, '..', 'public', 'data', 'ridership-model.json');
@@ -52,6 +53,16 @@ function getTimeWindow(hourStr) {
   return 'latenight'; // 22-6
 }
 
+// Time buckets of one complaint: { window, hour, weekend }, null without a usable time. The
+// complaint's date and time are floating New York wall-clock values, read as written
+function crimeSlot(crime) {
+  const window = getTimeWindow(crime.cmplnt_fr_tm);
+  if (!window) return null;
+  const hour = parseInt(crime.cmplnt_fr_tm.split(':')[0]);
+  const day = crime.cmplnt_fr_dt ? NycTime.weekdayOf(crime.cmplnt_fr_dt) : null;
+  return { window, hour, weekend: day === 0 || day === 6 };
+}
+
 async function fetchCrimes() {
   const since = new Date();
   since.setMonth(since.getMonth() - MONTHS_BACK);
@@ -93,9 +104,7 @@ async function fetchCrimes() {
 // Recency decay: crimes from yesterday weight 1.0, crimes from 6 months ago weight ~0.18
 function recencyWeight(crimeDateStr) {
   if (!crimeDateStr) return 0.5;
-  const crimeDate = new Date(crimeDateStr);
-  const now = new Date();
-  const daysAgo = (now - crimeDate) / (1000 * 60 * 60 * 24);
+  const daysAgo = (Date.now() - NycTime.parse(crimeDateStr)) / (1000 * 60 * 60 * 24);
   // Exponential decay with half-life of 30 days
   return Math.exp(-0.693 * daysAgo / 30);
 }
@@ -140,17 +149,12 @@ function computeStationRisk(stations, crimes) {
     const cLon = parseFloat(crime.longitude);
     if (!cLat || !cLon) continue;
 
-    const window = getTimeWindow(crime.cmplnt_fr_tm);
-    if (!window) continue;
+    const slot = crimeSlot(crime);
+    if (!slot) continue;
+    const { window, hour: crimeHour, weekend: isWeekend } = slot;
 
     const weight = recencyWeight(crime.cmplnt_fr_dt);
 
-    // Parse hour for hourly breakdown
-    const crimeHour = crime.cmplnt_fr_tm ? parseInt(crime.cmplnt_fr_tm.split(':')[0]) : null;
-    // Determine weekday vs weekend from complaint date
-    const crimeDate = crime.cmplnt_fr_dt ? new Date(crime.cmplnt_fr_dt) : null;
-    const isWeekend = crimeDate ? (crimeDate.getDay() === 0 || crimeDate.getDay() === 6) : false;
-
     // Find all stations within radius
     for (const [id, station] of stationEntries) {
       // Quick bounding box check first
@@ -165,13 +169,11 @@ function computeStationRisk(stations, crimes) {
         matched++;
 
         // Hourly breakdown
-        if (crimeHour !== null) {
-          stationRisk[id].hourly[crimeHour] += weight;
-          if (isWeekend) {
-            stationRisk[id].weekendHourly[crimeHour] += weight;
-          } else {
-            stationRisk[id].weekdayHourly[crimeHour] += weight;
-          }
+        stationRisk[id].hourly[crimeHour] += weight;
+        if (isWeekend) {
+          stationRisk[id].weekendHourly[crimeHour] += weight;
+        } else {
+          stationRisk[id].weekdayHourly[crimeHour] += weight;
         }
 
         const type = crime.ofns_desc || 'OTHER';
@@ -193,7 +195,13 @@ function computeStationRisk(stations, crimes) {
     stationRisk[id].topCrimeType = maxType;
     // Assign absolute risk tier based on recency-weighted total
     stationRisk[id].riskTier = absoluteRiskTier(stationRisk[id].totalWeighted);
-    delete stationRisk[id].crimeTypes; // don't ship raw types to client
+    // Ship each type's share of the recency-weighted total rather than raw counts
+    const typeTotal = Object.values(types).reduce((a, b) => a + b, 0);
+    stationRisk[id].typeMix = {};
+    for (const [type, count] of Object.entries(types)) {
+      stationRisk[id].typeMix[type] = Math.round((count / typeTotal) * 1000) / 1000;
+    }
+    delete stationRisk[id].crimeTypes;
   }
 
   // Normalize hourly arrays to 0-1 per station (relative to that station's peak hour)
@@ -293,7 +301,11 @@ async function main() {
   console.log('Done.');
 }
 
-main().catch(err => {
-  console.error('Fatal:', err);
-  process.exit(1);
-});
+if (require.main === module) {
+  main().catch(err => {
+    console.error('Fatal:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = { getTimeWindow, crimeSlot };
@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+// Build subway entrance locations per station complex, for the street-level presence grid
+// Dataset: https://data.ny.gov/resource/i9wp-a4ja.json (MTA Subway Entrances and Exits, Socrata API)
+// Entrances and exit-only stairs both count: people walk to and from either.
+
+const fs = require('fs');
+const path = require('path');
+
+const SOCRATA_URL = 'https://data.ny.gov/resource/i9wp-a4ja.json';
+const OUTPUT_PATH = path.join(__dirname, '..', 'public', 'data', 'entrances.json');
+const PAGE_SIZE = 50000;
+
+async function fetchAll() {
+  const rows = [];
+  let offset = 0;
+  while (true) {
+    const params = new URLSearchParams({
+      '$select': 'complex_id,entrance_latitude,entrance_longitude',
+      '$limit': String(PAGE_SIZE),
+      '$offset': String(offset),
+      '$order': 'complex_id ASC'
+    });
+    console.log(`  fetching offset=${offset}...`);
+    const resp = await fetch(`${SOCRATA_URL}?${params}`);
+    if (!resp.ok) throw new Error(`Socrata API: HTTP ${resp.status}`);
+    const page = await resp.json();
+    if (page.length === 0) break;
+    rows.push(...page);
+    if (page.length < PAGE_SIZE) break;
+    offset += PAGE_SIZE;
+  }
+  return rows;
+}
+
+async function main() {
+  console.log('Fetching subway entrances...');
+  const rows = await fetchAll();
+
+  // complex id -> [[lat, lon]], stairs a few meters apart (same 5th decimal) merged
+  const complexes = {};
+  const seen = new Set();
+  for (const row of rows) {
+    const lat = parseFloat(row.entrance_latitude), lon = parseFloat(row.entrance_longitude);
+    if (!row.complex_id || !lat || !lon) continue;
+    const point = [Math.round(lat * 1e5) / 1e5, Math.round(lon * 1e5) / 1e5];
+    const key = `${row.complex_id}|${point}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    (complexes[row.complex_id] ||= []).push(point);
+  }
+
+  const complexCount = Object.keys(complexes).length;
+  const model = {
+    complexes,
+    metadata: {
+      generated: new Date().toISOString().split('T')[0],
+      complexCount,
+      entranceCount: seen.size
+    }
+  };
+  console.log(`Complexes: ${complexCount}, entrances: ${seen.size} (${rows.length} rows)`);
+
+  fs.mkdirSync(path.dirname(OUTPUT_PATH), { recursive: true });
+  fs.writeFileSync(OUTPUT_PATH, JSON.stringify(model));
+  console.log(`\nWrote ${OUTPUT_PATH}`);
+  console.log('Done.');
+}
+
+main().catch(err => {
+  console.error('Fatal:', err);
+  process.exit(1);
+});
@@ -0,0 +1,302 @@
+#!/usr/bin/env node
+// Build station-complex transit graph and scheduled train frequency from MTA GTFS static
+// Download: https://rrgtfsfeeds.s3.amazonaws.com/gtfs_subway.zip
+// Usage: node scripts/build-gtfs-model.js [google_transit.zip | extracted dir] [--stations registry-rows.json]
+// Stop -> complex mapping comes from the MTA station registry (same source the server uses)
+
+const fs = require('fs');
+const path = require('path');
+const { openGtfs, parseGtfsTime } = require('../lib/gtfs-static');
+
+const DEFAULT_SOURCE = path.join(__dirname, '..', 'data', 'google_transit.zip');
+const STATIONS_URL = 'https://data.ny.gov/api/views/39hk-dx4f/rows.json?accessType=DOWNLOAD';
+const RIDERSHIP_PATH = path.join(__dirname, '..', 'public', 'data', 'ridership-model.json');
+const OUTPUT_PATH = path.join(__dirname, '..', 'public', 'data', 'gtfs-model.json');
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const CALENDAR_COLUMNS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+// Representative service days: a trip counts for a day type if its service runs on that day
+const DAY_TYPES = { weekday: 'Wed', saturday: 'Sat', sunday: 'Sun' };
+// Live modulation counts arrivals within ±5 min of now; the schedule is averaged the same way
+const WINDOW_MINUTES = 5;
+
+function parseArgs(argv) {
+  const args = { source: DEFAULT_SOURCE, stations: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--stations') args.stations = argv[++i];
+    else args.source = argv[i];
+  }
+  return args;
+}
+
+async function loadRegistry(localPath) {
+  const data = localPath
+    ? JSON.parse(fs.readFileSync(localPath, 'utf8'))
+    : await (async () => {
+      console.log('Fetching station registry...');
+      const resp = await fetch(STATIONS_URL);
+      if (!resp.ok) throw new Error(`Station registry: HTTP ${resp.status}`);
+      return resp.json();
+    })();
+
+  const columns = data.meta.view.columns;
+  const col = name => columns.findIndex(c => c.fieldName === name);
+  const gtfsIdIdx = col('gtfs_stop_id'), complexIdx = col('complex_id');
+  const latIdx = col('gtfs_latitude'), lonIdx = col('gtfs_longitude'), nameIdx = col('stop_name');
+
+  const stopToComplex = {};
+  const complexes = {};
+  for (const row of data.data) {
+    const stopId = row[gtfsIdIdx], complexId = row[complexIdx];
+    if (!stopId || !complexId) continue;
+    const id = String(complexId);
+    stopToComplex[stopId] = id;
+    if (!complexes[id]) {
+      complexes[id] = { name: row[nameIdx], lat: parseFloat(row[latIdx]), lon: parseFloat(row[lonIdx]) };
+    }
+  }
+  return { stopToComplex, complexes };
+}
+
+// Platform ids like "101N" belong to parent "101"
+function complexOf(stopToComplex, stopId) {
+  return stopToComplex[stopId] || stopToComplex[stopId.replace(/[NS]$/, '')] || null;
+}
+
+// service_id -> weekdays it runs on ('Sun'..'Sat'); null without calendar.txt
+function loadServiceDays(gtfs) {
+  const services = {};
+  if (!gtfs.has('calendar.txt')) return null;
+  gtfs.forEach('calendar.txt', row => {
+    services[row.service_id] = DAY_NAMES.filter((d, i) => row[CALENDAR_COLUMNS[i]] === '1');
+  });
+  return services;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+function loadTrips(gtfs, serviceDays) {
+  const trips = {};
+  gtfs.forEach('trips.txt', row => {
+    // Without calendar.txt every trip counts for every day
+    const days = serviceDays ? (serviceDays[row.service_id] || []) : DAY_NAMES;
+    trips[row.trip_id] = {
+      route: row.route_id,
+      dir: row.direction_id || '0',
+      days,
+      dayTypes: Object.keys(DAY_TYPES).filter(type => days.includes(DAY_TYPES[type]))
+    };
+  });
+  console.log(`  ${Object.keys(trips).length} trips`);
+  return trips;
+}
+
+// Group stop_times by trip (file is usually sorted by trip, but don't rely on it)
+function loadStopTimes(gtfs, stopToComplex) {
+  const stopTimes = {};
+  let rows = 0, unmapped = new Set();
+  gtfs.forEach('stop_times.txt', row => {
+    rows++;
+    const complex = complexOf(stopToComplex, row.stop_id);
+    if (!complex) { unmapped.add(row.stop_id); return; }
+    (stopTimes[row.trip_id] ||= []).push({
+      seq: parseInt(row.stop_sequence),
+      complex,
+      dir: /[NS]$/.exec(row.stop_id)?.[0] || null, // platform direction from the stop id suffix
+      arr: parseGtfsTime(row.arrival_time),
+      dep: parseGtfsTime(row.departure_time)
+    });
+  });
+  console.log(`  ${rows} stop_times, ${unmapped.size} stop ids without a complex`);
+  for (const list of Object.values(stopTimes)) list.sort((a, b) => a.seq - b.seq);
+  return stopTimes;
+}
+
+function buildGraph(trips, stopTimes) {
+  const edges = new Map();
+  for (const [tripId, list] of Object.entries(stopTimes)) {
+    const trip = trips[tripId];
+    if (!trip) continue;
+    for (let i = 0; i + 1 < list.length; i++) {
+      const a = list[i], b = list[i + 1];
+      if (a.complex === b.complex) continue;
+      const depart = a.dep ?? a.arr, arrive = b.arr ?? b.dep;
+      if (depart === null || arrive === null || arrive < depart) continue;
+
+      const key = `${a.complex}>${b.complex}>${trip.route}>${trip.dir}`;
+      let edge = edges.get(key);
+      if (!edge) {
+        edge = { from: a.complex, to: b.complex, route: trip.route, dir: trip.dir, times: [], departures: {} };
+        for (const type of Object.keys(DAY_TYPES)) edge.departures[type] = new Array(24).fill(0);
+        edges.set(key, edge);
+      }
+      edge.times.push(arrive - depart);
+      const hour = Math.floor(depart / 3600) % 24;
+      for (const type of trip.dayTypes) edge.departures[type][hour]++;
+    }
+  }
+
+  return [...edges.values()].map(e => ({
+    from: e.from,
+    to: e.to,
+    route: e.route,
+    dir: e.dir,
+    seconds: Math.max(30, median(e.times)),
+    trips: e.times.length,
+    departures: e.departures
+  }));
+}
+
+// Scheduled arrivals per complex, weekday and hour, expressed like the live count: the mean number
+// of arrivals within ±WINDOW_MINUTES of each minute in the hour. Times past 24:00 roll into the next day.
+function buildSchedule(trips, stopTimes) {
+  const minutes = {}; // complex -> Uint16Array(7 * 1440) arrival histogram
+  for (const [tripId, list] of Object.entries(stopTimes)) {
+    const trip = trips[tripId];
+    if (!trip || !trip.days.length) continue;
+    for (const st of list) {
+      const t = st.arr ?? st.dep;
+      if (t === null) continue;
+      const hist = minutes[st.complex] ||= new Uint16Array(7 * 1440);
+      const minute = Math.floor(t / 60);
+      for (const day of trip.days) {
+        const d = (DAY_NAMES.indexOf(day) + Math.floor(minute / 1440)) % 7;
+        hist[d * 1440 + (minute % 1440)]++;
+      }
+    }
+  }
+
+  const WEEK = 7 * 1440;
+  const schedule = {};
+  for (const [complex, hist] of Object.entries(minutes)) {
+    schedule[complex] = {};
+    DAY_NAMES.forEach((day, d) => {
+      const hours = new Array(24).fill(0);
+      for (let h = 0; h < 24; h++) {
+        let total = 0;
+        for (let m = 0; m < 60; m++) {
+          const center = d * 1440 + h * 60 + m;
+          for (let k = -WINDOW_MINUTES; k < WINDOW_MINUTES; k++) total += hist[(center + k + WEEK) % WEEK];
+        }
+        hours[h] = Math.round((total / 60) * 10) / 10;
+      }
+      schedule[complex][day] = hours;
+    });
+  }
+  return schedule;
+}
+
+// Day types a trip's stop at t (seconds after its service day's midnight) falls on. Times past
+// 24:00 roll into the next day, as in buildSchedule: a Friday trip at 25:30 is Saturday 01:30
+function dayTypesAt(trip, t) {
+  const rollover = Math.floor(t / 86400);
+  if (!rollover) return trip.dayTypes;
+  const days = new Set(trip.days.map(day => DAY_NAMES[(DAY_NAMES.indexOf(day) + rollover) % 7]));
+  return Object.keys(DAY_TYPES).filter(type => days.has(DAY_TYPES[type]));
+}
+
+// Scheduled arrivals per complex, platform direction (N/S), day type and hour: the basis for
+// "normal" headways when judging live gaps
+function buildDirectionalArrivals(trips, stopTimes) {
+  const arrivals = {};
+  for (const [tripId, list] of Object.entries(stopTimes)) {
+    const trip = trips[tripId];
+    if (!trip) continue;
+    for (const st of list) {
+      const t = st.arr ?? st.dep;
+      if (t === null || !st.dir) continue;
+      const byDir = arrivals[st.complex] ||= {};
+      const byType = byDir[st.dir] ||= Object.fromEntries(Object.keys(DAY_TYPES).map(type => [type, new Array(24).fill(0)]));
+      const hour = Math.floor(t / 3600) % 24;
+      for (const type of dayTypesAt(trip, t)) byType[type][hour]++;
+    }
+  }
+  return arrivals;
+}
+
+function buildTransfers(gtfs, stopToComplex) {
+  if (!gtfs.has('transfers.txt')) return [];
+  const transfers = new Map();
+  gtfs.forEach('transfers.txt', row => {
+    const from = complexOf(stopToComplex, row.from_stop_id);
+    const to = complexOf(stopToComplex, row.to_stop_id);
+    // Same-complex transfers are implicit; only out-of-complex walks become edges
+    if (!from || !to || from === to) return;
+    const seconds = parseInt(row.min_transfer_time) || 180;
+    const key = `${from}>${to}`;
+    if (!transfers.has(key) || transfers.get(key).seconds > seconds) transfers.set(key, { from, to, seconds });
+  });
+  return [...transfers.values()];
+}
+
+async function main() {
+  console.log('=== Eyes on the Street - GTFS Static Model Builder ===\n');
+  const args = parseArgs(process.argv.slice(2));
+
+  console.log(`Reading GTFS from ${args.source}...`);
+  const gtfs = openGtfs(args.source);
+  const { stopToComplex, complexes } = await loadRegistry(args.stations);
+  console.log(`  ${Object.keys(stopToComplex).length} registry stops in ${Object.keys(complexes).length} complexes`);
+
+  // Prefer ridership-model names so planner output matches the map
+  if (fs.existsSync(RIDERSHIP_PATH)) {
+    const ridership = JSON.parse(fs.readFileSync(RIDERSHIP_PATH, 'utf8'));
+    for (const [id, st] of Object.entries(ridership.stations || {})) {
+      if (complexes[id]) complexes[id] = { name: st.name, lat: st.lat, lon: st.lon };
+    }
+  }
+
+  const serviceDays = loadServiceDays(gtfs);
+  const trips = loadTrips(gtfs, serviceDays);
+  const stopTimes = loadStopTimes(gtfs, stopToComplex);
+
+  console.log('Building route graph...');
+  const edges = buildGraph(trips, stopTimes);
+  const transfers = buildTransfers(gtfs, stopToComplex);
+  const routes = [...new Set(edges.map(e => e.route))].sort();
+  console.log(`  ${edges.length} edges, ${transfers.length} walking transfers, ${routes.length} routes`);
+
+  console.log('Building scheduled arrival counts...');
+  const schedule = buildSchedule(trips, stopTimes);
+  const directionalArrivals = buildDirectionalArrivals(trips, stopTimes);
+  console.log(`  ${Object.keys(schedule).length} complexes with scheduled service`);
+
+  if (edges.length === 0) {
+    console.error('No edges built. Check the GTFS source and station registry.');
+    process.exit(1);
+  }
+
+  const model = {
+    complexes,
+    edges,
+    transfers,
+    schedule,
+    directionalArrivals,
+    metadata: {
+      generated: new Date().toISOString().split('T')[0],
+      source: path.basename(args.source),
+      routes,
+      edgeCount: edges.length,
+      scheduleWindowMinutes: WINDOW_MINUTES
+    }
+  };
+
+  fs.mkdirSync(path.dirname(OUTPUT_PATH), { recursive: true });
+  fs.writeFileSync(OUTPUT_PATH, JSON.stringify(model));
+
+  const sizeMB = (Buffer.byteLength(JSON.stringify(model)) / 1024 / 1024).toFixed(2);
+  console.log(`\nWrote ${OUTPUT_PATH} (${sizeMB} MB)`);
+  console.log('Done.');
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error('Fatal:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = { buildSchedule, buildDirectionalArrivals };
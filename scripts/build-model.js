@@ -1,22 +1,26 @@
 #!/usr/bin/env node
 // Build ridership model from MTA Subway Hourly Ridership dataset
 // Dataset: https://data.ny.gov/resource/5wq4-mkjj.json (Socrata API)
-// Aggregates 4 weeks of hourly ridership per station per hour per day-of-week
+// Aggregates 4 weeks of hourly ridership per station per hour per day-of-week. Holidays
+// (lib/holidays.js) are kept out of the weekday means; the major ones from the past year
+// form a separate 'Hol' profile.
 
 const fs = require('fs');
 const path = require('path');
+const holidays = require('../lib/holidays');
+const NycTime = require('../public/nyc-time');
 
 const SOCRATA_URL = 'https://data.ny.gov/resource/5wq4-mkjj.json';
 const OUTPUT_PATH = path.join(__dirname, '..', 'public', 'data', 'ridership-model.json');
 const WEEKS = 4;
 const PAGE_SIZE = 50000;
+const HOLIDAY_LOOKBACK_DAYS = 365;
 
-const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const DAY_NAMES = NycTime.DAY_NAMES;
 
-async function fetchPage(offset, since) {
-  const sinceStr = since.toISOString().split('T')[0];
+async function fetchPage(offset, where) {
   const params = new URLSearchParams({
-    '$where': `transit_timestamp >= '${sinceStr}'`,
+    '$where': where,
     '$limit': String(PAGE_SIZE),
     '$offset': String(offset),
     '$order': 'transit_timestamp ASC'
@@ -28,41 +32,66 @@ async function fetchPage(offset, since) {
   return resp.json();
 }
 
-async function fetchAllData() {
-  const since = new Date();
-  since.setDate(since.getDate() - WEEKS * 7);
-
-  console.log(`Fetching ridership data since ${since.toISOString().split('T')[0]}...`);
-
-  const allRows = [];
+async function fetchWhere(where, allRows) {
   let offset = 0;
   while (true) {
-    const page = await fetchPage(offset, since);
+    const page = await fetchPage(offset, where);
     if (page.length === 0) break;
     allRows.push(...page);
     console.log(`  total rows: ${allRows.length}`);
     if (page.length < PAGE_SIZE) break;
     offset += PAGE_SIZE;
   }
+}
+
+async function fetchAllData() {
+  const since = new Date();
+  since.setDate(since.getDate() - WEEKS * 7);
+  const sinceStr = since.toISOString().split('T')[0];
+
+  console.log(`Fetching ridership data since ${sinceStr}...`);
+  const allRows = [];
+  await fetchWhere(`transit_timestamp >= '${sinceStr}'`, allRows);
+
+  // Major holidays before the 4-week window, one day at a time, for the holiday profile
+  const lookback = new Date();
+  lookback.setDate(lookback.getDate() - HOLIDAY_LOOKBACK_DAYS);
+  const earlier = holidays.holidaysBetween(lookback.toISOString().split('T')[0], sinceStr)
+    .filter(h => h.profile === holidays.HOLIDAY_PROFILE && h.date < sinceStr);
+  for (const h of earlier) {
+    console.log(`Fetching ${h.name} (${h.date})...`);
+    await fetchWhere(`transit_timestamp >= '${h.date}T00:00:00' AND transit_timestamp <= '${h.date}T23:59:59'`, allRows);
+  }
 
   return allRows;
 }
 
 function aggregate(rows) {
-  // station_complex_id -> { name, lat, lon, hourly: { Mon: [24 hours], ... }, stddev: { Mon: [24], ... } }
+  // station_complex_id -> { name, lat, lon, hourly: { Mon: [24 hours], ..., Hol }, stddev: { Mon: [24], ... } }
+  const profiles = [...DAY_NAMES, holidays.HOLIDAY_PROFILE];
   const stations = {};
   const counts = {};    // station_complex_id -> { Mon: [24 counts], ... }
   const sumSq = {};     // station_complex_id -> { Mon: [24 sum-of-squares], ... }
   const rawSums = {};   // station_complex_id -> { Mon: [24 raw sums], ... }
+  const holidayDays = new Set();
 
   for (const row of rows) {
     const id = row.station_complex_id;
     if (!id) continue;
 
     const ridership = parseInt(row.ridership) || 0;
-    const ts = new Date(row.transit_timestamp);
-    const hour = ts.getHours();
-    const dayName = DAY_NAMES[ts.getDay()];
+    // Timestamps are floating New York wall-clock times ("2025-03-09T03:00:00.000"): read the
+    // date and hour as written rather than through the machine's zone
+    const ts = String(row.transit_timestamp || '');
+    const date = ts.slice(0, 10);
+    const hour = parseInt(ts.slice(11, 13));
+    if (!/^\d{4}-\d\d-\d\d$/.test(date) || !(hour >= 0 && hour < 24)) continue;
+    // Holidays only count toward the holiday profile, and only the major ones
+    const holiday = holidays.holidayOn(date);
+    if (holiday) holidayDays.add(holiday.date);
+    const dayName = !holiday ? DAY_NAMES[NycTime.weekdayOf(date)]
+      : holiday.profile === holidays.HOLIDAY_PROFILE ? holidays.HOLIDAY_PROFILE : null;
+    if (!dayName) continue;
     const lat = parseFloat(row.latitude);
     const lon = parseFloat(row.longitude);
 
@@ -79,7 +108,7 @@ function aggregate(rows) {
       counts[id] = {};
       sumSq[id] = {};
       rawSums[id] = {};
-      for (const d of DAY_NAMES) {
+      for (const d of profiles) {
         stations[id].hourly[d] = new Array(24).fill(0);
         stations[id].stddev[d] = new Array(24).fill(0);
         counts[id][d] = new Array(24).fill(0);
@@ -95,7 +124,7 @@ function aggregate(rows) {
 
   // Compute mean and standard deviation
   for (const id in stations) {
-    for (const day of DAY_NAMES) {
+    for (const day of profiles) {
       for (let h = 0; h < 24; h++) {
         const c = counts[id][day][h];
         if (c > 0) {
@@ -107,9 +136,14 @@ function aggregate(rows) {
         }
       }
     }
+    // Stations never seen on a holiday fall back to Sunday in the server
+    if (counts[id][holidays.HOLIDAY_PROFILE].every(c => c === 0)) {
+      delete stations[id].hourly[holidays.HOLIDAY_PROFILE];
+      delete stations[id].stddev[holidays.HOLIDAY_PROFILE];
+    }
   }
 
-  return stations;
+  return { stations, holidayDays: [...holidayDays].sort() };
 }
 
 async function main() {
@@ -124,16 +158,20 @@ async function main() {
   }
 
   console.log('Aggregating...');
-  const stations = aggregate(rows);
+  const { stations, holidayDays } = aggregate(rows);
   const stationCount = Object.keys(stations).length;
+  const holidayProfile = Object.values(stations).some(s => s.hourly[holidays.HOLIDAY_PROFILE]);
   console.log(`Stations: ${stationCount}`);
+  console.log(`Holidays: ${holidayDays.length} days kept out of the weekday means${holidayProfile ? ', holiday profile built' : ''}`);
 
   const model = {
     stations,
     metadata: {
       weeks: WEEKS,
       generated: new Date().toISOString().split('T')[0],
-      stationCount
+      stationCount,
+      holidayProfile,
+      holidayDays
     }
   };
 
@@ -0,0 +1,230 @@
+#!/usr/bin/env node
+// Fit weather ridership multipliers from historical hourly weather joined with hourly ridership
+// Weather: NOAA Local Climatological Data CSV export for Central Park (station 72505394728)
+//   https://www.ncei.noaa.gov/access/search/data-search/local-climatological-data
+// Ridership: MTA Subway Hourly Ridership (same dataset as build-model.js), over the CSV's date range
+// Usage: node scripts/build-weather-model.js lcd.csv [--weeks 12] [--ridership rows.json]
+//
+// Each multiplier is observed ridership over the station's all-weather mean for that weekday and
+// hour, summed per bucket (lib/weather-model.js), citywide and per borough. Thin buckets are shrunk
+// toward their parent: "rain|cold|pm-peak" toward "rain|cold", borough toward citywide.
+
+const fs = require('fs');
+const path = require('path');
+const { parseCsv } = require('../lib/gtfs-static');
+const { bucketKeys } = require('../lib/weather-model');
+const NycTime = require('../public/nyc-time');
+
+const SOCRATA_URL = 'https://data.ny.gov/resource/5wq4-mkjj.json';
+const OUTPUT_PATH = path.join(__dirname, '..', 'public', 'data', 'weather-model.json');
+const PAGE_SIZE = 50000;
+const DEFAULT_WEEKS = 12;
+const MIN_HOURS = 3;        // buckets seen in fewer weather hours are dropped
+const SHRINK_HOURS = 24;    // prior weight of the parent bucket, in weather hours
+
+function parseArgs(argv) {
+  const args = { source: null, weeks: DEFAULT_WEEKS, ridership: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--weeks') args.weeks = parseInt(argv[++i]) || DEFAULT_WEEKS;
+    else if (argv[i] === '--ridership') args.ridership = argv[++i];
+    else args.source = argv[i];
+  }
+  if (!args.source) throw new Error('Usage: node scripts/build-weather-model.js lcd.csv [--weeks 12] [--ridership rows.json]');
+  return args;
+}
+
+// ---------------------------------------------------------------------------
+// WEATHER (NOAA LCD)
+// ---------------------------------------------------------------------------
+// LCD timestamps are local standard time all year; ridership uses wall-clock time
+function wallClockHour(ms) {
+  const p = NycTime.parts(ms);
+  return `${p.date}T${String(p.hour).padStart(2, '0')}`;
+}
+
+// "52s" (suspect flag) -> 52; "T" (trace) -> 0.001; blank -> null
+function lcdNumber(value) {
+  if (value === 'T') return 0.001;
+  const n = parseFloat(String(value || '').replace(/[sV]$/, ''));
+  return Number.isFinite(n) ? n : null;
+}
+
+function conditionOf(weatherTypes, precip, temp) {
+  if (/SN|SG|PL/.test(weatherTypes)) return 'snow';
+  if (/RA|DZ|TS|UP/.test(weatherTypes)) return 'rain';
+  if (precip >= 0.01) return temp <= 32 ? 'snow' : 'rain';
+  return 'dry';
+}
+
+// "YYYY-MM-DDTHH" (wall clock) -> { condition, temp }, from routine hourly reports (FM-15),
+// each rounded to the nearest hour
+function loadWeather(file) {
+  const hours = new Map();
+  parseCsv(fs.readFileSync(file, 'utf8'), row => {
+    if (row.REPORT_TYPE && row.REPORT_TYPE !== 'FM-15') return;
+    const temp = lcdNumber(row.HourlyDryBulbTemperature);
+    const lst = Date.parse(row.DATE + 'Z');
+    if (temp === null || !Number.isFinite(lst)) return;
+    const utc = Math.round((lst + 5 * 3600000) / 3600000) * 3600000;
+    const precip = lcdNumber(row.HourlyPrecipitation) || 0;
+    hours.set(wallClockHour(utc), { condition: conditionOf(row.HourlyPresentWeatherType || '', precip, temp), temp });
+  });
+  return hours;
+}
+
+// ---------------------------------------------------------------------------
+// RIDERSHIP
+// ---------------------------------------------------------------------------
+// Summed over payment methods server-side, so a page is one row per station-hour
+async function fetchRidership(from, to, onRows) {
+  let offset = 0;
+  for (;;) {
+    const params = new URLSearchParams({
+      '$select': 'station_complex_id,borough,transit_timestamp,sum(ridership) as ridership',
+      '$where': `transit_timestamp >= '${from}' AND transit_timestamp < '${to}'`,
+      '$group': 'station_complex_id,borough,transit_timestamp',
+      '$order': 'transit_timestamp ASC',
+      '$limit': String(PAGE_SIZE),
+      '$offset': String(offset)
+    });
+    console.log(`  fetching offset=${offset}...`);
+    const resp = await fetch(`${SOCRATA_URL}?${params}`);
+    if (!resp.ok) throw new Error(`Socrata API: HTTP ${resp.status}`);
+    const page = await resp.json();
+    onRows(page);
+    if (page.length < PAGE_SIZE) break;
+    offset += PAGE_SIZE;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// FIT
+// ---------------------------------------------------------------------------
+function fit(stationHours, boroughOf, weather) {
+  // Station all-weather mean per weekday and hour
+  const profile = new Map();
+  for (const [key, ridership] of stationHours) {
+    const [id, ts] = key.split('|');
+    const slot = `${id}|${NycTime.weekdayOf(ts)}|${ts.slice(11, 13)}`;
+    const p = profile.get(slot) || { sum: 0, n: 0 };
+    p.sum += ridership;
+    p.n++;
+    profile.set(slot, p);
+  }
+
+  // scope|bucket -> observed and expected ridership, and the weather hours behind them
+  const tallies = new Map();
+  const tally = (scope, bucket, ts, observed, expected) => {
+    const k = `${scope}|${bucket}`;
+    const t = tallies.get(k) || { scope, bucket, observed: 0, expected: 0, hours: new Set() };
+    t.observed += observed;
+    t.expected += expected;
+    t.hours.add(ts);
+    tallies.set(k, t);
+  };
+  for (const [key, ridership] of stationHours) {
+    const [id, ts] = key.split('|');
+    const w = weather.get(ts);
+    if (!w) continue;
+    const hour = parseInt(ts.slice(11, 13));
+    const p = profile.get(`${id}|${NycTime.weekdayOf(ts)}|${ts.slice(11, 13)}`);
+    const expected = p.sum / p.n;
+    if (expected <= 0) continue;
+    for (const bucket of bucketKeys(w.condition, w.temp, hour)) {
+      tally('citywide', bucket, ts, ridership, expected);
+      if (boroughOf[id]) tally(boroughOf[id], bucket, ts, ridership, expected);
+    }
+  }
+
+  // Coarse buckets first so each can shrink toward its parent
+  const depth = bucket => bucket.split('|').length;
+  const sorted = [...tallies.values()].sort((a, b) => depth(a.bucket) - depth(b.bucket));
+  const citywide = {}, boroughs = {};
+  const shrink = (t, parent) => {
+    const n = t.hours.size;
+    const multiplier = (n * (t.observed / t.expected) + SHRINK_HOURS * parent) / (n + SHRINK_HOURS);
+    return { multiplier: Math.round(multiplier * 1000) / 1000, hours: n };
+  };
+  for (const t of sorted) {
+    if (t.scope !== 'citywide' || t.hours.size < MIN_HOURS) continue;
+    const parentKey = t.bucket.split('|').slice(0, -1).join('|');
+    citywide[t.bucket] = shrink(t, citywide[parentKey]?.multiplier ?? 1);
+  }
+  for (const t of sorted) {
+    if (t.scope === 'citywide' || t.hours.size < MIN_HOURS) continue;
+    (boroughs[t.scope] ||= {})[t.bucket] = shrink(t, citywide[t.bucket]?.multiplier ?? 1);
+  }
+  return { citywide, boroughs };
+}
+
+async function main() {
+  console.log('=== Eyes on the Street - Weather Model Builder ===\n');
+  const args = parseArgs(process.argv.slice(2));
+
+  console.log(`Reading weather from ${args.source}...`);
+  const weather = loadWeather(args.source);
+  const tsList = [...weather.keys()].sort();
+  if (!tsList.length) {
+    console.error('No hourly observations found. Expected an LCD CSV with DATE and HourlyDryBulbTemperature columns.');
+    process.exit(1);
+  }
+  const last = tsList[tsList.length - 1];
+  const cutoff = new Date(Date.parse(last + ':00:00Z') - args.weeks * 7 * 86400000).toISOString().slice(0, 13);
+  const from = tsList[0] > cutoff ? tsList[0] : cutoff;
+  console.log(`  ${weather.size} weather hours; fitting ${from} to ${last}`);
+
+  // station|hour -> ridership (local rows may still be split by payment method)
+  const stationHours = new Map();
+  const boroughOf = {};
+  const addRows = rows => {
+    for (const row of rows) {
+      const id = row.station_complex_id;
+      const ts = row.transit_timestamp?.slice(0, 13);
+      if (!id || !ts || ts < from || ts > last) continue;
+      const key = `${id}|${ts}`;
+      stationHours.set(key, (stationHours.get(key) || 0) + (parseFloat(row.ridership) || 0));
+      if (row.borough) boroughOf[id] = row.borough;
+    }
+  };
+  if (args.ridership) addRows(JSON.parse(fs.readFileSync(args.ridership, 'utf8')));
+  else {
+    console.log('Fetching ridership...');
+    const end = new Date(Date.parse(last + ':00:00Z') + 3600000).toISOString().slice(0, 19);
+    await fetchRidership(`${from}:00:00`, end, addRows);
+  }
+  console.log(`  ${stationHours.size} station-hours`);
+  if (stationHours.size === 0) {
+    console.error('No ridership rows in the weather date range.');
+    process.exit(1);
+  }
+
+  console.log('Fitting multipliers...');
+  const { citywide, boroughs } = fit(stationHours, boroughOf, weather);
+  for (const condition of ['dry', 'rain', 'snow']) {
+    if (citywide[condition]) console.log(`  ${condition}: x${citywide[condition].multiplier} over ${citywide[condition].hours} hours`);
+  }
+
+  const model = {
+    citywide,
+    boroughs,
+    stationBorough: boroughOf,
+    metadata: {
+      generated: new Date().toISOString().split('T')[0],
+      source: path.basename(args.source),
+      from,
+      to: last,
+      weatherHours: tsList.filter(ts => ts >= from).length,
+      bucketCount: Object.keys(citywide).length
+    }
+  };
+
+  fs.mkdirSync(path.dirname(OUTPUT_PATH), { recursive: true });
+  fs.writeFileSync(OUTPUT_PATH, JSON.stringify(model));
+  console.log(`\nWrote ${OUTPUT_PATH}`);
+  console.log('Done.');
+}
+
+main().catch(err => {
+  console.error('Fatal:', err);
+  process.exit(1);
+});
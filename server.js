@@ -5,9 +5,32 @@ const GtfsRealtimeBindings = require('gtfs-realtime-bindings');
 const compression = require('compression');
 const fs = require('fs');
 const path = require('path');
+const intelligence = require('./lib/intelligence');
+const history = require('./lib/history');
+const alertHistory = require('./lib/alert-history');
+const router = require('./lib/router');
+const headways = require('./lib/headways');
+const serviceAlerts = require('./lib/alerts');
+const weatherBuckets = require('./lib/weather-model');
+const events = require('./lib/events');
+const bikeshare = require('./lib/bikeshare');
+const grid = require('./lib/grid');
+const holidays = require('./lib/holidays');
+const health = require('./lib/health');
+const agencies = require('./lib/agencies');
+const subscriptions = require('./lib/subscriptions');
+const exporter = require('./lib/export');
+const SafetyPolicy = require('./public/safety-policy');
+const NycTime = require('./public/nyc-time');
+const HexGrid = require('./public/hexgrid');
+const stream = require('./lib/stream');
+const datasource = require('./lib/datasource');
+const { rateLimit, requireApiKey, storeName: rateLimitStore } = require('./lib/ratelimit');
 
 const app = express();
 app.disable('x-powered-by');
+// Vercel sits behind a proxy: take the client IP from X-Forwarded-For for rate limiting
+if (process.env.VERCEL) app.set('trust proxy', 1);
 app.use(compression());
 // Security: restrict CORS to known origins in production
 const ALLOWED_ORIGINS = [
@@ -17,7 +40,8 @@ const ALLOWED_ORIGINS = [
 app.use(cors({
   origin: process.env.VERCEL
     ? (origin, cb) => cb(null, !origin || ALLOWED_ORIGINS.includes(origin))
-    : true  // Allow all in local dev
+    : true,  // Allow all in local dev
+  exposedHeaders: ['RateLimit-Policy', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After']
 }));
 
 // Security headers
@@ -41,7 +65,7 @@ const cache = {};
 
 function cached(key, ttlMs, fetchFn) {
   return async (req, res) => {
-    const now = Date.now();
+    const now = datasource.now();
     const ttlSec = Math.round(ttlMs / 1000);
     res.setHeader('Cache-Control', `public, max-age=${ttlSec}, s-maxage=${ttlSec}`);
     if (cache[key] && now - cache[key].ts < ttlMs) {
@@ -59,36 +83,155 @@ function cached(key, ttlMs, fetchFn) {
   };
 }
 
+// Reuse a fresh cached result from another endpoint, or compute and cache it
+async function fromCache(key, ttlMs, fetchFn) {
+  if (cache[key] && datasource.now() - cache[key].ts < ttlMs) return cache[key].data;
+  const data = await fetchFn();
+  cache[key] = { data, ts: datasource.now() };
+  return data;
+}
+
+// Format for an exportable route (lib/export.js): its path extension or Accept header. Sends the
+// 406 and returns null when nothing acceptable is offered
+function exportFormat(req, res) {
+  const format = exporter.negotiate(req);
+  if (!format) res.status(406).json({ error: `Supported formats: ${Object.keys(exporter.FORMATS).join(', ')}` });
+  return format;
+}
+
+// Serves a non-JSON export of a cached result
+async function sendExport(res, format, key, ttlMs, fetchFn, toTable) {
+  try {
+    const data = await fromCache(key, ttlMs, fetchFn);
+    res.setHeader('Cache-Control', `public, max-age=${Math.round(ttlMs / 1000)}`);
+    exporter.send(res, format, toTable(data));
+  } catch (err) {
+    console.error(`[${key}] export error:`, err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+const exportModels = () => exporter.modelMeta(ridershipModel, crimeModel);
+
 // ---------------------------------------------------------------------------
 // RIDERSHIP MODEL
 // ---------------------------------------------------------------------------
 let ridershipModel = null;
 let crimeModel = null;
+let gtfsModel = null;
+let routeGraph = null;
+let weatherModel = null;
+let entrances = null;
+
+// Each agency names its model files (public/data/agencies/*.json "models"); their entries are merged
+// under scoped complex ids. Metadata is the primary agency's.
+function loadAgencyModels(kind, collection, onEntry = entry => entry) {
+  const merged = { [collection]: {}, metadata: {} };
+  for (const agency of AGENCIES) {
+    const file = agency.models[kind];
+    if (!file) continue;
+    try {
+      const model = JSON.parse(fs.readFileSync(path.join(__dirname, 'public', 'data', file), 'utf8'));
+      for (const [id, entry] of Object.entries(model[collection] || {})) {
+        merged[collection][agencies.scoped(agency, id)] = onEntry(entry, agency);
+      }
+      if (agency.primary) merged.metadata = model.metadata || {};
+    } catch (err) {
+      console.warn(`[model] ${agency.id}: ${file} not found (${err.message})`);
+    }
+  }
+  return merged;
+}
 
 function loadRidershipModel() {
-  const modelPath = path.join(__dirname, 'public', 'data', 'ridership-model.json');
+  ridershipModel = loadAgencyModels('ridership', 'stations', (station, agency) => ({ ...station, agency: agency.id }));
+  const count = Object.keys(ridershipModel.stations).length;
+  if (count) console.log(`[model] loaded ${count} stations`);
+  else console.warn('[model] ridership-model.json not found. Run: node scripts/build-model.js');
+}
+
+function loadCrimeModel() {
+  crimeModel = loadAgencyModels('crime', 'stationRisk');
+  const count = Object.keys(crimeModel.stationRisk).length;
+  if (count) console.log(`[crime] loaded risk data for ${count} stations`);
+  else console.warn('[crime] crime-model.json not found. Run: node scripts/build-crime-model.js');
+}
+
+function loadGtfsModel() {
+  const modelPath = path.join(__dirname, 'public', 'data', 'gtfs-model.json');
   try {
     const raw = fs.readFileSync(modelPath, 'utf8');
-    ridershipModel = JSON.parse(raw);
-    console.log(`[model] loaded ${Object.keys(ridershipModel.stations).length} stations`);
+    gtfsModel = JSON.parse(raw);
+    routeGraph = router.buildGraph(gtfsModel);
+    console.log(`[gtfs] loaded ${gtfsModel.edges.length} route edges`);
   } catch (err) {
-    console.warn('[model] ridership-model.json not found. Run: node scripts/build-model.js');
-    ridershipModel = { stations: {}, metadata: {} };
+    console.warn('[gtfs] gtfs-model.json not found. Run: npm run build-gtfs -- path/to/google_transit.zip');
+    gtfsModel = null;
+    routeGraph = null;
   }
 }
 
-function loadCrimeModel() {
-  const modelPath = path.join(__dirname, 'public', 'data', 'crime-model.json');
+// Fitted weather multipliers (optional): without them the policy's flat multipliers apply
+function loadWeatherModel() {
+  const modelPath = path.join(__dirname, 'public', 'data', 'weather-model.json');
   try {
     const raw = fs.readFileSync(modelPath, 'utf8');
-    crimeModel = JSON.parse(raw);
-    console.log(`[crime] loaded risk data for ${Object.keys(crimeModel.stationRisk).length} stations`);
+    weatherModel = JSON.parse(raw);
+    console.log(`[weather] loaded ${weatherModel.metadata.bucketCount} fitted buckets (${weatherModel.metadata.from} to ${weatherModel.metadata.to})`);
   } catch (err) {
-    console.warn('[crime] crime-model.json not found. Run: node scripts/build-crime-model.js');
-    crimeModel = { stationRisk: {}, metadata: {} };
+    console.warn('[weather] weather-model.json not found, using policy multipliers. Run: npm run build-weather -- path/to/lcd.csv');
+    weatherModel = null;
   }
 }
 
+// Subway entrances per complex (optional): the presence grid spreads riders from them, else from
+// the complex's stops
+function loadEntrances() {
+  const modelPath = path.join(__dirname, 'public', 'data', 'entrances.json');
+  try {
+    entrances = JSON.parse(fs.readFileSync(modelPath, 'utf8'));
+    console.log(`[grid] loaded ${entrances.metadata.entranceCount} entrances for ${entrances.metadata.complexCount} complexes`);
+  } catch (err) {
+    console.warn('[grid] entrances.json not found, using station stops. Run: npm run build-entrances');
+    entrances = null;
+  }
+}
+
+// Safety policies: public/data/policies/<id>.json, evaluated by public/safety-policy.js
+// (the same module the browser loads). SAFETY_POLICY picks the default.
+const POLICY_DIR = path.join(__dirname, 'public', 'data', 'policies');
+const DEFAULT_POLICY_ID = process.env.SAFETY_POLICY || 'default';
+let policies = {};
+
+function loadPolicies() {
+  policies = {};
+  let files = [];
+  try {
+    files = fs.readdirSync(POLICY_DIR).filter(f => f.endsWith('.json'));
+  } catch (err) {
+    console.warn(`[policy] ${POLICY_DIR} not found`);
+  }
+  for (const file of files) {
+    try {
+      const policy = SafetyPolicy.validate(JSON.parse(fs.readFileSync(path.join(POLICY_DIR, file), 'utf8')));
+      policies[policy.id] = policy;
+    } catch (err) {
+      console.error(`[policy] skipping ${file}: ${err.message}`);
+    }
+  }
+  if (!policies[DEFAULT_POLICY_ID]) throw new Error(`Safety policy "${DEFAULT_POLICY_ID}" not found in ${POLICY_DIR}`);
+  console.log(`[policy] loaded ${Object.values(policies).map(p => `${p.id}@${p.version}`).join(', ')} (default ${DEFAULT_POLICY_ID})`);
+}
+
+// ?policy=<id>; undefined selects the default, null means unknown
+function resolvePolicy(id) {
+  if (id === undefined || id === '') return policies[DEFAULT_POLICY_ID];
+  return Object.hasOwn(policies, id) ? policies[id] : null;
+}
+
+// Weekdays, hours and dates are New York local time (public/nyc-time.js), whatever the server's zone
+const DAY_NAMES = NycTime.DAY_NAMES;
+
 function getTimeWindow(hour) {
   if (hour >= 6 && hour < 12) return 'morning';
   if (hour >= 12 && hour < 18) return 'afternoon';
@@ -96,112 +239,154 @@ function getTimeWindow(hour) {
   return 'latenight';
 }
 
-function computeSafetyLevel(ridership, crimeRisk, hour) {
-  const isNight = hour >= 22 || hour < 6;
-  const isEvening = hour >= 18 && hour < 22;
-
-  // Principle: an empty station with no crime history is just quiet, not dangerous.
-  // Only flag "avoid" when there's BOTH low foot traffic AND elevated crime risk.
-  // crimeRisk is 0-1 normalized: 1.0 = highest-crime station in NYC.
-  // Most stations cluster near 0. Only ~15% exceed 0.5.
-
-  // DAYTIME (6am-6pm): NYC is overwhelmingly safe during business hours.
-  if (!isNight && !isEvening) {
-    if (crimeRisk >= 0.8 && ridership < 15) return 'caution';
-    return 'safe';
-  }
-
-  // EVENING (6pm-10pm): mostly safe, flag genuine hotspots
-  if (isEvening) {
-    if (crimeRisk >= 0.7 && ridership < 25) return 'avoid';
-    if (crimeRisk >= 0.5 && ridership < 15) return 'caution';
-    return 'safe';
-  }
+// Crime risk at an hour: weekday/weekend hourly profile, then all-days hourly, then time window.
+// source says which one answered, for explanations.
+function getCrimeRiskDetail(crimeData, hour, isWeekend) {
+  const dayHourly = isWeekend ? crimeData?.weekendRisk?.[hour] : crimeData?.weekdayRisk?.[hour];
+  if (dayHourly != null) return { risk: dayHourly, source: isWeekend ? 'weekendHourly' : 'weekdayHourly' };
+  if (crimeData?.hourlyRisk?.[hour] != null) return { risk: crimeData.hourlyRisk[hour], source: 'hourly' };
+  const window = getTimeWindow(hour);
+  if (crimeData?.[window + 'Risk'] != null) return { risk: crimeData[window + 'Risk'], source: 'window', window };
+  return { risk: 0, source: 'none' };
+}
 
-  // LATE NIGHT (10pm-6am): more nuanced
-  // AVOID = known crime corridor + empty platform
-  if (crimeRisk >= 0.5 && ridership < 15) return 'avoid';
-  // CAUTION = moderate risk factor present
-  if (crimeRisk >= 0.3 && ridership < 25) return 'caution';
-  if (ridership < 5 && crimeRisk >= 0.15) return 'caution';
-  // SAFE = enough eyes on the street
-  return 'safe';
+function getCrimeRisk(crimeData, hour, isWeekend) {
+  return getCrimeRiskDetail(crimeData, hour, isWeekend).risk;
 }
 
 // ---------------------------------------------------------------------------
-// MTA GTFS-RT
+// AGENCIES (GTFS-RT feeds, alert feeds, station registries; lib/agencies.js)
 // ---------------------------------------------------------------------------
-const FEED_URLS = {
-  '123456S': 'https://api-endpoint.mta.info/Dataservice/mtagtfsfeeds/nyct%2Fgtfs',
-  'ACE':     'https://api-endpoint.mta.info/Dataservice/mtagtfsfeeds/nyct%2Fgtfs-ace',
-  'BDFM':    'https://api-endpoint.mta.info/Dataservice/mtagtfsfeeds/nyct%2Fgtfs-bdfm',
-  'G':       'https://api-endpoint.mta.info/Dataservice/mtagtfsfeeds/nyct%2Fgtfs-g',
-  'JZ':      'https://api-endpoint.mta.info/Dataservice/mtagtfsfeeds/nyct%2Fgtfs-jz',
-  'L':       'https://api-endpoint.mta.info/Dataservice/mtagtfsfeeds/nyct%2Fgtfs-l',
-  'NQRW':    'https://api-endpoint.mta.info/Dataservice/mtagtfsfeeds/nyct%2Fgtfs-nqrw',
-  'SIR':     'https://api-endpoint.mta.info/Dataservice/mtagtfsfeeds/nyct%2Fgtfs-si'
-};
-
-const ALERTS_URL = 'https://api-endpoint.mta.info/Dataservice/mtagtfsfeeds/camsys%2Fsubway-alerts';
+const AGENCIES = agencies.load();
+const agencyById = Object.fromEntries(AGENCIES.map(a => [a.id, a]));
+const PRIMARY = AGENCIES.find(a => a.primary) || null;
+
+// Feed health (lib/health.js). Train feeds are refetched every ~30s, so 90s without new data, or a
+// header timestamp that old, is stale
+const FEED_SOURCES = AGENCIES.flatMap(a => a.feeds.map(f => f.source));
+const ALERT_SOURCES = AGENCIES.filter(a => a.alerts).map(a => a.alertSource);
+const STATION_SOURCES = AGENCIES.map(a => a.stationSource);
+for (const agency of AGENCIES) {
+  const prefix = agency.primary ? '' : `${agency.shortName || agency.name} `;
+  for (const feed of agency.feeds) health.register(feed.source, { label: `${prefix}GTFS-RT ${feed.id}`, staleAfterMs: 90 * 1000 });
+  if (agency.alerts) health.register(agency.alertSource, { label: `${prefix}Service alerts`, staleAfterMs: 5 * 60 * 1000 });
+  health.register(agency.stationSource, { label: `${prefix}Station registry` });
+}
 
 // ---------------------------------------------------------------------------
 // WEATHER (OpenWeatherMap)
 // ---------------------------------------------------------------------------
 let weatherCache = { data: null, ts: 0 };
 const WEATHER_TTL = 10 * 60 * 1000; // 10 minutes
+health.register('weather', { label: 'OpenWeatherMap', staleAfterMs: 3 * WEATHER_TTL });
 const NYC_LAT = 40.7128;
 const NYC_LON = -74.0060;
 
+// OpenWeatherMap current-weather (or forecast list entry) -> the fields policies and the HUD use
+function classifyWeather(raw) {
+  return {
+    condition: raw.weather?.[0]?.main || 'Unknown',       // Rain, Snow, Clear, Clouds, etc.
+    description: raw.weather?.[0]?.description || '',      // light rain, heavy snow, etc.
+    temp: Math.round(raw.main?.temp || 0),                 // Fahrenheit
+    feelsLike: Math.round(raw.main?.feels_like || 0),
+    humidity: raw.main?.humidity || 0,
+    windSpeed: Math.round(raw.wind?.speed || 0),           // mph
+    visibility: raw.visibility ? Math.round(raw.visibility / 1609) : null, // miles
+    isRain: ['Rain', 'Drizzle', 'Thunderstorm'].includes(raw.weather?.[0]?.main),
+    isSnow: raw.weather?.[0]?.main === 'Snow',
+    isExtreme: (raw.main?.temp || 70) > 95 || (raw.main?.temp || 70) < 15 || (raw.wind?.speed || 0) > 40
+  };
+}
+
 async function fetchWeather() {
-  const now = Date.now();
+  const now = datasource.now();
   if (weatherCache.data && now - weatherCache.ts < WEATHER_TTL) {
     return weatherCache.data;
   }
 
   const apiKey = process.env.OPENWEATHER_API_KEY;
-  if (!apiKey) return null;
+  if (!apiKey && datasource.mode !== 'replay') {
+    health.disable('weather');
+    return null;
+  }
 
+  const started = Date.now();
   try {
     const url = `https://api.openweathermap.org/data/2.5/weather?lat=${NYC_LAT}&lon=${NYC_LON}&appid=${apiKey}&units=imperial`;
-    const resp = await fetch(url);
-    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
-    const raw = await resp.json();
-
-    const weather = {
-      condition: raw.weather?.[0]?.main || 'Unknown',       // Rain, Snow, Clear, Clouds, etc.
-      description: raw.weather?.[0]?.description || '',      // light rain, heavy snow, etc.
-      temp: Math.round(raw.main?.temp || 0),                 // Fahrenheit
-      feelsLike: Math.round(raw.main?.feels_like || 0),
-      humidity: raw.main?.humidity || 0,
-      windSpeed: Math.round(raw.wind?.speed || 0),           // mph
-      visibility: raw.visibility ? Math.round(raw.visibility / 1609) : null, // miles
-      isRain: ['Rain', 'Drizzle', 'Thunderstorm'].includes(raw.weather?.[0]?.main),
-      isSnow: raw.weather?.[0]?.main === 'Snow',
-      isExtreme: (raw.main?.temp || 70) > 95 || (raw.main?.temp || 70) < 15 || (raw.wind?.speed || 0) > 40
-    };
+    const raw = await datasource.fetchSource('weather', url);
 
+    const weather = classifyWeather(raw);
     weatherCache = { data: weather, ts: now };
+    health.success('weather', { latencyMs: Date.now() - started, feedTimestamp: raw.dt ? raw.dt * 1000 : null });
     console.log(`[weather] ${weather.condition} ${weather.temp}°F, wind ${weather.windSpeed}mph`);
     return weather;
   } catch (err) {
     console.error('[weather] fetch failed:', err.message);
+    health.failure('weather', err, Date.now() - started);
     return weatherCache.data; // Return stale data if available
   }
 }
 
-const LINE_COLORS = {
-  '1': '#EE352E', '2': '#EE352E', '3': '#EE352E',
-  '4': '#00933C', '5': '#00933C', '6': '#00933C', '6X': '#00933C',
-  '7': '#B933AD', '7X': '#B933AD',
-  'A': '#0039A6', 'C': '#0039A6', 'E': '#0039A6',
-  'B': '#FF6319', 'D': '#FF6319', 'F': '#FF6319', 'FX': '#FF6319', 'M': '#FF6319',
-  'G': '#6CBE45',
-  'J': '#996633', 'Z': '#996633',
-  'L': '#A7A9AC',
-  'N': '#FCCC0A', 'Q': '#FCCC0A', 'R': '#FCCC0A', 'W': '#FCCC0A',
-  'S': '#808183', 'SF': '#808183', 'SR': '#808183', 'H': '#808183', 'FS': '#808183', 'GS': '#808183',
-  'SI': '#0039A6', 'SIR': '#0039A6'
-};
+// 5-day / 3-hour forecast -> { source, entries: [{ ts, pop, ...classifyWeather }] }. source is
+// 'forecast' (fresh), 'cached' (last good forecast after a failed fetch) or 'fixture'
+// (WEATHER_FORECAST_FIXTURE, a saved forecast response); entries is null when there is nothing.
+let forecastCache = { entries: null, ts: 0 };
+const FORECAST_TTL = 30 * 60 * 1000; // 30 minutes
+
+function forecastEntries(raw) {
+  return (raw.list || []).map(item => ({ ts: item.dt * 1000, pop: item.pop ?? null, ...classifyWeather(item) }));
+}
+
+// A fixture's timestamps are shifted so its first entry lands on the current hour
+function loadForecastFixture(now) {
+  const file = process.env.WEATHER_FORECAST_FIXTURE;
+  if (!file) return null;
+  try {
+    const entries = forecastEntries(JSON.parse(fs.readFileSync(file, 'utf8')));
+    if (!entries.length) return null;
+    const shift = Math.floor(now / 3600000) * 3600000 - entries[0].ts;
+    return entries.map(e => ({ ...e, ts: e.ts + shift }));
+  } catch (err) {
+    console.error('[weather] forecast fixture unreadable:', err.message);
+    return null;
+  }
+}
+
+async function fetchWeatherForecast() {
+  const now = datasource.now();
+  if (forecastCache.entries && now - forecastCache.ts < FORECAST_TTL) {
+    return { source: 'forecast', entries: forecastCache.entries };
+  }
+
+  const apiKey = process.env.OPENWEATHER_API_KEY;
+  if (apiKey || datasource.mode === 'replay') {
+    try {
+      const url = `https://api.openweathermap.org/data/2.5/forecast?lat=${NYC_LAT}&lon=${NYC_LON}&appid=${apiKey}&units=imperial`;
+      const entries = forecastEntries(await datasource.fetchSource('weather-forecast', url));
+      forecastCache = { entries, ts: now };
+      console.log(`[weather] forecast: ${entries.length} entries`);
+      return { source: 'forecast', entries };
+    } catch (err) {
+      console.error('[weather] forecast fetch failed:', err.message);
+    }
+  }
+  if (forecastCache.entries) return { source: 'cached', entries: forecastCache.entries };
+  const fixture = loadForecastFixture(now);
+  return fixture ? { source: 'fixture', entries: fixture } : { source: null, entries: null };
+}
+
+// Ridership multiplier for the weather at one station and hour: the fitted bucket when the weather
+// model has one, else the policy's flat multiplier. null without weather.
+function weatherEffect(policy, weather, stationId, hour) {
+  if (!weather) return null;
+  const fitted = weatherBuckets.lookup(weatherModel, weatherModel?.stationBorough?.[stationId], weather, hour);
+  if (fitted) return { source: 'fitted', multiplier: fitted.multiplier, bucket: fitted.key, scope: fitted.scope };
+  const rule = SafetyPolicy.weatherRule(policy, weather);
+  return { source: 'policy', multiplier: rule?.multiplier ?? 1, bucket: rule?.label || null, scope: policy.id };
+}
+
+// Subway route colours (the trip planner and /api/colors cover the subway only)
+const LINE_COLORS = PRIMARY?.colors || {};
 
 const ALERT_CAUSE = {
   1: 'Unknown', 2: 'Other', 3: 'Technical Problem', 4: 'Strike',
@@ -217,68 +402,91 @@ const ALERT_EFFECT = {
 };
 
 // ---------------------------------------------------------------------------
-// STATION DATA (GTFS stop coords + stop-to-complex mapping)
+// STATION DATA (each agency's stop coords + stop-to-complex mapping, scoped ids)
 // ---------------------------------------------------------------------------
-let stationCoords = {};
-let gtfsStopToComplex = {};  // GTFS stop_id -> station_complex_id
+let stationCoords = {};       // stop id -> { lat, lon, name, agency }
+let gtfsStopToComplex = {};   // stop id -> station complex id
+let complexRegistry = {};     // station complex id -> { id, agency, name, lat, lon }
+const registryLoaded = new Set();
+const registryFailedAt = {};
+const REGISTRY_RETRY_MS = 5 * 60 * 1000;
 let stationPromise = null;
 
+// Platform stop ids ("101N") are in the registry alongside their parent stop
+function complexOfStop(stopId) {
+  return gtfsStopToComplex[stopId] || null;
+}
+
+// Loads every agency's registry; one that failed is retried on a later call, at most every few minutes
 async function loadStations() {
   if (stationPromise) return stationPromise;
-  stationPromise = _loadStations();
+  const now = Date.now();
+  const due = AGENCIES.filter(a => !registryLoaded.has(a.id) && !(now - registryFailedAt[a.id] < REGISTRY_RETRY_MS));
+  if (!due.length) return;
+  stationPromise = Promise.all(due.map(loadAgencyStations)).finally(() => { stationPromise = null; });
   return stationPromise;
 }
 
-async function _loadStations() {
+async function loadAgencyStations(agency) {
+  const started = Date.now();
   try {
-    console.log('[stations] loading...');
-    const response = await fetch('https://data.ny.gov/api/views/39hk-dx4f/rows.json?accessType=DOWNLOAD');
-    const data = await response.json();
-    const columns = data.meta.view.columns;
-    const gtfsIdIdx = columns.findIndex(c => c.fieldName === 'gtfs_stop_id');
-    const latIdx = columns.findIndex(c => c.fieldName === 'gtfs_latitude');
-    const lonIdx = columns.findIndex(c => c.fieldName === 'gtfs_longitude');
-    const nameIdx = columns.findIndex(c => c.fieldName === 'stop_name');
-    const complexIdx = columns.findIndex(c => c.fieldName === 'complex_id');
-
-    for (const row of data.data) {
-      const stopId = row[gtfsIdIdx];
-      const lat = parseFloat(row[latIdx]);
-      const lon = parseFloat(row[lonIdx]);
-      const name = row[nameIdx];
-      const complexId = row[complexIdx];
-
-      if (stopId && lat && lon) {
-        stationCoords[stopId] = { lat, lon, name };
-        stationCoords[stopId + 'N'] = { lat, lon, name };
-        stationCoords[stopId + 'S'] = { lat, lon, name };
-
-        // Build the critical mapping: GTFS stop_id -> station_complex_id
-        if (complexId) {
-          gtfsStopToComplex[stopId] = String(complexId);
-          gtfsStopToComplex[stopId + 'N'] = String(complexId);
-          gtfsStopToComplex[stopId + 'S'] = String(complexId);
-        }
-      }
+    console.log(`[stations] loading ${agency.id}...`);
+    const registry = await agencies.fetchRegistry(agency, datasource.fetchSource);
+    for (const [stopId, stop] of Object.entries(registry.stops)) {
+      stationCoords[stopId] = { lat: stop.lat, lon: stop.lon, name: stop.name, agency: agency.id };
+      if (stop.complex) gtfsStopToComplex[stopId] = stop.complex;
     }
-    console.log(`[stations] ${Object.keys(stationCoords).length} coords, ${Object.keys(gtfsStopToComplex).length} stop-to-complex mappings`);
+    for (const [id, c] of Object.entries(registry.complexes)) complexRegistry[id] = { id, agency: agency.id, ...c };
+    registryLoaded.add(agency.id);
+    console.log(`[stations] ${agency.id}: ${Object.keys(registry.stops).length} stops, ${Object.keys(registry.complexes).length} complexes`);
+    health.success(agency.stationSource, { latencyMs: Date.now() - started, entities: registry.entities });
   } catch (error) {
-    console.error('[stations] error:', error.message);
+    console.error(`[stations] ${agency.id} error:`, error.message);
+    health.failure(agency.stationSource, error, Date.now() - started);
+    registryFailedAt[agency.id] = Date.now();
   }
 }
 
-async function fetchFeed(url) {
+// source names the recording in record/replay mode (lib/datasource.js) and the feed's health entry:
+// a failed fetch or decode counts against it. { buffer, feed }, or null on failure
+async function fetchFeedMessage(source, url) {
+  const started = Date.now();
   try {
-    const response = await fetch(url);
-    if (!response.ok) throw new Error(`HTTP ${response.status}`);
-    const buffer = await response.arrayBuffer();
-    return GtfsRealtimeBindings.transit_realtime.FeedMessage.decode(new Uint8Array(buffer));
+    const buffer = await datasource.fetchSource(source, url, 'binary');
+    const feed = GtfsRealtimeBindings.transit_realtime.FeedMessage.decode(buffer);
+    const headerTs = Number(feed.header?.timestamp?.low || feed.header?.timestamp || 0);
+    health.success(source, { latencyMs: Date.now() - started, entities: feed.entity.length, feedTimestamp: headerTs ? headerTs * 1000 : null });
+    return { buffer, feed };
   } catch (error) {
-    console.error(`[feed] ${url}: ${error.message}`);
+    console.error(`[feed] ${source}: ${error.message}`);
+    health.failure(source, error, Date.now() - started);
     return null;
   }
 }
 
+async function fetchFeed(source, url) {
+  return (await fetchFeedMessage(source, url))?.feed || null;
+}
+
+// State of each live input: every agency's train feeds read as one "trains" input (likewise alerts
+// and station registries). 'down' when no train feed has data (presence falls back to the baseline),
+// 'degraded' when any input is stale or missing
+function sourceHealth() {
+  const inputs = {
+    trains: health.combined(FEED_SOURCES),
+    alerts: health.combined(ALERT_SOURCES),
+    weather: health.state('weather'),
+    stations: health.combined(STATION_SOURCES),
+    bikeshare: health.state('gbfs-status')
+  };
+  const degraded = Object.values(inputs).some(st => st === 'stale' || st === 'missing');
+  return {
+    status: inputs.trains === 'missing' ? 'down' : degraded ? 'degraded' : 'ok',
+    ...inputs,
+    feeds: Object.fromEntries(FEED_SOURCES.map(id => [id, health.state(id)]))
+  };
+}
+
 function getStatusText(status) {
   switch (status) {
     case 0: return 'Incoming';
@@ -303,11 +511,14 @@ let feedCache = { data: null, ts: 0 };
 const FEED_CACHE_TTL = 25000; // 25 seconds
 
 async function fetchAllFeeds() {
-  const now = Date.now();
+  const now = datasource.now();
   if (feedCache.data && now - feedCache.ts < FEED_CACHE_TTL) {
     return feedCache.data;
   }
-  const feeds = await Promise.all(Object.values(FEED_URLS).map(url => fetchFeed(url)));
+  const feeds = await Promise.all(AGENCIES.flatMap(agency => agency.feeds.map(async f => {
+    const feed = await fetchFeed(f.source, f.url);
+    return feed && agencies.scopeFeed(agency, feed);
+  })));
   feedCache = { data: feeds, ts: now };
   return feeds;
 }
@@ -315,7 +526,7 @@ async function fetchAllFeeds() {
 // ---------------------------------------------------------------------------
 // /api/trains - GTFS-RT train positions + stop time updates
 // ---------------------------------------------------------------------------
-app.get('/api/trains', cached('trains', 30000, async () => {
+async function computeTrains() {
   await loadStations();
   const feeds = await fetchAllFeeds();
   const allTrains = feeds.flatMap(feed => extractTrains(feed));
@@ -327,20 +538,26 @@ app.get('/api/trains', cached('trains', 30000, async () => {
     if (!existing || train.source === 'gps') trainMap.set(baseId, train);
   }
   const trains = Array.from(trainMap.values());
-  return { timestamp: Date.now(), trainCount: trains.length, trains };
-}));
+  return { timestamp: datasource.now(), trainCount: trains.length, trains };
+}
 
+app.get('/api/trains', cached('trains', 30000, computeTrains));
+
+// Feeds come from fetchAllFeeds(): stop ids already scoped, feed.agency set
 function extractTrains(feed) {
   const trains = [];
   if (!feed || !feed.entity) return trains;
-  const now = Date.now() / 1000;
+  const now = datasource.now() / 1000;
+  const agency = agencyById[feed.agency];
+  const trainId = id => agency ? agencies.scoped(agency, id) : id;
 
   for (const entity of feed.entity) {
     if (entity.vehicle && entity.vehicle.position) {
       const v = entity.vehicle;
       const routeId = v.trip?.routeId || 'Unknown';
       trains.push({
-        id: entity.id,
+        id: trainId(entity.id),
+        agency: feed.agency,
         routeId,
         latitude: v.position.latitude,
         longitude: v.position.longitude,
@@ -349,7 +566,7 @@ function extractTrains(feed) {
         stopId: v.stopId,
         status: getStatusText(v.currentStatus),
         timestamp: v.timestamp?.low || v.timestamp || now,
-        color: LINE_COLORS[routeId] || '#666666',
+        color: agencies.routeColor(agency, routeId),
         source: 'gps'
       });
     }
@@ -370,7 +587,8 @@ function extractTrains(feed) {
         if (coords) {
           const arrivalTime = nextStop.arrival?.time?.low || nextStop.arrival?.time;
           trains.push({
-            id: entity.id + '_trip',
+            id: trainId(entity.id) + '_trip',
+            agency: feed.agency,
             routeId,
             latitude: coords.lat,
             longitude: coords.lon,
@@ -378,7 +596,7 @@ function extractTrains(feed) {
             stopName: coords.name,
             arrivalTime,
             eta: arrivalTime ? Math.round((arrivalTime - now) / 60) : null,
-            color: LINE_COLORS[routeId] || '#666666',
+            color: agencies.routeColor(agency, routeId),
             source: 'schedule'
           });
         }
@@ -391,19 +609,81 @@ function extractTrains(feed) {
 // ---------------------------------------------------------------------------
 // /api/alerts - Service disruptions
 // ---------------------------------------------------------------------------
+// Active alerts first (by severity), then upcoming ones by start time. The registry has to be in
+// before the lifecycle tracker maps the alerts' stops to complexes
 async function computeAlerts() {
-  const feed = await fetchFeed(ALERTS_URL);
-  const alerts = extractAlerts(feed);
+  await loadStations();
+  const sources = AGENCIES.filter(a => a.alerts);
+  const messages = await Promise.all(sources.map(a => fetchFeedMessage(a.alertSource, a.alerts)));
+  const now = datasource.now();
+  const alerts = messages.flatMap((message, i) => message
+    ? extractAlerts(agencies.scopeFeed(sources[i], message.feed), serviceAlerts.decodeMercury(message.buffer), now / 1000)
+    : []);
   const severityOrder = { critical: 0, high: 1, medium: 2, low: 3 };
-  alerts.sort((a, b) => severityOrder[a.severity] - severityOrder[b.severity]);
-  return { timestamp: Date.now(), alertCount: alerts.length, alerts };
+  alerts.sort((a, b) => (b.isActiveNow - a.isActiveNow)
+    || (a.isActiveNow ? severityOrder[a.severity] - severityOrder[b.severity] : a.nextActivePeriod.start - b.nextActivePeriod.start));
+  const activeCount = alerts.filter(a => a.isActiveNow).length;
+  const data = { timestamp: now, alertCount: alerts.length, activeCount, alerts };
+
+  // A failed fetch says nothing about which of its alerts ended (records from before agencies
+  // existed are the primary agency's)
+  const answered = new Set(sources.filter((a, i) => messages[i]).map(a => a.id));
+  if (answered.size) {
+    try {
+      await alertHistory.track(data, complexOfStop, { answered: agency => answered.has(agency ?? PRIMARY?.id) });
+      for (const alert of alerts) Object.assign(alert, alertHistory.lifecycle(alert.id));
+    } catch (err) {
+      console.error('[alert-history] track failed:', err.message);
+    }
+  }
+  return data;
 }
 
-app.get('/api/alerts', cached('alerts', 60000, computeAlerts));
+// Station complexes an alert's stops belong to
+function alertComplexes(alert) {
+  const ids = new Set((alert.affectedStops || []).map(complexOfStop).filter(Boolean));
+  return [...ids].filter(id => ridershipModel?.stations?.[id] || complexRegistry[id]).map(id => {
+    const { name, lat, lon } = ridershipModel?.stations?.[id] || complexRegistry[id];
+    return { id, name, lat, lon };
+  });
+}
 
-function extractAlerts(feed) {
+app.get(exporter.paths('/api/alerts'), async (req, res, next) => {
+  const format = exportFormat(req, res);
+  if (!format) return;
+  res.vary('Accept');
+  if (format === 'json') return cached('alerts', 60000, computeAlerts)(req, res, next);
+  await loadStations();
+  sendExport(res, format, 'alerts', 60000, computeAlerts, data => exporter.alertsTable(data, alertComplexes, exportModels()));
+});
+
+// Alert lifecycles over a window (default: last 7 days), optionally for one route or station complex
+app.get('/api/alerts/history', rateLimit('alert-history', '60/1m'), async (req, res) => {
+  const { route, station } = req.query;
+  const now = datasource.now();
+  const to = parseTime(req.query.to, now);
+  const from = parseTime(req.query.from, to - 7 * 86400000);
+  if (Number.isNaN(from) || Number.isNaN(to) || from > to) {
+    return res.status(400).json({ error: 'Invalid from/to range' });
+  }
+  if (station && !ridershipModel?.stations?.[station]) {
+    return res.status(404).json({ error: 'Unknown station' });
+  }
+  try {
+    await fromCache('alerts', 60000, computeAlerts);
+    res.setHeader('Cache-Control', 'public, max-age=60');
+    res.json(await alertHistory.query({ from, to, now, route, complex: station }));
+  } catch (err) {
+    console.error('[alert-history] query error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// mercury: entity id -> MTA Mercury fields (lib/alerts.js). Alerts whose periods have all ended are dropped.
+function extractAlerts(feed, mercury, nowSec) {
   const alerts = [];
   if (!feed || !feed.entity) return alerts;
+  const agency = agencyById[feed.agency];
 
   for (const entity of feed.entity) {
     if (!entity.alert) continue;
@@ -420,18 +700,31 @@ function extractAlerts(feed) {
 
     const headerText = a.headerText?.translation?.[0]?.text || a.headerText?.text || '';
     const descriptionText = a.descriptionText?.translation?.[0]?.text || a.descriptionText?.text || '';
-    const activePeriod = a.activePeriod?.[0];
+    const activePeriods = serviceAlerts.parsePeriods(a.activePeriod);
+    const next = serviceAlerts.nextActivePeriod(activePeriods, nowSec);
+    if (!next) continue;
+    const cause = ALERT_CAUSE[a.cause] || 'Unknown';
+    const m = mercury[entity.id];
 
     alerts.push({
-      id: entity.id,
+      id: agency ? agencies.scoped(agency, entity.id) : entity.id,
+      agency: feed.agency || null,
       header: headerText,
       description: descriptionText,
-      cause: ALERT_CAUSE[a.cause] || 'Unknown',
+      cause,
       effect: ALERT_EFFECT[a.effect] || 'Unknown',
       affectedRoutes,
       affectedStops,
-      startTime: activePeriod?.start?.low || activePeriod?.start,
-      endTime: activePeriod?.end?.low || activePeriod?.end,
+      activePeriods,
+      isActiveNow: serviceAlerts.isActiveAt(activePeriods, nowSec),
+      nextActivePeriod: next,
+      planned: serviceAlerts.isPlanned(entity.id, m, cause),
+      alertType: m?.alertType || null,
+      activePeriodText: m?.activePeriodText || null,
+      createdAt: m?.createdAt || null,
+      updatedAt: m?.updatedAt || null,
+      startTime: next.start,
+      endTime: next.end,
       severity: getSeverity(a.effect, affectedRoutes.length)
     });
   }
@@ -441,32 +734,17 @@ function extractAlerts(feed) {
 // ---------------------------------------------------------------------------
 // /api/presence - The core endpoint
 // ---------------------------------------------------------------------------
-async function computePresence() {
-  if (!ridershipModel || !ridershipModel.stations) {
-    return { timestamp: Date.now(), hour: new Date().getHours(), dayOfWeek: 'Mon', totalPresence: 0, stations: [] };
-  }
 
-  const now = new Date();
-  const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
-  const hour = now.getHours();
-  const dayOfWeek = DAY_NAMES[now.getDay()];
-
-  // Fetch weather for ridership modulation
-  const weather = await fetchWeather();
-  // Rain reduces street-level ridership estimates by 20%, snow by 30%, extreme temps by 15%
-  let weatherModifier = 1.0;
-  if (weather) {
-    if (weather.isSnow) weatherModifier = 0.70;
-    else if (weather.isRain) weatherModifier = 0.80;
-    else if (weather.isExtreme) weatherModifier = 0.85;
-  }
-
-  // Get current train activity per station complex for modulation
-  let trainsByComplex = {};
+// Live train arrivals per station complex within ±5 min of now (drives ridership modulation),
+// plus per-direction upcoming arrivals for headway and wait computation
+async function collectTrainActivity() {
+  const trainsByComplex = {};
+  let arrivalsByComplex = {};
   try {
     await loadStations();
     const feeds = await fetchAllFeeds();
-    const nowSec = Date.now() / 1000;
+    const nowSec = datasource.now() / 1000;
+    arrivalsByComplex = headways.collectArrivals(feeds, nowSec, complexOfStop);
 
     for (const feed of feeds) {
       if (!feed || !feed.entity) continue;
@@ -477,9 +755,7 @@ async function computePresence() {
             if (arrTime > nowSec - 300 && arrTime < nowSec + 300) {
               const rawStopId = stu.stopId;
               if (!rawStopId) continue;
-              // Strip N/S suffix to get base stop ID, then map to complex
-              const baseStop = rawStopId.replace(/[NS]$/, '');
-              const complexId = gtfsStopToComplex[baseStop] || gtfsStopToComplex[rawStopId];
+              const complexId = complexOfStop(rawStopId);
               if (complexId) {
                 trainsByComplex[complexId] = (trainsByComplex[complexId] || 0) + 1;
               }
@@ -491,27 +767,21 @@ async function computePresence() {
   } catch (err) {
     console.error('[presence] train modulation error:', err.message);
   }
+  return { trainsByComplex, arrivalsByComplex };
+}
 
-  const matchedCount = Object.keys(trainsByComplex).length;
-  const totalTrains = Object.values(trainsByComplex).reduce((a, b) => a + b, 0);
-  if (matchedCount > 0) {
-    console.log(`[presence] train modulation: ${totalTrains} train arrivals across ${matchedCount} station complexes`);
-  }
-
-  const isNight = hour >= 22 || hour < 6;
-
-  // Build disruption map from active alerts
-  let disruptedComplexes = {};
+// Station complex -> worst disruption effect + affected routes, from alerts in force at atSec.
+// plannedOnly keeps just planned work (the forecast can't know how long a live incident lasts).
+async function buildDisruptionMap(atSec, { plannedOnly = false } = {}) {
+  const disruptedComplexes = {};
   try {
-    const alertData = cache['alerts'] && (Date.now() - cache['alerts'].ts < 60000)
-      ? cache['alerts'].data
-      : await computeAlerts();
+    const alertData = await fromCache('alerts', 60000, computeAlerts);
     for (const alert of (alertData.alerts || [])) {
-      if (!alert.affectedStops?.length) continue;
+      if (!alert.affectedStops?.length || !serviceAlerts.isActiveAt(alert.activePeriods, atSec)) continue;
+      if (plannedOnly && !alert.planned) continue;
       const effect = alert.effect; // 'No Service', 'Significant Delays', etc.
       for (const stopId of alert.affectedStops) {
-        const baseStop = stopId.replace(/[NS]$/, '');
-        const complexId = gtfsStopToComplex[baseStop] || gtfsStopToComplex[stopId];
+        const complexId = complexOfStop(stopId);
         if (!complexId) continue;
         if (!disruptedComplexes[complexId]) {
           disruptedComplexes[complexId] = { effect, routes: [] };
@@ -531,36 +801,108 @@ async function computePresence() {
   } catch (err) {
     console.error('[presence] alert cross-reference error:', err.message);
   }
+  return disruptedComplexes;
+}
+
+// Baseline scaled by live train frequency against the expected count, then by weather
+function modulateRidership(baseline, trainCount, scheduledTrains, weatherModifier) {
+  let ridership = baseline;
+  let expectedTrains = null;
+  let trainModulation = 1;
+  if (trainCount > 0 && baseline > 0) {
+    // Without a schedule, guess from station size: busy stations (baseline > 2000) expect more trains
+    expectedTrains = scheduledTrains > 0 ? scheduledTrains :
+                     baseline > 5000 ? 12 :
+                     baseline > 2000 ? 8 :
+                     baseline > 500 ? 5 : 3;
+    trainModulation = Math.min(0.7 + 0.3 * (trainCount / expectedTrains), 2.0);
+    ridership = Math.round(baseline * trainModulation);
+  }
+  ridership = Math.round(ridership * weatherModifier);
+  return { ridership, expectedTrains, trainModulation };
+}
+
+// computePresence() estimates right now from live trains, weather and alerts.
+// computePresence({ dayOfWeek, hour }) answers any weekday/hour from the models alone,
+// through the same pipeline, so explore mode and the live view can never disagree.
+// The forecast passes its own weather and disruptions for the slot (opts.weather, opts.disruptions),
+// and opts.at, the time event crowds are placed at (explore slots have no date, so no events).
+// opts.date puts a weekday/hour on a calendar day, so a holiday gets its own baseline profile.
+async function computePresence(opts = {}) {
+  const now = datasource.now();
+  const local = NycTime.parts(now);
+  const policy = opts.policy || policies[DEFAULT_POLICY_ID];
+  const live = opts.dayOfWeek === undefined && opts.hour === undefined;
+  const policyInfo = { id: policy.id, version: policy.version };
+  const hour = opts.hour ?? local.hour;
+  const dayOfWeek = opts.dayOfWeek ?? local.dayOfWeek;
+  const isWeekend = dayOfWeek === 'Sat' || dayOfWeek === 'Sun';
+  const mode = live ? 'live' : opts.mode || 'explore';
+  const date = live ? now : opts.date ?? null;
+  const dayProfile = holidays.dayProfile(dayOfWeek, date, !!ridershipModel?.metadata?.holidayProfile);
+
+  if (!ridershipModel || !ridershipModel.stations) {
+    return { timestamp: datasource.now(), mode, policy: policyInfo, hour, dayOfWeek, tz: NycTime.TIME_ZONE, dayProfile, totalPresence: 0, stations: [] };
+  }
+
+  // Fetch weather for ridership modulation (live, or the forecast's; there is none for an arbitrary hour)
+  const weather = live ? await fetchWeather() : opts.weather || null;
+  // Weather scales presence per station: fitted multipliers by borough and hour, else the policy's
+  let weatherWeight = 0, weatherWeighted = 0;
+  const weatherSources = new Set();
+
+  // Get current train activity per station complex for modulation
+  const { trainsByComplex, arrivalsByComplex } = live
+    ? await fromCache('trainActivity', 30000, collectTrainActivity)
+    : { trainsByComplex: {}, arrivalsByComplex: {} };
+  const nowSec = datasource.now() / 1000;
+
+  // Stadium, arena and parade crowds in their ingress/egress windows
+  const eventTime = live ? now : opts.at ?? null;
+  const crowds = eventTime !== null ? await events.boostsAt(eventTime) : { byComplex: {}, active: [] };
+
+  // Bike dock turnover near each complex (live only: there's no history to project it from)
+  const street = live ? await bikeshare.byComplex() : {};
+
+  const matchedCount = Object.keys(trainsByComplex).length;
+  const totalTrains = Object.values(trainsByComplex).reduce((a, b) => a + b, 0);
+  if (matchedCount > 0) {
+    console.log(`[presence] train modulation: ${totalTrains} train arrivals across ${matchedCount} station complexes`);
+  }
+
+  // Build disruption map from active alerts
+  const disruptedComplexes = live ? await buildDisruptionMap(now / 1000) : opts.disruptions || {};
 
   const stationList = [];
   let totalPresence = 0;
   let anomalyCount = 0;
+  let abnormalGapCount = 0;
 
   for (const [id, station] of Object.entries(ridershipModel.stations)) {
-    const hourlyData = station.hourly[dayOfWeek];
+    // Stations never seen on a holiday use Sunday's profile
+    const baselineDay = holidays.stationProfile(station, dayProfile.profile);
+    const hourlyData = station.hourly[baselineDay];
     if (!hourlyData) continue;
 
     const baseline = hourlyData[hour] || 0;
 
-    // Modulate by actual train frequency
-    let ridership = baseline;
+    // Modulate by actual train frequency and weather
     const trainCount = trainsByComplex[id] || 0;
-    if (trainCount > 0 && baseline > 0) {
-      // Expected trains: use 4 as default, but scale by station size
-      // Busy stations (baseline > 2000) expect more trains
-      const expectedTrains = baseline > 5000 ? 12 :
-                             baseline > 2000 ? 8 :
-                             baseline > 500 ? 5 : 3;
-      const modulation = 0.7 + 0.3 * (trainCount / expectedTrains);
-      ridership = Math.round(baseline * Math.min(modulation, 2.0));
+    // Scheduled arrivals in the same ±5 min window, from GTFS static (null when not built)
+    const scheduledTrains = gtfsModel?.schedule?.[id]?.[dayOfWeek]?.[hour] ?? null;
+    const weatherApplied = weatherEffect(policy, weather, id, hour);
+    const modulated = modulateRidership(baseline, trainCount, scheduledTrains, weatherApplied?.multiplier ?? 1);
+    const crowd = crowds.byComplex[id];
+    const ridership = modulated.ridership + (crowd?.riders || 0);
+    if (weatherApplied) {
+      weatherSources.add(weatherApplied.source);
+      weatherWeight += baseline;
+      weatherWeighted += baseline * weatherApplied.multiplier;
     }
 
-    // Apply weather modifier (rain/snow/extreme reduces street presence)
-    ridership = Math.round(ridership * weatherModifier);
-
     const anomalyScore = baseline > 0 ? (ridership - baseline) / baseline : 0;
     // Z-score anomaly detection: use stddev from model if available, else fall back to 30% threshold
-    const stddevData = station.stddev?.[dayOfWeek];
+    const stddevData = station.stddev?.[baselineDay];
     const stddev = stddevData?.[hour] || 0;
     let isAnomaly;
     if (stddev > 0 && baseline > 50) {
@@ -572,29 +914,38 @@ async function computePresence() {
       isAnomaly = Math.abs(anomalyScore) > 0.3 && baseline > 50;
     }
     if (isAnomaly) anomalyCount++;
+    // A surge next to a venue letting in or out is most likely that crowd
+    const anomalyCause = isAnomaly && ridership > baseline && crowd ? crowd.events[0].cause : null;
 
     // Crime risk for this station — prefer hourly granularity, fall back to time window
     const crimeData = crimeModel?.stationRisk?.[id];
-    const crimeRisk = crimeData?.hourlyRisk?.[hour] ?? crimeData?.[getTimeWindow(hour) + 'Risk'] ?? 0;
+    const crimeRisk = getCrimeRisk(crimeData, hour, isWeekend);
     const crimeTotal = crimeData?.total || 0;
     const topCrimeType = crimeData?.topCrimeType || null;
-    let safetyLevel = computeSafetyLevel(ridership, crimeRisk, hour);
 
-    // Alert-aware risk elevation
+    // Platform waits: live next arrivals when the feeds cover this complex, else half the scheduled headway
+    const directional = gtfsModel?.directionalArrivals;
+    const liveWait = arrivalsByComplex[id]
+      ? headways.liveWaits(arrivalsByComplex[id], nowSec, directional, id, dayOfWeek, hour)
+      : null;
+    const wait = liveWait || headways.scheduledWaits(directional, id, dayOfWeek, hour);
+    const expectedWait = wait?.expectedWait ?? null;
+    const waitSource = liveWait ? 'live' : wait ? 'schedule' : null;
+    if (liveWait && Object.values(liveWait.waits).some(w => w.isAbnormalGap)) abnormalGapCount++;
+
+    // People at the curb count as eyes too: the policy weighs street activity into the presence score
+    const streetActivity = street[id]?.turnover ?? null;
+    const streetBoost = SafetyPolicy.streetBoost(policy, streetActivity, hour);
+    const presenceScore = ridership + streetBoost;
+
     const disruption = disruptedComplexes[id];
-    if (disruption) {
-      if (disruption.effect === 'No Service') {
-        // No Service: escalate one tier
-        if (safetyLevel === 'safe') safetyLevel = 'caution';
-        else if (safetyLevel === 'caution') safetyLevel = 'avoid';
-      } else if (disruption.effect === 'Significant Delays' && isNight) {
-        // Significant Delays at night only: safe → caution
-        if (safetyLevel === 'safe') safetyLevel = 'caution';
-      }
-    }
+    // Policy thresholds, then alert-aware escalation
+    const baseLevel = SafetyPolicy.levelOf(policy, { ridership: presenceScore, crimeRisk, expectedWait }, hour);
+    const safetyLevel = SafetyPolicy.escalate(policy, baseLevel, disruption?.effect, hour);
 
     stationList.push({
       id,
+      agency: station.agency,
       name: station.name,
       lat: station.lat,
       lon: station.lon,
@@ -602,14 +953,25 @@ async function computePresence() {
       baseline,
       anomalyScore: Math.round(anomalyScore * 1000) / 1000,
       isAnomaly,
+      anomalyCause,
+      eventBoost: crowd?.riders || 0,
+      events: crowd?.events || null,
       trainCount,
+      scheduledTrains,
       crimeRisk: Math.round(crimeRisk * 1000) / 1000,
       crimeTotal,
       topCrimeType,
       safetyLevel,
+      expectedWait,
+      waitSource,
+      waits: wait?.waits || null,
+      weatherEffect: weatherApplied,
       hasDisruption: !!disruption,
       disruptionEffect: disruption?.effect || null,
-      disruptionRoutes: disruption?.routes || null
+      disruptionRoutes: disruption?.routes || null,
+      streetActivity,
+      streetBoost,
+      presenceScore
     });
 
     totalPresence += ridership;
@@ -617,25 +979,808 @@ async function computePresence() {
 
   stationList.sort((a, b) => b.ridership - a.ridership);
 
-  const isNightMode = isNight;
+  const isNightMode = hour >= 22 || hour < 6;
   const avoidCount = stationList.filter(s => s.safetyLevel === 'avoid').length;
   const cautionCount = stationList.filter(s => s.safetyLevel === 'caution').length;
 
   return {
-    timestamp: Date.now(),
+    timestamp: datasource.now(),
+    mode,
+    policy: policyInfo,
     hour,
     dayOfWeek,
+    // hour and dayOfWeek are local to this zone
+    tz: NycTime.TIME_ZONE,
+    // Which baseline was used: the weekday's, or Sat / Sun / Hol on a holiday
+    dayProfile,
     totalPresence,
     anomalyCount,
+    abnormalGapCount,
     isNightMode,
     weather,
+    events: crowds.active,
+    // Citywide summary: baseline-weighted multiplier, and whether fitted or policy values applied
+    weatherEffect: weather ? {
+      source: weatherSources.size > 1 ? 'mixed' : [...weatherSources][0] || 'policy',
+      multiplier: weatherWeight > 0 ? Math.round(weatherWeighted / weatherWeight * 1000) / 1000 : 1
+    } : null,
     trainComplexCount: Object.keys(trainsByComplex).length,
+    // Which live inputs this estimate had (explore and forecast use none)
+    sources: live ? sourceHealth() : null,
     safetyStats: { avoid: avoidCount, caution: cautionCount, safe: stationList.length - avoidCount - cautionCount },
     stations: stationList
   };
 }
 
-app.get('/api/presence', cached('presence', 30000, computePresence));
+// Live presence results are also recorded to the snapshot history and checked against station
+// subscriptions (both non-blocking). Replays are not recorded: they would write past timestamps
+// into the live store.
+async function computeAndRecordPresence() {
+  const presence = await computePresence();
+  subscriptions.evaluate(presence).catch(err => console.error('[subscriptions] evaluate failed:', err.message));
+  if (datasource.mode === 'replay') return presence;
+  history.record(presence).catch(err => console.error('[history] record failed:', err.message));
+  return presence;
+}
+
+// Epoch ms or ISO 8601 (New York time without an offset); NaN when present but unparseable
+function parseTime(value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  const ts = /^\d+$/.test(value) ? parseInt(value) : NycTime.parse(value);
+  return Number.isFinite(ts) ? ts : NaN;
+}
+
+// ?at=<timestamp> or ?day=<Sun..Sat|0-6>&hour=<0-23>. Missing day/hour default to now.
+// Returns null for a live request, { error } for bad input, else computePresence() options.
+function parsePresenceQuery(query) {
+  const { at, day, hour } = query;
+  if (at === undefined && day === undefined && hour === undefined) return null;
+
+  if (at !== undefined) {
+    const ts = parseTime(at);
+    if (!Number.isFinite(ts)) return { error: 'Invalid at timestamp' };
+    const local = NycTime.parts(ts);
+    return { dayOfWeek: local.dayOfWeek, hour: local.hour, date: ts };
+  }
+
+  const now = NycTime.parts(datasource.now());
+  let dayOfWeek = now.dayOfWeek;
+  if (day !== undefined) {
+    dayOfWeek = /^[0-6]$/.test(day) ? DAY_NAMES[parseInt(day)]
+      : DAY_NAMES.find(d => d.toLowerCase() === String(day).slice(0, 3).toLowerCase());
+    if (!dayOfWeek) return { error: 'Invalid day' };
+  }
+  let h = now.hour;
+  if (hour !== undefined) {
+    if (!/^\d{1,2}$/.test(hour) || parseInt(hour) > 23) return { error: 'Invalid hour' };
+    h = parseInt(hour);
+  }
+  return { dayOfWeek, hour: h };
+}
+
+// Cache entry for presence under a policy: live (the default policy's live view is also
+// recorded to history) or an explore slot, which depends only on (policy, day, hour) and, for
+// ?at=, the calendar day
+function presenceSource(slot, policy) {
+  if (!slot) {
+    return policy.id === DEFAULT_POLICY_ID
+      ? ['presence', 30000, computeAndRecordPresence]
+      : [`presence:${policy.id}`, 30000, () => computePresence({ policy })];
+  }
+  const { dayOfWeek, hour, date } = slot;
+  const day = date != null ? `:${NycTime.parts(date).date}` : '';
+  return [`presence:${policy.id}:${dayOfWeek}:${hour}${day}`, 5 * 60 * 1000, () => computePresence({ dayOfWeek, hour, date, policy })];
+}
+
+app.get(exporter.paths('/api/presence'), (req, res, next) => {
+  const format = exportFormat(req, res);
+  if (!format) return;
+  const opts = parsePresenceQuery(req.query);
+  if (opts?.error) return res.status(400).json({ error: opts.error });
+  const policy = resolvePolicy(req.query.policy);
+  if (!policy) return res.status(400).json({ error: 'Unknown policy' });
+  res.vary('Accept');
+  if (format === 'json') return cached(...presenceSource(opts, policy))(req, res, next);
+  sendExport(res, format, ...presenceSource(opts, policy), presence => exporter.presenceTable(presence, exportModels()));
+});
+
+app.get('/api/policies', (req, res) => {
+  res.setHeader('Cache-Control', 'public, max-age=300');
+  res.json({
+    default: DEFAULT_POLICY_ID,
+    policies: Object.values(policies).map(({ id, version, name, description }) => ({ id, version, name, description }))
+  });
+});
+
+// ---------------------------------------------------------------------------
+// /api/forecast - Hour-by-hour presence for the next 1-24 hours
+// ---------------------------------------------------------------------------
+// Each slot is computePresence() for that weekday/hour with the forecast weather and the planned
+// work scheduled for it. Uncertainty is a one-sigma ridership band (the model's hourly stddev,
+// drift that grows with the horizon, and a swing for rain that may or may not come), and the
+// safety levels the policy gives across that band.
+const FORECAST_MAX_HOURS = 24;
+const FORECAST_TTL_MS = 10 * 60 * 1000;
+const HORIZON_DRIFT = 0.02;              // extra relative spread per hour ahead
+const FORECAST_STEP_MS = 3 * 3600000;    // OpenWeatherMap forecast entries are 3-hourly
+
+// Nearest forecast entry to ts; null past the end of the forecast
+function forecastWeatherAt(entries, ts) {
+  let best = null;
+  for (const e of entries || []) {
+    const gap = Math.abs(e.ts - ts);
+    if (gap <= FORECAST_STEP_MS / 2 && (!best || gap < Math.abs(best.ts - ts))) best = e;
+  }
+  return best;
+}
+
+// Relative ridership swing if the rain call is wrong, weighted by how unsure it is (pop near 0.5)
+function rainSwing(policy, weather, stationId, hour) {
+  if (weather?.pop == null) return 0;
+  const doubt = 1 - Math.abs(2 * weather.pop - 1);
+  const modifier = weatherEffect(policy, weather, stationId, hour).multiplier;
+  const other = weatherEffect(policy, { ...weather, isRain: !weather.isRain }, stationId, hour).multiplier;
+  return modifier > 0 ? doubt * Math.abs(other / modifier - 1) : 0;
+}
+
+async function plannedWorkAt(atSec) {
+  try {
+    const alertData = await fromCache('alerts', 60000, computeAlerts);
+    return alertData.alerts
+      .filter(a => a.planned && serviceAlerts.isActiveAt(a.activePeriods, atSec))
+      .map(a => ({ id: a.id, header: a.header, effect: a.effect, routes: a.affectedRoutes }));
+  } catch (err) {
+    console.error('[forecast] planned work unavailable:', err.message);
+    return [];
+  }
+}
+
+async function computeSlot(ts, horizon, policy, forecast) {
+  const { dayOfWeek, hour } = NycTime.parts(ts);
+  const weather = forecastWeatherAt(forecast.entries, ts);
+  const [disruptions, plannedWork] = await Promise.all([
+    buildDisruptionMap(ts / 1000, { plannedOnly: true }),
+    plannedWorkAt(ts / 1000)
+  ]);
+  // Events are placed at the middle of the slot
+  const presence = await computePresence({ dayOfWeek, hour, date: ts, policy, weather, disruptions, at: ts + 1800000, mode: 'forecast' });
+
+  const rank = level => policy.levels.indexOf(level);
+  const levelAt = (s, ridership) => SafetyPolicy.escalate(policy,
+    SafetyPolicy.levelOf(policy, { ridership, crimeRisk: s.crimeRisk, expectedWait: s.expectedWait }, hour),
+    s.disruptionEffect, hour);
+
+  let low = 0, high = 0, settled = 0;
+  const stations = presence.stations.map(s => {
+    // The model's stddev is taken across raw dataset rows and can exceed the mean, so it is capped
+    // at half the baseline; without one, use the 30% band anomaly detection falls back to. It comes
+    // from the same profile as the baseline (Sunday's on a holiday the station has no profile for)
+    const model = ridershipModel.stations[s.id];
+    const modelStddev = model?.stddev?.[holidays.stationProfile(model, presence.dayProfile.profile)]?.[hour];
+    const stddev = modelStddev ? Math.min(modelStddev, s.baseline * 0.5) : s.baseline * 0.3;
+    const swing = rainSwing(policy, weather, s.id, hour);
+    const spread = Math.sqrt(stddev ** 2 + (s.ridership * HORIZON_DRIFT * horizon) ** 2) + s.ridership * swing;
+    const range = [Math.max(0, Math.round(s.ridership - spread)), Math.round(s.ridership + spread)];
+    const levels = [levelAt(s, range[0]), s.safetyLevel, levelAt(s, range[1])].sort((a, b) => rank(a) - rank(b));
+    const safetyRange = [levels[0], levels[2]];
+    low += range[0];
+    high += range[1];
+    if (safetyRange[0] === safetyRange[1]) settled++;
+    return {
+      id: s.id,
+      agency: s.agency,
+      ridership: s.ridership,
+      ridershipRange: range,
+      safetyLevel: s.safetyLevel,
+      safetyRange,
+      hasDisruption: s.hasDisruption,
+      disruptionEffect: s.disruptionEffect,
+      events: s.events
+    };
+  });
+
+  return {
+    ts,
+    dayOfWeek,
+    dayProfile: presence.dayProfile,
+    hour,
+    horizon,
+    isNightMode: presence.isNightMode,
+    weather,
+    weatherEffect: presence.weatherEffect,
+    // Share of stations whose safety level holds across the whole band
+    confidence: stations.length ? Math.round(settled / stations.length * 100) / 100 : 0,
+    totalPresence: presence.totalPresence,
+    totalRange: [low, high],
+    safetyStats: presence.safetyStats,
+    plannedWork,
+    events: presence.events,
+    stations
+  };
+}
+
+async function computeForecast(hours, policy) {
+  const now = datasource.now();
+  const start = (Math.floor(now / 3600000) + 1) * 3600000;
+  const forecast = await fetchWeatherForecast();
+
+  const slots = [];
+  for (let i = 0; i < hours; i++) {
+    slots.push(await computeSlot(start + i * 3600000, i + 1, policy, forecast));
+  }
+  return {
+    timestamp: now,
+    mode: 'forecast',
+    policy: { id: policy.id, version: policy.version },
+    tz: NycTime.TIME_ZONE,
+    hours,
+    weatherSource: forecast.source,
+    slots
+  };
+}
+
+app.get('/api/forecast', rateLimit('forecast', '30/1m'), (req, res, next) => {
+  const hours = req.query.hours === undefined ? 12 : Number(req.query.hours);
+  if (!Number.isInteger(hours) || hours < 1 || hours > FORECAST_MAX_HOURS) {
+    return res.status(400).json({ error: `hours must be 1-${FORECAST_MAX_HOURS}` });
+  }
+  const policy = resolvePolicy(req.query.policy);
+  if (!policy) return res.status(400).json({ error: 'Unknown policy' });
+  cached(`forecast:${policy.id}:${hours}`, FORECAST_TTL_MS, () => computeForecast(hours, policy))(req, res, next);
+});
+
+// ---------------------------------------------------------------------------
+// /api/stream - Server-Sent Events: presence diffs, trains, alerts
+// ---------------------------------------------------------------------------
+// One schedule computes for every connected client; it runs only while someone is listening.
+// Each source still goes through the shared cache, so polling clients and the stream agree.
+const STREAM_INTERVAL_MS = (parseInt(process.env.STREAM_INTERVAL_SECONDS) || 15) * 1000;
+const emptyStreamState = () => ({ presence: {}, trains: null, alerts: null, alertsKey: null });
+let streamState = emptyStreamState();
+let streamTimer = null;
+let streamTicking = false;
+
+// The fields a map marker depends on
+const stationKey = s => `${s.ridership}|${s.safetyLevel}|${s.isAnomaly}`;
+const alertsKey = data => data.alerts.map(a => `${a.id}|${a.effect}|${a.header}|${a.isActiveNow}`).join('\n');
+
+// Summary fields plus only the stations whose ridership, safety level or anomaly flag changed
+function presenceDiff(prev, next) {
+  const { stations, ...summary } = next;
+  const before = new Map(prev.stations.map(s => [s.id, stationKey(s)]));
+  const ids = new Set(stations.map(s => s.id));
+  return {
+    ...summary,
+    stations: stations.filter(s => before.get(s.id) !== stationKey(s)),
+    removed: prev.stations.filter(s => !ids.has(s.id)).map(s => s.id)
+  };
+}
+
+const streamPresence = policy => fromCache(...presenceSource(null, policy));
+const streamTrains = () => fromCache('trains', 30000, computeTrains);
+const streamAlerts = () => fromCache('alerts', 60000, computeAlerts);
+
+async function streamTick() {
+  if (!stream.clientCount()) {
+    clearInterval(streamTimer);
+    streamTimer = null;
+    streamState = emptyStreamState(); // the next client starts from fresh data
+    return;
+  }
+  if (streamTicking) return;
+  streamTicking = true;
+  try {
+    const channels = stream.activeChannels();
+    for (const channel of channels) {
+      if (!channel.startsWith('presence:')) continue;
+      const policy = resolvePolicy(channel.slice('presence:'.length));
+      if (!policy) continue;
+      const presence = await streamPresence(policy);
+      const prev = streamState.presence[policy.id];
+      if (prev === presence) continue;
+      streamState.presence[policy.id] = presence;
+      if (prev) stream.publish(channel, 'presence-diff', presenceDiff(prev, presence));
+    }
+
+    const trains = await streamTrains();
+    if (trains !== streamState.trains) {
+      streamState.trains = trains;
+      stream.publish('trains', 'trains', trains);
+    }
+
+    const alerts = await streamAlerts();
+    const key = alertsKey(alerts);
+    if (key !== streamState.alertsKey) {
+      streamState.alerts = alerts;
+      streamState.alertsKey = key;
+      stream.publish('alerts', 'alerts', alerts);
+    }
+  } catch (err) {
+    console.error('[stream] tick failed:', err.message);
+  } finally {
+    streamTicking = false;
+  }
+}
+
+// Full state for a client that can't resume: the last published state, so later diffs apply cleanly
+async function streamSnapshot(channels) {
+  const events = [];
+  for (const channel of channels) {
+    if (channel.startsWith('presence:')) {
+      const policy = resolvePolicy(channel.slice('presence:'.length));
+      const presence = streamState.presence[policy.id] ||= await streamPresence(policy);
+      events.push({ event: 'presence', data: presence });
+    } else if (channel === 'trains') {
+      events.push({ event: 'trains', data: streamState.trains ||= await streamTrains() });
+    } else if (channel === 'alerts') {
+      if (!streamState.alerts) {
+        streamState.alerts = await streamAlerts();
+        streamState.alertsKey = alertsKey(streamState.alerts);
+      }
+      events.push({ event: 'alerts', data: streamState.alerts });
+    }
+  }
+  return events;
+}
+
+app.get('/api/stream', rateLimit('stream', '20/1m'), async (req, res) => {
+  const policy = resolvePolicy(req.query.policy);
+  if (!policy) return res.status(400).json({ error: 'Unknown policy' });
+  try {
+    const attached = await stream.attach(req, res, [`presence:${policy.id}`, 'trains', 'alerts'], streamSnapshot);
+    if (!attached) return res.status(503).json({ error: 'Too many stream clients' });
+  } catch (err) {
+    console.error('[stream] snapshot failed:', err.message);
+    return res.end();
+  }
+  if (!streamTimer) streamTimer = setInterval(streamTick, STREAM_INTERVAL_MS);
+});
+
+// ---------------------------------------------------------------------------
+// /api/grid - Street-level presence and safety per hexagonal cell (lib/grid.js)
+// ---------------------------------------------------------------------------
+// The grid spreads riders from each complex's entrances, or from its own coordinates and its stops
+// in the station registry until entrances.json is built; rebuilt when another registry arrives
+let gridRegistries = -1;
+
+async function ensureGrid() {
+  await loadStations();
+  if (gridRegistries === registryLoaded.size) return;
+  gridRegistries = registryLoaded.size;
+  const stops = {};
+  for (const [stopId, stop] of Object.entries(stationCoords)) {
+    const complex = complexOfStop(stopId);
+    if (complex) (stops[complex] ||= new Map()).set(`${stop.lat},${stop.lon}`, [stop.lat, stop.lon]);
+  }
+  const points = {};
+  for (const [id, s] of Object.entries(ridershipModel.stations)) {
+    points[id] = entrances?.complexes?.[id] || [[s.lat, s.lon], ...(stops[id]?.values() || [])];
+  }
+  grid.configure({ stations: ridershipModel.stations, entrances: points });
+}
+
+// "minLon,minLat,maxLon,maxLat" -> array, or null when malformed
+function parseBbox(value) {
+  const bbox = String(value || '').split(',').map(Number);
+  if (bbox.length !== 4 || !bbox.every(Number.isFinite)) return null;
+  const [minLon, minLat, maxLon, maxLat] = bbox;
+  if (minLon >= maxLon || minLat >= maxLat || minLon < -180 || maxLon > 180 || minLat < -90 || maxLat > 90) return null;
+  return bbox;
+}
+
+// ?res= 7 (about 1.2 km edges) to 10 (about 65 m); undefined selects the default, null means invalid
+function parseRes(value) {
+  if (value === undefined || value === '') return HexGrid.DEFAULT_RES;
+  return /^\d+$/.test(value) && HexGrid.isRes(+value) ? +value : null;
+}
+
+// res, time (like presence) and policy shared by the grid routes; { error } when any is invalid
+function parseGridQuery(query) {
+  const resolution = parseRes(query.res);
+  if (resolution === null) return { error: `res must be one of ${Object.keys(HexGrid.RESOLUTIONS).join(', ')}` };
+  const slot = parsePresenceQuery(query);
+  if (slot?.error) return slot;
+  const policy = resolvePolicy(query.policy);
+  if (!policy) return { error: 'Unknown policy' };
+  return { resolution, slot, policy };
+}
+
+app.get(exporter.paths('/api/grid'), rateLimit('grid', '60/1m'), async (req, res) => {
+  const format = exportFormat(req, res);
+  if (!format) return;
+  const bbox = parseBbox(req.query.bbox);
+  if (!bbox) return res.status(400).json({ error: 'bbox must be minLon,minLat,maxLon,maxLat' });
+  const query = parseGridQuery(req.query);
+  if (query.error) return res.status(400).json({ error: query.error });
+  const { resolution, slot, policy } = query;
+
+  try {
+    await ensureGrid();
+    const presence = await fromCache(...presenceSource(slot, policy));
+    const { timestamp, mode, hour, dayOfWeek, tz, dayProfile } = presence;
+    const data = {
+      timestamp, mode, policy: presence.policy, hour, dayOfWeek, tz, dayProfile,
+      res: resolution,
+      edgeMeters: HexGrid.edge(resolution),
+      bbox,
+      cells: grid.cellsIn(presence, policy, bbox, resolution)
+    };
+    res.vary('Accept');
+    res.setHeader('Cache-Control', `public, max-age=${slot ? 300 : 30}`);
+    if (format !== 'json') return exporter.send(res, format, exporter.gridTable(data, HexGrid.boundary, exportModels()));
+    res.json(data);
+  } catch (err) {
+    if (err instanceof RangeError) return res.status(400).json({ error: err.message });
+    console.error('[grid] error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// The cell at one coordinate, for the trip planner or search (also out of reach of any station)
+app.get('/api/grid/cell', rateLimit('grid', '60/1m'), async (req, res) => {
+  const lat = parseFloat(req.query.lat), lon = parseFloat(req.query.lon);
+  if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+    return res.status(400).json({ error: 'lat and lon required' });
+  }
+  const query = parseGridQuery(req.query);
+  if (query.error) return res.status(400).json({ error: query.error });
+  const { resolution, slot, policy } = query;
+
+  try {
+    await ensureGrid();
+    const presence = await fromCache(...presenceSource(slot, policy));
+    res.setHeader('Cache-Control', `public, max-age=${slot ? 300 : 30}`);
+    res.json({
+      timestamp: presence.timestamp, mode: presence.mode, policy: presence.policy,
+      hour: presence.hour, dayOfWeek: presence.dayOfWeek, tz: presence.tz,
+      res: resolution, edgeMeters: HexGrid.edge(resolution),
+      cell: grid.cellAt(presence, policy, lat, lon, resolution)
+    });
+  } catch (err) {
+    console.error('[grid] error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// /api/stations/:id/explain - Why a station has its safety level
+// ---------------------------------------------------------------------------
+// Re-derives one station's level from the same presence snapshot the map shows, keeping every input
+function explainStation(presence, station, policy) {
+  const { hour, dayOfWeek } = presence;
+  const isWeekend = dayOfWeek === 'Sat' || dayOfWeek === 'Sun';
+
+  const weatherApplied = weatherEffect(policy, presence.weather, station.id, hour);
+  const weatherModifier = weatherApplied?.multiplier ?? 1;
+  const modulation = modulateRidership(station.baseline, station.trainCount, station.scheduledTrains, weatherModifier);
+  const streetBoost = SafetyPolicy.streetBoost(policy, station.streetActivity, hour);
+  const ridership = modulation.ridership + (station.eventBoost || 0) + streetBoost;
+  const crime = getCrimeRiskDetail(crimeModel?.stationRisk?.[station.id], hour, isWeekend);
+  const evaluation = SafetyPolicy.evaluate(policy, { ridership, crimeRisk: crime.risk, expectedWait: station.expectedWait }, hour);
+
+  const disruption = station.hasDisruption ? { effect: station.disruptionEffect, routes: station.disruptionRoutes } : null;
+  const finalLevel = SafetyPolicy.escalate(policy, evaluation.level, disruption?.effect, hour);
+
+  return {
+    id: station.id,
+    name: station.name,
+    timestamp: presence.timestamp,
+    mode: presence.mode,
+    policy: presence.policy,
+    dayOfWeek,
+    tz: presence.tz,
+    dayProfile: presence.dayProfile,
+    hour,
+    safetyLevel: finalLevel,
+    timeBand: evaluation.band,
+    timeBandLabel: evaluation.bandLabel,
+    inputs: {
+      ridership: {
+        value: ridership,
+        baseline: station.baseline,
+        trainCount: station.trainCount,
+        scheduledTrains: station.scheduledTrains,
+        expectedTrains: modulation.expectedTrains,
+        trainModulation: Math.round(modulation.trainModulation * 1000) / 1000,
+        weatherModifier,
+        weather: presence.weather ? presence.weather.condition : null,
+        weatherSource: weatherApplied?.source || null,
+        weatherBucket: weatherApplied?.bucket || null,
+        weatherScope: weatherApplied?.scope || null,
+        eventBoost: station.eventBoost || 0,
+        events: station.events,
+        streetActivity: station.streetActivity ?? null,
+        streetBoost
+      },
+      crimeRisk: {
+        value: Math.round(crime.risk * 1000) / 1000,
+        source: crime.source,
+        window: crime.window || null,
+        topCrimeType: station.topCrimeType,
+        incidents: station.crimeTotal
+      },
+      expectedWait: { value: station.expectedWait, source: station.waitSource }
+    },
+    baseLevel: evaluation.level,
+    rule: evaluation.rule,
+    rules: evaluation.rules,
+    thresholdsCrossed: evaluation.rules.flatMap(r => r.conditions.filter(c => c.met).map(c => ({ rule: r.id, ...c }))),
+    escalation: disruption ? {
+      effect: disruption.effect,
+      routes: disruption.routes || [],
+      rule: policy.disruptions?.[disruption.effect] || null,
+      from: evaluation.level,
+      to: finalLevel,
+      applied: finalLevel !== evaluation.level
+    } : null
+  };
+}
+
+app.get('/api/stations/:id/explain', rateLimit('station', '60/1m'), async (req, res) => {
+  if (!ridershipModel?.stations?.[req.params.id]) return res.status(404).json({ error: 'Unknown station' });
+  const opts = parsePresenceQuery(req.query);
+  if (opts?.error) return res.status(400).json({ error: opts.error });
+  const policy = resolvePolicy(req.query.policy);
+  if (!policy) return res.status(400).json({ error: 'Unknown policy' });
+
+  try {
+    const presence = await fromCache(...presenceSource(opts, policy));
+    const station = presence.stations.find(s => s.id === req.params.id);
+    if (!station) return res.status(404).json({ error: 'No data for station at this hour' });
+    res.setHeader('Cache-Control', 'public, max-age=30');
+    res.json(explainStation(presence, station, policy));
+  } catch (err) {
+    console.error('[explain] error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// /api/stations/:id - Everything known about one station complex
+// ---------------------------------------------------------------------------
+const ANOMALY_LOOKBACK_DAYS = 7;
+
+// Weekday/weekend 24h crime risk with the same fallbacks presence uses
+function crimeProfile(id) {
+  const data = crimeModel?.stationRisk?.[id];
+  if (!data) return null;
+  const hours = isWeekend => Array.from({ length: 24 }, (_, h) => Math.round(getCrimeRisk(data, h, isWeekend) * 1000) / 1000);
+  return {
+    riskTier: data.riskTier || null,
+    overallRisk: data.overallRisk ?? null,
+    incidents: data.total || 0,
+    topCrimeType: data.topCrimeType || null,
+    typeMix: data.typeMix || null,
+    source: getCrimeRiskDetail(data, 0, false).source,
+    weekday: hours(false),
+    weekend: hours(true)
+  };
+}
+
+// How often the station was flagged anomalous in recorded history (hourly buckets)
+async function anomalyFrequency(id) {
+  const to = datasource.now(), from = to - ANOMALY_LOOKBACK_DAYS * 86400000;
+  const result = await history.query({ station: id, from, to, resolution: '1h' });
+  if (!result.enabled || !result.points.length) return { enabled: result.enabled, days: ANOMALY_LOOKBACK_DAYS, hours: 0, anomalousHours: 0, rate: null, recent: [] };
+  const samples = result.points.reduce((n, p) => n + p.samples, 0);
+  const weighted = result.points.reduce((n, p) => n + p.anomalyRate * p.samples, 0);
+  return {
+    enabled: true,
+    days: ANOMALY_LOOKBACK_DAYS,
+    hours: result.points.length,
+    anomalousHours: result.points.filter(p => p.isAnomaly).length,
+    rate: Math.round((weighted / samples) * 1000) / 1000,
+    // Last 24 hourly points for the baseline vs live chart
+    recent: result.points.filter(p => p.ts >= to - 24 * 3600000).map(p => ({ ts: p.ts, ridership: p.ridership, baseline: p.baseline }))
+  };
+}
+
+app.get(exporter.paths('/api/stations/:id'), rateLimit('station', '60/1m'), async (req, res) => {
+  const format = exportFormat(req, res);
+  if (!format) return;
+  const { id } = req.params;
+  const model = ridershipModel?.stations?.[id];
+  if (!model) return res.status(404).json({ error: 'Unknown station' });
+  const opts = parsePresenceQuery(req.query);
+  if (opts?.error) return res.status(400).json({ error: opts.error });
+  const policy = resolvePolicy(req.query.policy);
+  if (!policy) return res.status(400).json({ error: 'Unknown policy' });
+
+  try {
+    const [presence, alertData, activity, anomalies] = await Promise.all([
+      fromCache(...presenceSource(opts, policy)),
+      opts ? null : fromCache('alerts', 60000, computeAlerts).catch(() => null),
+      opts ? null : fromCache('trainActivity', 30000, collectTrainActivity),
+      anomalyFrequency(id).catch(err => {
+        console.error('[station] history error:', err.message);
+        return null;
+      })
+    ]);
+
+    await loadStations();
+    const alerts = (alertData?.alerts || [])
+      .filter(a => a.affectedStops?.some(stopId => complexOfStop(stopId) === id))
+      .map(({ id: alertId, agency, header, effect, severity, affectedRoutes, isActiveNow, planned, nextActivePeriod, activePeriodText, activeSince }) =>
+        ({ id: alertId, agency, header, effect, severity, affectedRoutes, isActiveNow, planned, nextActivePeriod, activePeriodText, activeSince }));
+
+    const detail = {
+      id,
+      agency: model.agency,
+      name: model.name,
+      lat: model.lat,
+      lon: model.lon,
+      timestamp: presence.timestamp,
+      mode: presence.mode,
+      policy: presence.policy,
+      dayOfWeek: presence.dayOfWeek,
+      tz: presence.tz,
+      dayProfile: presence.dayProfile,
+      hour: presence.hour,
+      current: presence.stations.find(s => s.id === id) || null,
+      ridership: {
+        profile: holidays.stationProfile(model, presence.dayProfile.profile),
+        hourly: model.hourly,
+        stddev: model.stddev || null
+      },
+      crime: crimeProfile(id),
+      alerts,
+      arrivals: activity ? headways.upcomingByRoute(activity.arrivalsByComplex[id], datasource.now() / 1000) : null,
+      anomalies
+    };
+    res.setHeader('Cache-Control', 'public, max-age=30');
+    res.vary('Accept');
+    if (format === 'json') res.json(detail);
+    else exporter.send(res, format, exporter.stationTable(detail, exportModels()));
+  } catch (err) {
+    console.error('[station] error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// /api/history - Presence time series from recorded snapshots
+// ---------------------------------------------------------------------------
+app.get(exporter.paths('/api/history'), rateLimit('history', '60/1m'), async (req, res) => {
+  const format = exportFormat(req, res);
+  if (!format) return;
+  const { station, resolution } = req.query;
+  const to = parseTime(req.query.to, datasource.now());
+  const from = parseTime(req.query.from, to - 24 * 3600000);
+  if (Number.isNaN(from) || Number.isNaN(to) || from > to) {
+    return res.status(400).json({ error: 'Invalid from/to range' });
+  }
+  if (station && !ridershipModel?.stations?.[station]) {
+    return res.status(404).json({ error: 'Unknown station' });
+  }
+  try {
+    const result = await history.query({ station, from, to, resolution });
+    res.setHeader('Cache-Control', 'public, max-age=30');
+    res.vary('Accept');
+    if (format !== 'json') {
+      const { name, lat, lon } = station ? ridershipModel.stations[station] : {};
+      const info = station ? { id: station, name, lat, lon } : null;
+      return exporter.send(res, format, exporter.historyTable(result, info, exportModels()));
+    }
+    res.json({
+      station: station ? { id: station, name: ridershipModel.stations[station].name } : null,
+      ...result
+    });
+  } catch (err) {
+    if (err instanceof RangeError) return res.status(400).json({ error: err.message });
+    console.error('[history] query error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// /api/route - Safety-aware trip planner between two station complexes
+// ---------------------------------------------------------------------------
+app.get('/api/route', rateLimit('route', '30/1m'), async (req, res) => {
+  const { from, to } = req.query;
+  if (!from || !to) return res.status(400).json({ error: 'from and to are required' });
+  if (!routeGraph) return res.status(503).json({ error: 'Route graph not built' });
+  const known = id => !!(routeGraph.complexes[id] || ridershipModel?.stations?.[id]);
+  if (!known(from) || !known(to)) return res.status(404).json({ error: 'Unknown station' });
+
+  const opts = parsePresenceQuery(req.query);
+  if (opts?.error) return res.status(400).json({ error: opts.error });
+  const policy = resolvePolicy(req.query.policy);
+  if (!policy) return res.status(400).json({ error: 'Unknown policy' });
+
+  try {
+    // Same presence the map shows: live, or the requested explore slot
+    const presence = await fromCache(...presenceSource(opts, policy));
+    const stations = Object.fromEntries(presence.stations.map(s => [s.id, s]));
+
+    const itineraries = router.planRoutes(routeGraph, {
+      from,
+      to,
+      stations,
+      dayOfWeek: presence.dayOfWeek,
+      hour: presence.hour,
+      alternatives: parseInt(req.query.alternatives) || 3,
+      colors: LINE_COLORS
+    });
+    if (!itineraries.length) return res.status(404).json({ error: 'No route found' });
+
+    res.setHeader('Cache-Control', 'public, max-age=30');
+    res.json({
+      timestamp: datasource.now(),
+      mode: presence.mode,
+      policy: presence.policy,
+      dayOfWeek: presence.dayOfWeek,
+      tz: presence.tz,
+      hour: presence.hour,
+      from: { id: from, name: stations[from]?.name || routeGraph.complexes[from]?.name },
+      to: { id: to, name: stations[to]?.name || routeGraph.complexes[to]?.name },
+      itineraries
+    });
+  } catch (err) {
+    console.error('[route] error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// /api/intelligence - Situation reports (SITUATION / ASSESSMENT / RECOMMENDATION)
+// ---------------------------------------------------------------------------
+async function computeIntelligence() {
+  const [presence, alertData, weather] = await Promise.all([
+    fromCache('presence', 30000, computeAndRecordPresence),
+    fromCache('alerts', 60000, computeAlerts),
+    fetchWeather()
+  ]);
+  return intelligence.generateReport(presence, alertData, weather);
+}
+
+app.get('/api/intelligence', rateLimit('intelligence', '20/5m'), cached('intelligence', 5 * 60 * 1000, computeIntelligence));
+
+// ---------------------------------------------------------------------------
+// Station subscriptions (webhooks on safety level, anomaly and disruption changes; lib/subscriptions.js)
+// ---------------------------------------------------------------------------
+const subscriptionRoute = [requireApiKey, rateLimit('subscriptions', '30/1m')];
+
+app.post('/api/subscriptions', ...subscriptionRoute, express.json({ limit: '16kb' }), async (req, res) => {
+  try {
+    res.status(201).json(await subscriptions.create(req.apiClient, req.body));
+  } catch (err) {
+    if (err instanceof RangeError) return res.status(400).json({ error: err.message });
+    console.error('[subscriptions] create failed:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/subscriptions', ...subscriptionRoute, async (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  try {
+    res.json({ subscriptions: await subscriptions.list(req.apiClient) });
+  } catch (err) {
+    console.error('[subscriptions] list failed:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/subscriptions/:id', ...subscriptionRoute, async (req, res) => {
+  try {
+    if (!await subscriptions.remove(req.apiClient, req.params.id)) return res.status(404).json({ error: 'Unknown subscription' });
+    res.sendStatus(204);
+  } catch (err) {
+    console.error('[subscriptions] remove failed:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Sends a signed "ping" event and reports how the first attempt went
+app.post('/api/subscriptions/:id/test', ...subscriptionRoute, async (req, res) => {
+  try {
+    const delivery = await subscriptions.ping(req.apiClient, req.params.id);
+    if (!delivery) return res.status(404).json({ error: 'Unknown subscription' });
+    res.json(delivery);
+  } catch (err) {
+    console.error('[subscriptions] ping failed:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
 // ---------------------------------------------------------------------------
 // Static endpoints
@@ -649,9 +1794,42 @@ app.get('/api/colors', (req, res) => {
   res.json(LINE_COLORS);
 });
 
-app.get('/api/config', (req, res) => {
+// Enabled agencies: names, colours (route colours from the definition and the registry's routes.txt)
+// and station complexes, so the map can draw agencies the ridership model doesn't cover
+app.get('/api/agencies', async (req, res) => {
+  await loadStations();
   res.setHeader('Cache-Control', 'public, max-age=300');
-  res.json({ mapboxToken: process.env.MAPBOX_TOKEN || '' });
+  res.json({
+    agencies: AGENCIES.map(agency => agencies.describe(agency,
+      Object.values(complexRegistry)
+        .filter(c => c.agency === agency.id)
+        .map(({ id, name, lat, lon }) => ({ id, name, lat, lon, modeled: !!ridershipModel?.stations?.[id] }))))
+  });
+});
+
+// Bike share docks with their bikes, free docks and turnover per hour over the last hour (null while
+// the server is still watching); the map draws them as their own layer
+app.get('/api/bikeshare', cached('bikeshare', 30000, bikeshare.snapshot));
+
+app.get('/api/config', (req, res) => {
+  // A replay's virtual clock is anchored on this response, so it must not be cached
+  res.setHeader('Cache-Control', datasource.mode === 'replay' ? 'no-store' : 'public, max-age=300');
+  res.json({ mapboxToken: process.env.MAPBOX_TOKEN || '', dataSource: datasource.describe() });
+});
+
+// Upstream feed health. Touches the same cached fetches presence uses, so a cold instance
+// reports what it can reach rather than "missing" everywhere
+app.get('/api/status', async (req, res) => {
+  await Promise.all([
+    loadStations(),
+    fetchAllFeeds(),
+    fromCache('alerts', 60000, computeAlerts),
+    fetchWeather(),
+    bikeshare.refresh()
+  ]).catch(err => console.error('[status] refresh failed:', err.message));
+  const { status, feeds, ...inputs } = sourceHealth();
+  res.setHeader('Cache-Control', 'no-store');
+  res.json({ timestamp: datasource.now(), dataSource: datasource.mode, status, inputs, sources: health.report() });
 });
 
 app.get('/health', (req, res) => {
@@ -670,13 +1848,34 @@ app.get('/api/debug', (req, res) => {
     ridershipModel: hasModel ? Object.keys(ridershipModel.stations).length + ' stations' : 'NOT LOADED',
     crimeModel: hasCrime ? Object.keys(crimeModel.stationRisk).length + ' stations' : 'NOT LOADED',
     presenceCached: hasPresenceCache,
+    rateLimitStore: rateLimitStore(),
+    dataSource: datasource.describe(),
     nodeVersion: process.version
   });
 });
 
+// Bodies express.json() can't read get a JSON error like every other 4xx, not Express's HTML page
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') return res.status(400).json({ error: 'Request body is not valid JSON' });
+  if (err.type === 'entity.too.large') return res.status(413).json({ error: 'Request body too large' });
+  next(err);
+});
+
 // Init + export
 loadRidershipModel();
+events.configure({ stations: ridershipModel.stations });
+bikeshare.configure({ stations: ridershipModel.stations });
 loadCrimeModel();
+loadGtfsModel();
+loadWeatherModel();
+loadEntrances();
+loadPolicies();
+alertHistory.configure({ persist: datasource.mode !== 'replay' });
+subscriptions.configure({
+  stations: ridershipModel.stations,
+  levels: policies[DEFAULT_POLICY_ID].levels,
+  persist: datasource.mode !== 'replay'
+});
 const stationInit = loadStations();
 
 // Local dev: start server
@@ -688,6 +1887,13 @@ if (!process.env.VERCEL) {
       console.log(`  http://localhost:${PORT}\n`);
     });
   });
+  // Subscriptions are evaluated whenever live presence is computed; keep that happening while
+  // any exist, even with nobody viewing the map (on Vercel, presence traffic drives it)
+  // Dock turnover is counted between status polls, so keep polling between requests too
+  setInterval(async () => {
+    if (await subscriptions.watching()) fromCache('presence', 30000, computeAndRecordPresence).catch(() => {});
+    bikeshare.refresh().catch(() => {});
+  }, 60 * 1000).unref();
 }
 
 // Vercel serverless: export the app
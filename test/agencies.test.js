@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const agencies = require('../lib/agencies');
+
+test('only the subway runs unless AGENCIES opts others in', () => {
+  assert.deepEqual(agencies.load('').map(a => a.id), ['subway']);
+  assert.deepEqual(agencies.load('subway,path').map(a => a.id), ['subway', 'path']);
+  assert.throws(() => agencies.load('subway,nope'), /no definition for nope/);
+});
+
+test('shipped definitions fetch everything over https', () => {
+  for (const agency of agencies.load('subway,path,lirr,mnr')) {
+    for (const url of [...agency.feeds.map(f => f.url), agency.alerts, agency.staticGtfs, agency.stations.url]) {
+      if (url != null) assert.match(url, /^https:\/\//, `${agency.id}: ${url}`);
+    }
+  }
+});
+
+test('validate refuses plain http urls', () => {
+  const path = agencies.load('path')[0];
+  assert.throws(() => agencies.validate({ ...path, staticGtfs: 'http://example.com/gtfs.zip' }), /must use https/);
+  assert.throws(() => agencies.validate({ ...path, feeds: [{ id: 'path', url: 'http://example.com/rt' }] }), /must use https/);
+});
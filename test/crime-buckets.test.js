@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getTimeWindow, crimeSlot } = require('../scripts/build-crime-model');
+
+test('getTimeWindow buckets complaint times into the policy windows', () => {
+  assert.equal(getTimeWindow('00:00:00'), 'latenight');
+  assert.equal(getTimeWindow('05:59:59'), 'latenight');
+  assert.equal(getTimeWindow('06:00:00'), 'morning');
+  assert.equal(getTimeWindow('11:59:00'), 'morning');
+  assert.equal(getTimeWindow('12:00:00'), 'afternoon');
+  assert.equal(getTimeWindow('17:59:00'), 'afternoon');
+  assert.equal(getTimeWindow('18:00:00'), 'evening');
+  assert.equal(getTimeWindow('21:59:00'), 'evening');
+  assert.equal(getTimeWindow('22:00:00'), 'latenight');
+  assert.equal(getTimeWindow('23:59:59'), 'latenight');
+  assert.equal(getTimeWindow(undefined), null);
+  assert.equal(getTimeWindow('(null)'), null);
+});
+
+test('crimeSlot takes hour and weekday from the complaint as written', () => {
+  // Friday 22:30 New York: still a weekday, whatever zone the build runs in
+  assert.deepEqual(crimeSlot({ cmplnt_fr_dt: '2025-01-17T00:00:00.000', cmplnt_fr_tm: '22:30:00' }),
+    { window: 'latenight', hour: 22, weekend: false });
+  // Saturday 01:15 is a weekend hour
+  assert.deepEqual(crimeSlot({ cmplnt_fr_dt: '2025-01-18T00:00:00.000', cmplnt_fr_tm: '01:15:00' }),
+    { window: 'latenight', hour: 1, weekend: true });
+  // Sunday evening
+  assert.deepEqual(crimeSlot({ cmplnt_fr_dt: '2025-01-19T00:00:00.000', cmplnt_fr_tm: '19:00:00' }),
+    { window: 'evening', hour: 19, weekend: true });
+});
+
+test('crimeSlot keeps DST-day hours as reported', () => {
+  // 02:30 does not exist on the spring-forward date, but a complaint logged there stays in hour 2
+  assert.deepEqual(crimeSlot({ cmplnt_fr_dt: '2025-03-09T00:00:00.000', cmplnt_fr_tm: '02:30:00' }),
+    { window: 'latenight', hour: 2, weekend: true });
+  // The repeated 01:00 hour on the fall-back date is one bucket
+  assert.deepEqual(crimeSlot({ cmplnt_fr_dt: '2025-11-02T00:00:00.000', cmplnt_fr_tm: '01:45:00' }),
+    { window: 'latenight', hour: 1, weekend: true });
+  assert.deepEqual(crimeSlot({ cmplnt_fr_dt: '2025-11-03T00:00:00.000', cmplnt_fr_tm: '07:00:00' }),
+    { window: 'morning', hour: 7, weekend: false });
+});
+
+test('crimeSlot skips complaints without a usable time', () => {
+  assert.equal(crimeSlot({ cmplnt_fr_dt: '2025-01-17T00:00:00.000' }), null);
+  assert.equal(crimeSlot({ cmplnt_fr_dt: '2025-01-17T00:00:00.000', cmplnt_fr_tm: '' }), null);
+});
+
+test('crimeSlot counts a complaint without a date as a weekday', () => {
+  assert.deepEqual(crimeSlot({ cmplnt_fr_tm: '14:00:00' }), { window: 'afternoon', hour: 14, weekend: false });
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const grid = require('../lib/grid');
+const HexGrid = require('../public/hexgrid');
+const policy = require('../public/data/policies/default.json');
+
+const BBOX = [-74.02, 40.72, -73.94, 40.79];
+const presence = {
+  hour: 18,
+  stations: [
+    { id: 'a', ridership: 5000, crimeRisk: 0.2 },
+    { id: 'b', ridership: 3000, presenceScore: 3200, crimeRisk: 0.6 }
+  ]
+};
+
+grid.configure({
+  stations: { a: { name: 'A', lat: 40.7527, lon: -73.9772 }, b: { name: 'B', lat: 40.7580, lon: -73.9855 } }
+});
+
+test('each complex spreads exactly its riders over the cells it reaches', () => {
+  for (const res of [8, 9, 10]) {
+    const total = grid.cellsIn(presence, policy, BBOX, res).reduce((sum, c) => sum + c.presence, 0);
+    assert.ok(Math.abs(total - 8200) < 1, `res ${res}: ${total}`);
+  }
+});
+
+test('density is presence per km² of the cell', () => {
+  const cells = grid.cellsIn(presence, policy, BBOX, 9);
+  const km2 = HexGrid.area(9) / 1e6;
+  for (const c of cells) assert.ok(Math.abs(c.density - c.presence / km2) <= 1 + c.density * 0.001, c.id);
+});
+
+test('safety runs on the station-scale figure, which is the station at its entrance', () => {
+  const cell = grid.cellAt(presence, policy, 40.7527, -73.9772, 10);
+  assert.equal(cell.nearest.id, 'a');
+  assert.ok(cell.stationEquivalent >= 4500 && cell.stationEquivalent <= 5000, String(cell.stationEquivalent));
+  assert.ok(cell.presence < cell.stationEquivalent / 10);
+  assert.ok(['safe', 'caution', 'avoid'].includes(cell.safetyLevel));
+});
+
+test('cells out of reach have nothing and no level', () => {
+  const cell = grid.cellAt(presence, policy, 40.60, -74.20, 9);
+  assert.deepEqual([cell.presence, cell.density, cell.stationEquivalent, cell.safetyLevel], [0, 0, 0, null]);
+});
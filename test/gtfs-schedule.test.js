@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildDirectionalArrivals } = require('../scripts/build-gtfs-model');
+
+const DAY_TYPES = { weekday: 'Wed', saturday: 'Sat', sunday: 'Sun' };
+const trip = days => ({ route: 'A', dir: '0', days, dayTypes: Object.keys(DAY_TYPES).filter(t => days.includes(DAY_TYPES[t])) });
+const stop = (t, dir = 'N') => ({ complex: '611', dir, arr: t, dep: t });
+const hhmm = (h, m) => h * 3600 + m * 60;
+
+test('stops before midnight count for the trip\'s own day types', () => {
+  const arrivals = buildDirectionalArrivals({ t1: trip(['Mon', 'Tue', 'Wed', 'Thu', 'Fri']) }, { t1: [stop(hhmm(23, 30))] });
+  const n = arrivals['611'].N;
+  assert.equal(n.weekday[23], 1);
+  assert.equal(n.saturday[23], 0);
+  assert.equal(n.sunday[23], 0);
+});
+
+test('stops past 24:00 roll into the next day\'s type', () => {
+  // Friday-only service at 25:30 is Saturday 01:30
+  const friday = buildDirectionalArrivals({ t1: trip(['Fri']) }, { t1: [stop(hhmm(25, 30))] })['611'].N;
+  assert.equal(friday.saturday[1], 1);
+  assert.equal(friday.weekday[1], 0);
+  // Weekday service at 24:15: Tuesday's trip is Wednesday 00:15, Friday's is Saturday 00:15
+  const weekday = buildDirectionalArrivals({ t1: trip(['Mon', 'Tue', 'Wed', 'Thu', 'Fri']) }, { t1: [stop(hhmm(24, 15))] })['611'].N;
+  assert.equal(weekday.weekday[0], 1);
+  assert.equal(weekday.saturday[0], 1);
+  assert.equal(weekday.sunday[0], 0);
+  // Saturday service at 26:00 is Sunday 02:00
+  const saturday = buildDirectionalArrivals({ t1: trip(['Sat']) }, { t1: [stop(hhmm(26, 0))] })['611'].N;
+  assert.deepEqual([saturday.weekday[2], saturday.saturday[2], saturday.sunday[2]], [0, 0, 1]);
+});
+
+test('directions and complexes are kept apart; stops without a direction are skipped', () => {
+  const arrivals = buildDirectionalArrivals({ t1: trip(['Wed']) }, {
+    t1: [stop(hhmm(8, 0), 'N'), stop(hhmm(8, 10), 'S'), { complex: '611', dir: null, arr: hhmm(8, 20), dep: null }]
+  });
+  assert.equal(arrivals['611'].N.weekday[8], 1);
+  assert.equal(arrivals['611'].S.weekday[8], 1);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'eyes-history-'));
+process.env.HISTORY_STORE = 'file';
+process.env.HISTORY_DIR = dir;
+const history = require('../lib/history');
+
+const HOUR = 3600000;
+const now = Date.UTC(2025, 0, 17, 12);
+const partition = ts => new Date(ts).toISOString().slice(0, 13);
+
+test.before(async () => {
+  for (const ts of [now - 2 * HOUR, now - HOUR, now - 10 * 60000]) {
+    await history.store.append('raw', partition(ts), { ts, s: {}, totalPresence: 100, anomalyCount: 0 });
+  }
+});
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('an unbounded from is clamped to retention and reads only listed partitions', async () => {
+  const started = Date.now();
+  const result = await history.query({ from: 0, to: now, resolution: 'raw', now });
+  assert.ok(Date.now() - started < 1000);
+  assert.equal(result.from, now - history.CONFIG.retentionMs - history.CONFIG.rawRetentionMs);
+  assert.deepEqual(result.points.map(p => p.ts), [now - 2 * HOUR, now - HOUR, now - 10 * 60000]);
+});
+
+test('a range longer than retention is refused', async () => {
+  await assert.rejects(history.query({ from: now - HOUR, to: 8.64e15, now }), RangeError);
+  await assert.rejects(history.query({ from: 0, to: now + 365 * 86400000, now }), RangeError);
+});
+
+test('ranges past retention or in the future are empty', async () => {
+  const old = await history.query({ from: 0, to: now - 60 * 86400000, resolution: 'raw', now });
+  assert.deepEqual(old.points, []);
+  const ahead = await history.query({ from: now + HOUR, to: now + 2 * HOUR, resolution: 'raw', now });
+  assert.deepEqual(ahead.points, []);
+});
+
+test('the range bounds still filter within a partition', async () => {
+  const result = await history.query({ from: now - HOUR, to: now - 30 * 60000, resolution: 'raw', now });
+  assert.deepEqual(result.points.map(p => p.ts), [now - HOUR]);
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const holidays = require('../lib/holidays');
+const NycTime = require('../public/nyc-time');
+
+const on = date => {
+  const h = holidays.holidayOn(date);
+  return h && { name: h.name, kind: h.kind, profile: h.profile };
+};
+
+test('fixed holidays on a weekend are observed on the nearest weekday', () => {
+  // Sunday -> Monday
+  assert.deepEqual(on('2021-07-05'), { name: 'Independence Day (observed)', kind: 'federal', profile: 'Sat' });
+  assert.deepEqual(on('2022-12-26'), { name: 'Christmas Day (observed)', kind: 'federal', profile: 'Sat' });
+  assert.deepEqual(on('2022-06-20'), { name: 'Juneteenth (observed)', kind: 'federal', profile: 'Sat' });
+  // Saturday -> Friday
+  assert.deepEqual(on('2023-11-10'), { name: 'Veterans Day (observed)', kind: 'federal', profile: 'Sat' });
+  assert.deepEqual(on('2026-07-03'), { name: 'Independence Day (observed)', kind: 'federal', profile: 'Sat' });
+  // A Saturday New Year's Day is observed on the previous year's December 31, over winter recess
+  assert.deepEqual(on('2021-12-31'), { name: "New Year's Day (observed)", kind: 'federal', profile: 'Sat' });
+  // Weekday holidays have no observed day
+  assert.equal(on('2025-07-03'), null);
+  assert.equal(on('2025-07-05'), null);
+});
+
+test('the weekend day itself keeps the holiday profile only for major holidays', () => {
+  assert.deepEqual(on('2022-12-25'), { name: 'Christmas Day', kind: 'federal', profile: 'Hol' });
+  assert.deepEqual(on('2022-01-01'), { name: "New Year's Day", kind: 'federal', profile: 'Hol' });
+  assert.deepEqual(on('2022-06-19'), { name: 'Juneteenth', kind: 'federal', profile: null });
+  assert.deepEqual(on('2023-11-11'), { name: 'Veterans Day', kind: 'federal', profile: null });
+});
+
+test('floating holidays land on the right weekday across years', () => {
+  const cases = {
+    'Martin Luther King Jr. Day': ['2024-01-15', '2025-01-20', '2026-01-19', '2027-01-18'],
+    "Washington's Birthday": ['2024-02-19', '2025-02-17', '2026-02-16', '2027-02-15'],
+    'Memorial Day': ['2024-05-27', '2025-05-26', '2026-05-25', '2027-05-31'],
+    'Labor Day': ['2024-09-02', '2025-09-01', '2026-09-07', '2027-09-06'],
+    'Columbus Day': ['2024-10-14', '2025-10-13', '2026-10-12', '2027-10-11'],
+    'Election Day': ['2022-11-08', '2024-11-05', '2025-11-04', '2026-11-03'],
+    'Thanksgiving Day': ['2024-11-28', '2025-11-27', '2026-11-26', '2027-11-25'],
+    'Day after Thanksgiving': ['2024-11-29', '2025-11-28', '2026-11-27', '2027-11-26']
+  };
+  for (const [name, dates] of Object.entries(cases)) {
+    for (const date of dates) assert.equal(holidays.holidayOn(date)?.name, name, date);
+  }
+  // Election Day is the Tuesday after the first Monday, never November 1
+  assert.equal(holidays.holidayOn('2022-11-01'), null);
+  assert.equal(NycTime.weekdayOf('2022-11-08'), 2);
+});
+
+test('school breaks run like Saturdays, midwinter recess like a weekday', () => {
+  assert.equal(holidays.holidayOn('2025-12-24').profile, 'Sat');
+  assert.equal(holidays.holidayOn('2025-12-29').name, 'Winter recess');
+  assert.equal(holidays.holidayOn('2025-12-27'), null);
+  const recess = holidays.holidaysBetween('2025-02-18', '2025-02-21');
+  assert.deepEqual(recess.map(h => [h.name, h.profile]), Array(4).fill(['Midwinter recess', null]));
+});
+
+test('holidaysBetween spans years, oldest first', () => {
+  const list = holidays.holidaysBetween('2025-12-20', '2026-01-25');
+  assert.deepEqual(list.map(h => h.date), [
+    '2025-12-24', '2025-12-25', '2025-12-26', '2025-12-29', '2025-12-30', '2025-12-31',
+    '2026-01-01', '2026-01-19'
+  ]);
+});
+
+test('dayProfile uses the holiday profile, or Sunday when the model has none', () => {
+  const christmas = NycTime.fromWallTime(2025, 12, 25, 12);
+  assert.deepEqual(holidays.dayProfile('Thu', christmas, true),
+    { profile: 'Hol', dayOfWeek: 'Thu', date: '2025-12-25', holiday: 'Christmas Day', kind: 'federal' });
+  assert.equal(holidays.dayProfile('Thu', christmas, false).profile, holidays.HOLIDAY_FALLBACK);
+  assert.equal(holidays.dayProfile('Mon', NycTime.fromWallTime(2025, 1, 20, 8), true).profile, 'Sat');
+  // Lincoln's Birthday is kept out of the weekday means but still runs like one
+  assert.equal(holidays.dayProfile('Thu', NycTime.fromWallTime(2026, 2, 12, 8), true).profile, 'Thu');
+  assert.equal(holidays.dayProfile('Tue', NycTime.fromWallTime(2025, 3, 11, 8), true).profile, 'Tue');
+  assert.deepEqual(holidays.dayProfile('Wed', null, true), { profile: 'Wed', dayOfWeek: 'Wed', date: null, holiday: null, kind: null });
+});
+
+test('dayProfile reads the New York date, not the UTC one', () => {
+  // 2025-12-26 03:00Z is still Christmas evening in New York
+  assert.equal(holidays.dayProfile('Thu', Date.parse('2025-12-26T03:00:00Z'), true).holiday, 'Christmas Day');
+});
+
+test('stationProfile falls back to Sunday for stations without the profile', () => {
+  const seen = { hourly: { Hol: [], Sun: [], Mon: [] } };
+  const unseen = { hourly: { Sun: [], Mon: [] } };
+  assert.equal(holidays.stationProfile(seen, 'Hol'), 'Hol');
+  assert.equal(holidays.stationProfile(unseen, 'Hol'), 'Sun');
+  assert.equal(holidays.stationProfile(unseen, 'Mon'), 'Mon');
+  assert.equal(holidays.stationProfile(undefined, 'Hol'), 'Sun');
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const NycTime = require('../public/nyc-time');
+
+const at = iso => Date.parse(iso);
+
+// 2025-03-09: clocks jump from 02:00 EST to 03:00 EDT at 07:00Z
+test('spring-forward: 02:00-02:59 does not exist', () => {
+  assert.equal(NycTime.clock(at('2025-03-09T06:59:00Z')), '01:59');
+  assert.equal(NycTime.clock(at('2025-03-09T07:00:00Z')), '03:00');
+  assert.equal(NycTime.offset(at('2025-03-09T06:59:00Z')), -5 * 3600000);
+  assert.equal(NycTime.offset(at('2025-03-09T07:00:00Z')), -4 * 3600000);
+  // A skipped wall time lands an hour later
+  assert.equal(NycTime.fromWallTime(2025, 3, 9, 2, 30), at('2025-03-09T07:30:00Z'));
+  assert.equal(NycTime.clock(NycTime.fromWallTime(2025, 3, 9, 2, 30)), '03:30');
+  assert.equal(NycTime.fromWallTime(2025, 3, 9, 1, 30), at('2025-03-09T06:30:00Z'));
+  assert.equal(NycTime.fromWallTime(2025, 3, 9, 3, 30), at('2025-03-09T07:30:00Z'));
+  // The day has 23 hours
+  assert.equal(NycTime.fromWallTime(2025, 3, 10) - NycTime.fromWallTime(2025, 3, 9), 23 * 3600000);
+});
+
+// 2025-11-02: clocks fall back from 02:00 EDT to 01:00 EST at 06:00Z
+test('fall-back: 01:00-01:59 happens twice', () => {
+  const first = NycTime.parts(at('2025-11-02T05:30:00Z'));
+  const second = NycTime.parts(at('2025-11-02T06:30:00Z'));
+  assert.equal(first.hour, 1);
+  assert.equal(second.hour, 1);
+  assert.equal(first.date, '2025-11-02');
+  assert.equal(second.date, '2025-11-02');
+  assert.equal(NycTime.offset(at('2025-11-02T05:30:00Z')), -4 * 3600000);
+  assert.equal(NycTime.offset(at('2025-11-02T06:30:00Z')), -5 * 3600000);
+  // A repeated wall time takes its first occurrence (EDT)
+  assert.equal(NycTime.fromWallTime(2025, 11, 2, 1, 30), at('2025-11-02T05:30:00Z'));
+  assert.equal(NycTime.fromWallTime(2025, 11, 2, 2, 30), at('2025-11-02T07:30:00Z'));
+  // The day has 25 hours
+  assert.equal(NycTime.fromWallTime(2025, 11, 3) - NycTime.fromWallTime(2025, 11, 2), 25 * 3600000);
+});
+
+test('a UTC instant early in the day is still the previous New York day', () => {
+  // Saturday 03:00 UTC is Friday 22:00 EST
+  const p = NycTime.parts(at('2025-01-18T03:00:00Z'));
+  assert.equal(p.date, '2025-01-17');
+  assert.equal(p.dayOfWeek, 'Fri');
+  assert.equal(p.weekday, 5);
+  assert.equal(p.hour, 22);
+  // Sunday 01:30 UTC in summer is Saturday 21:30 EDT
+  const q = NycTime.parts(at('2025-07-06T01:30:00Z'));
+  assert.equal(q.dayOfWeek, 'Sat');
+  assert.equal(q.hour, 21);
+  assert.equal(q.minute, 30);
+});
+
+test('parse reads floating timestamps as New York time and keeps explicit offsets', () => {
+  assert.equal(NycTime.parse('2025-01-17T22:00:00'), at('2025-01-18T03:00:00Z'));
+  assert.equal(NycTime.parse('2025-07-05 21:30'), at('2025-07-06T01:30:00Z'));
+  assert.equal(NycTime.parse('2025-01-17'), at('2025-01-17T05:00:00Z'));
+  assert.equal(NycTime.parse('2025-01-17T22:00:00.000'), at('2025-01-18T03:00:00Z'));
+  assert.equal(NycTime.parse('2025-01-17T22:00:00Z'), at('2025-01-17T22:00:00Z'));
+  assert.equal(NycTime.parse('2025-01-17T22:00:00-05:00'), at('2025-01-18T03:00:00Z'));
+  assert.ok(Number.isNaN(NycTime.parse('not a date')));
+  assert.ok(Number.isNaN(NycTime.parse(null)));
+});
+
+test('weekdayOf reads a calendar date without a zone', () => {
+  assert.equal(NycTime.weekdayOf('2025-03-09'), 0);
+  assert.equal(NycTime.weekdayOf('2025-11-01'), 6);
+  assert.equal(NycTime.weekdayOf('2025-01-17T00:00:00.000'), 5);
+});
+
+test('clock pads hours, minutes and optional seconds', () => {
+  assert.equal(NycTime.clock(at('2025-01-18T05:04:03Z')), '00:04');
+  assert.equal(NycTime.clock(at('2025-01-18T05:04:03Z'), true), '00:04:03');
+});
+
+test('cityPhase covers every hour with the HUD phases', () => {
+  const phases = Array.from({ length: 24 }, (_, h) => NycTime.cityPhase(h));
+  assert.deepEqual(phases, [
+    'Dead Hours', 'Dead Hours', 'Dead Hours', 'Dead Hours', 'Dead Hours',
+    'Early Risers', 'Early Risers',
+    'Morning Rush', 'Morning Rush', 'Morning Rush',
+    'Midday Build', 'Midday Build',
+    'Lunch Surge', 'Lunch Surge',
+    'Afternoon Lull',
+    'School Dismissal',
+    'Evening Rush', 'Evening Rush', 'Evening Rush',
+    'Night Activity', 'Night Activity', 'Night Activity',
+    'Late Night', 'Late Night'
+  ]);
+});
+
+test('cityPhase follows the New York hour, not the UTC one', () => {
+  // 03:00Z on a winter Saturday is 22:00 Friday in New York
+  assert.equal(NycTime.cityPhase(NycTime.parts(at('2025-01-18T03:00:00Z')).hour), 'Late Night');
+  // 12:00Z in summer is 08:00 EDT
+  assert.equal(NycTime.cityPhase(NycTime.parts(at('2025-07-07T12:00:00Z')).hour), 'Morning Rush');
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const subscriptions = require('../lib/subscriptions');
+
+subscriptions.configure({ stations: { '611': { name: 'Times Sq-42 St' } }, levels: ['safe', 'caution', 'avoid'], persist: false });
+
+test('isPrivateAddress covers loopback, private, link-local and unique-local ranges', () => {
+  for (const ip of ['127.0.0.1', '10.0.0.8', '172.16.5.4', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+    '::1', '::', 'fd12:3456::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:a9fe:a9fe']) {
+    assert.equal(subscriptions.isPrivateAddress(ip), true, ip);
+  }
+  for (const ip of ['8.8.8.8', '172.32.0.1', '93.184.215.14', '2606:4700:4700::1111']) {
+    assert.equal(subscriptions.isPrivateAddress(ip), false, ip);
+  }
+});
+
+test('create refuses webhook urls on private addresses', async () => {
+  for (const url of ['http://127.0.0.1:8080/hook', 'http://169.254.169.254/latest/meta-data/', 'http://[::1]/hook',
+    'http://[::ffff:10.0.0.1]/hook', 'http://2130706433/hook', 'http://localhost/hook']) {
+    await assert.rejects(subscriptions.create('key', { url, complexes: ['611'] }), RangeError, url);
+  }
+});
+
+test('create accepts a public address and keeps the secret out of listings', async () => {
+  const sub = await subscriptions.create('key', { url: 'https://93.184.215.14/hook', complexes: ['611'] });
+  assert.match(sub.secret, /^[0-9a-f]{48}$/);
+  const [listed] = await subscriptions.list('key');
+  assert.equal(listed.id, sub.id);
+  assert.equal(listed.secret, undefined);
+  assert.equal(await subscriptions.remove('key', sub.id), true);
+});
+
+// Two receivers on the same port: the address the check saw and the one a second DNS answer gives
+async function receivers(t) {
+  const hits = { checked: 0, rebound: 0 };
+  const listen = (host, key, port = 0) => new Promise(resolve => {
+    const server = http.createServer((req, res) => { hits[key]++; req.resume(); res.end('ok'); });
+    server.listen(port, host, () => resolve(server));
+  });
+  const checked = await listen('127.0.0.1', 'checked');
+  const rebound = await listen('127.0.0.2', 'rebound', checked.address().port);
+  t.after(() => { checked.close(); rebound.close(); });
+  return { hits, port: checked.address().port };
+}
+
+test('a delivery connects to the address it checked, not to a second DNS answer', async t => {
+  const { hits, port } = await receivers(t);
+  let calls = 0;
+  const answers = ['127.0.0.1', '127.0.0.2'];
+  subscriptions.configure({ allowPrivate: true, lookup: async () => [{ address: answers[calls++ % 2], family: 4 }] });
+  t.after(() => subscriptions.configure({ allowPrivate: false, lookup: async () => { throw new Error('no DNS in tests'); } }));
+
+  const sub = await subscriptions.create('rebind', { url: `http://hooks.example:${port}/hook`, complexes: ['611'] });
+  calls = 0;
+  const delivery = await subscriptions.ping('rebind', sub.id);
+  assert.equal(delivery.status, 'delivered');
+  assert.equal(calls, 1);
+  assert.deepEqual(hits, { checked: 1, rebound: 0 });
+  await subscriptions.remove('rebind', sub.id);
+});
+
+test('a host that turns private after subscribing is refused before connecting', async t => {
+  const { hits, port } = await receivers(t);
+  let calls = 0;
+  subscriptions.configure({
+    lookup: async () => [{ address: calls++ === 0 ? '93.184.215.14' : '169.254.169.254', family: 4 }]
+  });
+  t.after(() => subscriptions.configure({ lookup: async () => { throw new Error('no DNS in tests'); } }));
+
+  const sub = await subscriptions.create('rebind', { url: `http://hooks.example:${port}/hook`, complexes: ['611'] });
+  const delivery = await subscriptions.ping('rebind', sub.id);
+  assert.equal(delivery.status, 'failed');
+  assert.equal(delivery.attempts, 1);
+  assert.match(delivery.lastError, /private address/);
+  assert.deepEqual(hits, { checked: 0, rebound: 0 });
+  await subscriptions.remove('rebind', sub.id);
+});